@@ -1,1098 +1,1361 @@
 // api/index.js - Vercel Serverless Function for Instagram Video Downloader
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
 const axios = require('axios');
-const cheerio = require('cheerio');
-const validator = require('validator');
+const { extractPostId, parseStoryUrl, validateInstagramUrl } = require('../lib/urls');
+const { extractMediaFromHtml, resolveStrategies, listStrategies } = require('../lib/strategies');
+const { checkInstagramPage } = require('../lib/page-checks');
+const { fixtureExists, writeFixture } = require('../lib/fixtures');
+const {
+    InvalidUrlError,
+    PostNotFoundError,
+    LoginRequiredError,
+    ExtractionFailedError,
+    RateLimitExceededError,
+    QuotaExceededError,
+    FeatureDisabledError,
+    UnsupportedMediaError,
+    toApiError,
+    sendError
+} = require('../lib/errors');
+const { createRateLimiter, getClientKey, setRateLimitHeaders } = require('../lib/rate-limit');
+const { createJobQueue, getCallbackUrlError, toJobView } = require('../lib/jobs');
+const { EVENT_STREAM_FORMATS, openEventStream } = require('../lib/event-stream');
+const { createCoalescer, createUpstreamLimiter } = require('../lib/upstream');
+const { createProxyPool } = require('../lib/proxy');
+const { buildProfileHeaders, getProfileApiUrl } = require('../lib/client-profiles');
+const { createAuthenticator, setQuotaHeaders } = require('../lib/auth');
+const { loadConfig, getPublicConfig } = require('../lib/config');
+const { createCacheBackend, createMediaCache } = require('../lib/cache');
+const { getMediaExpiry } = require('../lib/url-expiry');
+
+// Fails the cold start on bad values rather than limping along with defaults
+const config = loadConfig();
+const API_PREFIX = `/${config.apiVersion}`;
+const {
+    selectStreamSource,
+    selectAudioSource,
+    buildDownloadFilename,
+    proxyMediaStream,
+    fetchMediaBuffer,
+    sendMuxedMedia,
+    sendRenderedImage
+} = require('../lib/stream');
+const { muxFragmentedTracks, extractAudioTrack } = require('../lib/mp4');
+const { IMAGE_FORMATS, normalizeImageFormat, selectRendition, renderImage } = require('../lib/image');
+const { selectCarouselItem } = require('../lib/carousel');
+const { CAPTION_FORMATS, isCaptionFormat, renderCaption } = require('../lib/captions');
+const { isValidQualitySpec, parseQualitySpec, selectVariant, applyQuality } = require('../lib/quality');
+const {
+    getProfileInfoUrl,
+    getReelsMediaUrl,
+    getUserFeedUrl,
+    getCommentsUrl,
+    buildApiHeaders,
+    checkApiResponse,
+    parseProfileUserId
+} = require('../lib/instagram-api');
+const { findReel, processStoryReel } = require('../lib/stories');
+const {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    isValidUsername,
+    decodeCursor,
+    parseProfileInfo,
+    parseProfilePage,
+    parseUserFeed
+} = require('../lib/profile');
+const {
+    shortcodeToMediaId,
+    decodeCommentsCursor,
+    parseCommentsPage,
+    extractCommentsFromHtml
+} = require('../lib/comments');
+
+// Media cache - per-instance LRU by default, CACHE_BACKEND=filesystem or setBackend() to share it
+const mediaCache = createMediaCache({
+    backend: createCacheBackend({
+        backend: config.cacheBackend,
+        maxEntries: config.cacheMaxEntries,
+        maxBytes: config.cacheMaxBytes,
+        dir: config.cacheDir
+    }),
+    enabled: config.enableCaching,
+    ttlMs: config.cacheTtl,
+    staleTtlMs: config.cacheStaleTtl,
+    negativeTtlMs: config.cacheNegativeTtl,
+    getExpiry: getMediaExpiry,
+    expiryMarginMs: config.cdnExpiryMargin
+});
+
+// Rate limiting (RATE_LIMIT_MAX_REQUESTS=0 disables it)
+const rateLimiter = createRateLimiter({
+    limit: config.rateLimitMaxRequests,
+    windowMs: config.rateLimitWindowMs
+});
+
+// API key auth is off until API_KEYS or API_KEYS_FILE provides keys
+const authenticator = createAuthenticator({ keys: config.apiKeys });
+
+// Outbound requests to Instagram: identical lookups share one fetch, the rest are capped and paced
+const coalescer = createCoalescer();
+const upstreamLimiter = createUpstreamLimiter({
+    concurrency: config.upstreamConcurrency,
+    minIntervalMs: config.upstreamMinInterval
+});
+
+const getHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'unknown';
+    }
+};
+
+// Outbound proxies (PROXY_URLS); with none configured requests go out directly
+const proxyPool = createProxyPool({
+    proxies: config.proxyUrls,
+    rotation: config.proxyRotation,
+    cooldownMs: config.proxyCooldown
+});
+
+// Per API request state; the id keeps a request on one proxy under PROXY_ROTATION=sticky
+const requestContext = new AsyncLocalStorage();
+
+// Run task(axiosOptions) through the proxy pool, which benches proxies that get flagged or time out
+const viaProxy = (task) => {
+    const context = requestContext.getStore();
+    return proxyPool.run(context && context.id, task);
+};
 
-// Simple in-memory cache for serverless (Vercel handles caching between requests)
-const cache = new Map();
-const CACHE_TTL = 600000; // 10 minutes in milliseconds
+// Every request to Instagram itself goes through the limiter; CDN media downloads don't.
+// check(response) throws for login walls and 429s, so they count against the proxy.
+const instagramGet = (url, options, check = () => {}) => upstreamLimiter.schedule(getHost(url), () => viaProxy(async (proxyOptions) => {
+    const response = await axios.get(url, { ...options, ...proxyOptions });
+    check(response);
+    return response;
+}));
+
+// A client profile for purpose ('page', 'api' or 'media') from CLIENT_PROFILES_<PURPOSE>. An API
+// request sticks to what it picked first, so its page, API and CDN requests look like one client.
+const pickClientProfile = (purpose) => {
+    const candidates = config.clientProfiles[purpose];
+    const context = requestContext.getStore();
+    if (context && context.profiles && context.profiles[purpose]) return context.profiles[purpose];
+
+    const picked = context && context.profiles
+        ? Object.values(context.profiles).find(profile => candidates.includes(profile))
+        : null;
+    const profile = picked || candidates[Math.floor(Math.random() * candidates.length)];
+
+    if (context) context.profiles = { ...context.profiles, [purpose]: profile };
+    return profile;
+};
 
-// User agents for rotation
-const USER_AGENTS = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-];
+const getClientHeaders = (purpose, extra) => buildProfileHeaders(pickClientProfile(purpose), purpose, extra);
 
 // Utility Functions
-const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const extractPostId = (url) => {
-    const patterns = [
-        /\/p\/([A-Za-z0-9_-]+)/,
-        /\/reel\/([A-Za-z0-9_-]+)/,
-        /\/tv\/([A-Za-z0-9_-]+)/,
-        /instagram\.com\/([A-Za-z0-9_.]+)\/p\/([A-Za-z0-9_-]+)/,
-        /instagram\.com\/([A-Za-z0-9_.]+)\/reel\/([A-Za-z0-9_-]+)/,
-        /\/reels\/([A-Za-z0-9_-]+)/ // Additional reel pattern
-    ];
-    
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) return match[match.length - 1];
+// Validate a strategies list up front so a typo answers 400 instead of a failed scrape
+const getStrategyError = (strategies) => {
+    if (!strategies) return null;
+    try {
+        resolveStrategies(strategies);
+        return null;
+    } catch (error) {
+        return {
+            error: error.message,
+            code: error.code || 'INVALID_STRATEGY',
+            availableStrategies: error.availableStrategies
+        };
     }
-    return null;
 };
 
-const validateInstagramUrl = (url) => {
-    if (!validator.isURL(url)) return false;
-    return /instagram\.com\/(p|reel|reels|tv)\/[A-Za-z0-9_-]+/.test(url) || 
-           /instagram\.com\/[A-Za-z0-9_.]+\/(p|reel|reels)\/[A-Za-z0-9_-]+/.test(url);
+// ?index=N picks one carousel slide (0-based)
+const parseItemIndex = (index) => {
+    if (index === undefined || index === '') return null;
+    return /^\d+$/.test(String(index)) ? Number(index) : NaN;
 };
 
-const isReelUrl = (url) => {
-    return /instagram\.com\/.*\/(reel|reels)\//.test(url) || url.includes('/reel/');
+const getIndexError = (itemIndex) => {
+    if (!Number.isNaN(itemIndex)) return null;
+    return {
+        error: 'index must be a non-negative integer (0 is the first slide)',
+        code: 'INVALID_INDEX'
+    };
 };
 
-// Helper functions for enhanced extraction
-const extractReelVideoData = (html, sourceUrl = '') => {
-    try {
-        // Look for reel-specific video patterns
-        const videoPatterns = [
-            // Pattern 1: Direct video_url
-            /"video_url":\s*"([^"]+\.mp4[^"]*?)"/g,
-            // Pattern 2: video_versions array
-            /"video_versions":\s*\[([^\]]+)\]/g,
-            // Pattern 3: Direct MP4 URLs
-            /https:\/\/[^"]*scontent[^"]*\.cdninstagram\.com[^"]*\.mp4[^"]*/g,
-            // Pattern 4: clips_metadata
-            /"clips_metadata":\s*{[^}]*"original_sound_info"[^}]*}/
-        ];
-
-        for (const pattern of videoPatterns) {
-            const matches = [...html.matchAll(pattern)];
-            
-            for (const match of matches) {
-                let videoUrl = null;
-                
-                if (match[0].includes('video_url')) {
-                    // Extract from video_url field
-                    const urlMatch = match[0].match(/"video_url":\s*"([^"]+)"/);
-                    if (urlMatch) {
-                        videoUrl = urlMatch[1].replace(/\\u0026/g, '&').replace(/\\/g, '');
-                    }
-                } else if (match[0].includes('video_versions')) {
-                    // Extract from video_versions array
-                    try {
-                        const versionsMatch = match[1];
-                        // Look for the first valid URL in video_versions
-                        const urlMatches = [...versionsMatch.matchAll(/"url":\s*"([^"]+)"/g)];
-                        if (urlMatches.length > 0) {
-                            videoUrl = urlMatches[0][1].replace(/\\u0026/g, '&').replace(/\\/g, '');
-                        }
-                    } catch (e) {
-                        console.log('Error parsing video_versions:', e.message);
-                    }
-                } else if (match[0].includes('scontent') && match[0].includes('.mp4')) {
-                    // Direct MP4 URL found
-                    videoUrl = match[0].replace(/['"]/g, '').replace(/\\u0026/g, '&').replace(/\\/g, '');
-                }
-                
-                // Validate and clean the video URL
-                if (videoUrl && 
-                    videoUrl.includes('scontent') && 
-                    videoUrl.includes('.cdninstagram.com') && 
-                    videoUrl.includes('.mp4') &&
-                    !videoUrl.includes('video_versions')) {
-                    
-                    // Clean up the URL
-                    videoUrl = videoUrl
-                        .replace(/\\u0026/g, '&')
-                        .replace(/\\/g, '')
-                        .replace(/^["']|["']$/g, '');
-                    
-                    console.log('Found valid reel video URL');
-                    
-                    return {
-                        type: 'video',
-                        videoUrl: videoUrl,
-                        thumbnail: extractThumbnailFromHtml(html),
-                        caption: extractCaptionFromHtml(html, sourceUrl),
-                        author: extractAuthorFromHtml(html, sourceUrl),
-                        extractionMethod: 'reel_detection'
-                    };
-                }
-            }
+const getItemNotFoundBody = (mediaInfo, itemIndex, url) => ({
+    error: `Slide ${itemIndex} does not exist in this post`,
+    code: 'ITEM_NOT_FOUND',
+    itemCount: mediaInfo.items ? mediaInfo.items.length : 1,
+    url: url
+});
+
+const getQualityError = (quality) => {
+    if (isValidQualitySpec(quality)) return null;
+    return {
+        error: 'quality must be highest, lowest, a label like 720p, maxWidth=<px>, maxHeight=<px> or a WIDTHxHEIGHT key',
+        code: 'INVALID_QUALITY'
+    };
+};
+
+const getQualityNotFoundBody = (mediaInfo, quality, url) => ({
+    error: `Quality "${quality}" is not available for this post`,
+    code: 'QUALITY_NOT_FOUND',
+    availableQualities: ((mediaInfo && (mediaInfo.qualities || mediaInfo.images)) || []).map(q => q.label || q.quality),
+    url: url
+});
+
+const getCaptionFormatError = (captionFormat) => {
+    if (captionFormat === undefined || isCaptionFormat(captionFormat)) return null;
+    return {
+        error: `captionFormat must be one of: ${CAPTION_FORMATS.join(', ')}`,
+        code: 'INVALID_CAPTION_FORMAT'
+    };
+};
+
+// The rendering goes in captionRendered; caption stays plain so captionEntities offsets still apply
+const withCaptionFormat = (media, captionFormat) => {
+    if (!captionFormat || !media) return media;
+    return { ...media, captionRendered: renderCaption(media.caption, captionFormat, media.captionEntities) };
+};
+
+// A copy of a track or sound without its media URL
+const withoutUrl = (entry) => {
+    const copy = { ...entry };
+    delete copy.url;
+    return copy;
+};
+
+// Track metadata for the info endpoint, minus the media URLs
+const stripTrackUrls = tracks => ({
+    video: (tracks.video || []).map(withoutUrl),
+    audio: (tracks.audio || []).map(withoutUrl)
+});
+
+const MIN_THUMBNAIL_WIDTH = 16;
+const MAX_THUMBNAIL_WIDTH = 2048;
+// Source renditions are full-size JPEGs at most; this only guards against a runaway response
+const MAX_THUMBNAIL_SOURCE_BYTES = 20 * 1024 * 1024;
+
+const parseThumbnailWidth = (width) => {
+    if (width === undefined || width === '') return null;
+    return /^\d+$/.test(String(width)) ? parseInt(width, 10) : NaN;
+};
+
+const getThumbnailWidthError = (width) => {
+    if (width === null || (width >= MIN_THUMBNAIL_WIDTH && width <= MAX_THUMBNAIL_WIDTH)) return null;
+    return {
+        error: `width must be a whole number of pixels from ${MIN_THUMBNAIL_WIDTH} to ${MAX_THUMBNAIL_WIDTH}`,
+        code: 'INVALID_WIDTH'
+    };
+};
+
+// Every size of the picture (or a video's cover), falling back to the lone thumbnail URL
+const getImageRenditions = (mediaInfo) => {
+    if (mediaInfo.images && mediaInfo.images.length > 0) return mediaInfo.images;
+    const url = mediaInfo.imageUrl || mediaInfo.thumbnail;
+    return url ? [{ url, width: 0, height: 0 }] : [];
+};
+
+// Endpoint names used by API key permissions, matched the same way the routes below are
+// Routes are told apart by the path alone: the query string carries Instagram URLs whose
+// usernames ("streamer", "debugger.daily") or paths (/p/X/comments/) would look like routes.
+// /api/v1/download, /api/download and /download all reach the download route.
+const resolveEndpoint = (routePath, method) => {
+    const [name, child] = routePath.split('/').filter(Boolean);
+
+    switch (name) {
+        case 'profile':
+            return method === 'GET' ? 'profile' : null;
+        case 'download':
+            return child === 'batch' && method === 'POST' ? 'batch' : 'download';
+        case 'comments':
+        case 'debug':
+        case 'stream':
+        case 'mux':
+        case 'audio':
+        case 'thumbnail':
+        case 'jobs':
+        case 'proxies':
+        case 'info':
+            return name;
+        default:
+            return null;
+    }
+};
+
+// The request path below the API prefix, without the query string
+const getRoutePath = (requestUrl) => {
+    const path = requestUrl.split(/[?#]/)[0].replace(/^\/api(?=\/|$)/, '');
+    return path.startsWith(`${API_PREFIX}/`) ? path.slice(API_PREFIX.length) : path;
+};
+
+// Feature flag guarding each optional endpoint
+const ENDPOINT_FLAGS = {
+    batch: { enabled: () => config.enableBatchDownload, flag: 'ENABLE_BATCH_DOWNLOAD' },
+    jobs: { enabled: () => config.enableBatchDownload, flag: 'ENABLE_BATCH_DOWNLOAD' },
+    info: { enabled: () => config.enableMetadataOnly, flag: 'ENABLE_METADATA_ONLY' },
+    debug: { enabled: () => config.debugMode, flag: 'DEBUG_MODE' },
+    // Lists every proxy's host and port: only for debugging, or for API keys granted "proxies" by name
+    proxies: { enabled: () => config.debugMode || authenticator.enabled, flag: 'DEBUG_MODE' }
+};
+
+const getEnabledFeatures = () => {
+    const features = ['video_download', 'image_download', 'media_streaming', 'reel_captions', 'stories', 'profiles', 'profile_posts', 'comments', 'muxing', 'audio_extraction', 'thumbnails'];
+    if (config.enableBatchDownload) features.push('batch_processing', 'batch_streaming', 'batch_jobs');
+    if (config.enableBatchDownload && config.webhookSecret) features.push('webhooks');
+    if (proxyPool.enabled) features.push('proxy_pool');
+    if (config.enableMetadataOnly) features.push('metadata_only');
+    if (config.enableCaching) features.push('caching');
+    if (config.debugMode) features.push('debug');
+    return features;
+};
+
+const isAsyncBatch = req => (req.body && req.body.async === true) || req.query.async === 'true';
+
+// The urls of a batch body, checked before the batch is charged against the rate limit and quota
+const getBatchUrlsError = (req) => {
+    const urls = req.body && req.body.urls;
+    if (!urls || !Array.isArray(urls)) {
+        return {
+            error: 'URLs array is required in request body',
+            code: 'MISSING_URLS',
+            example: { urls: ['https://www.instagram.com/p/ABC123', 'https://www.instagram.com/reel/XYZ789'] }
+        };
+    }
+
+    // Async jobs take far more URLs, as they don't have to finish within one invocation
+    const isAsync = isAsyncBatch(req);
+    const maxUrls = isAsync ? config.maxJobUrls : config.maxBatchSize;
+    if (urls.length > maxUrls) {
+        return {
+            error: `Maximum ${maxUrls} URLs allowed per ${isAsync ? 'batch job' : 'batch request'}`,
+            code: 'TOO_MANY_URLS',
+            limit: maxUrls
+        };
+    }
+    return null;
+};
+
+// Batch requests count every URL against the rate limit window and the daily quota. An async
+// job may hold up to MAX_JOB_URLS, more than a whole window, so it counts once against the
+// window and per URL only against the quota.
+const getRequestCost = (req, endpoint) => {
+    if (endpoint !== 'batch') return { window: 1, quota: 1 };
+
+    const urlCount = Math.max(1, req.body.urls.length);
+    return { window: isAsyncBatch(req) ? 1 : urlCount, quota: urlCount };
+};
+
+// Fetch a post page, throwing the typed error for login walls, 404s and rate limits
+const fetchPostPage = async (url) => {
+    console.log('Making request to Instagram...');
+
+    const response = await instagramGet(url, {
+        headers: getClientHeaders('page'),
+        timeout: config.requestTimeout,
+        maxRedirects: 5,
+        validateStatus: function (status) {
+            return status < 500; // Accept anything less than 500 as success for now
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Error in reel video extraction:', error);
-        return null;
+    }, (page) => {
+        console.log('Instagram response:', {
+            status: page.status,
+            contentType: page.headers['content-type'],
+            contentLength: page.data.length
+        });
+
+        checkInstagramPage(page.status, page.data, page.headers);
+    });
+
+    return response.data;
+};
+
+const logScrapeFailure = (error) => {
+    if (error.code === 'ECONNABORTED') {
+        console.error('Request timeout - Instagram may be slow or blocking');
+    } else if (error.code === 'ENOTFOUND') {
+        console.error('DNS resolution failed - network issue');
+    } else {
+        console.error('Direct scraping failed:', error.message);
     }
 };
 
-const extractThumbnailFromHtml = (html) => {
+// Main scraping functions
+const scrapeDirectly = async (url, options = {}) => {
     try {
-        const $ = cheerio.load(html);
-        
-        // Try multiple sources for thumbnail
-        const thumbnailSources = [
-            $('meta[property="og:image"]').attr('content'),
-            $('meta[name="twitter:image"]').attr('content'),
-            $('meta[property="og:image:url"]').attr('content')
-        ];
+        const html = await fetchPostPage(url);
+
+        const result = extractMediaFromHtml(html, url, {
+            strategies: options.strategies || config.extractionStrategies
+        });
         
-        for (const source of thumbnailSources) {
-            if (source && source.includes('cdninstagram.com')) {
-                return source;
-            }
+        if (!result) {
+            console.log('Failed to extract media from HTML');
+            // Log a sample of the HTML for debugging
+            const htmlSample = html.substring(0, 1000);
+            console.log('HTML sample:', htmlSample);
+            throw new ExtractionFailedError(
+                'Could not extract media information from the page - Instagram structure may have changed',
+                config.debugMode ? { suggestion: `Try the debug endpoint: /api${API_PREFIX}/debug?url=YOUR_URL` } : {}
+            );
         }
         
-        return thumbnailSources[0] || '';
+        return result;
+
     } catch (error) {
-        return '';
+        logScrapeFailure(error);
+        throw toApiError(error);
     }
 };
 
-const extractCaptionFromHtml = (html, sourceUrl = '') => {
+// Instagram's JSON endpoints, with the session cookie when one is configured
+const fetchInstagramJson = async (apiUrl) => {
+    const profile = pickClientProfile('api');
+    const response = await instagramGet(getProfileApiUrl(profile, apiUrl), {
+        headers: buildApiHeaders({ profile, sessionId: config.instagramSessionId }),
+        timeout: config.requestTimeout,
+        maxRedirects: 5,
+        validateStatus: status => status < 500
+    }, json => checkApiResponse(json.status, json.data, json.headers));
+
+    return response.data;
+};
+
+// Stories and highlights come from the JSON API rather than the post page
+const scrapeStory = async (url) => {
+    const storyUrl = parseStoryUrl(url);
+    console.log('Fetching story:', storyUrl);
+
     try {
-        const $ = cheerio.load(html);
-        let caption = '';
-        
-        // Method 1: Extract from specific caption span (most reliable for current IG structure)
-        // This targets the actual post caption, not "more posts like this"
-        const captionSpanSelectors = [
-            // Current Instagram caption span classes
-            'span.x193iq5w.xeuugli.x13faqbe.x1vvkbs.xt0psk2.x1i0vuye.xvs91rp.xo1l8bm.x5n08af.x10wh9bi.xpm28yp.x8viiok.x1o7cslx.x126k92a',
-            // Alternative patterns for caption spans
-            'span[style*="line-height"]',
-            'span[dir="auto"]',
-            // More generic fallbacks
-            'article span:contains("#")',
-            'div[data-testid="post-caption"] span'
-        ];
-        
-        for (const selector of captionSpanSelectors) {
-            try {
-                const captionElements = $(selector);
-                if (captionElements.length > 0) {
-                    // Find the span with the longest text (likely the main caption)
-                    let longestCaption = '';
-                    captionElements.each((i, element) => {
-                        const text = $(element).text().trim();
-                        // Look for captions with hashtags and reasonable length
-                        if (text.includes('#') && text.length > longestCaption.length && text.length > 20) {
-                            // Skip if it looks like a "More posts" caption
-                            if (!text.toLowerCase().includes('more posts') && 
-                                !text.toLowerCase().includes('see more') &&
-                                !text.toLowerCase().includes('related posts')) {
-                                longestCaption = text;
-                            }
-                        }
-                    });
-                    
-                    if (longestCaption) {
-                        caption = longestCaption;
-                        console.log('Found caption from specific span element');
-                        break;
-                    }
-                }
-            } catch (e) {
-                // Continue to next selector
-            }
-        }
-        
-        // Method 2: Targeted JSON extraction with post ID context
-        if (!caption && sourceUrl) {
-            const postId = extractPostId(sourceUrl);
-            if (postId) {
-                // Look for JSON data that specifically relates to this post ID
-                const targetedPatterns = [
-                    new RegExp(`"shortcode":"${postId}"[^}]*"caption":\\s*{[^}]*"text":\\s*"([^"]+)"`, 'i'),
-                    new RegExp(`"${postId}"[^}]*"edge_media_to_caption":\\s*{[^}]*"text":\\s*"([^"]+)"`, 'i'),
-                    new RegExp(`"shortcode_media":[^}]*"shortcode":"${postId}"[^}]*"caption":[^}]*"text":"([^"]+)"`, 'i')
-                ];
-                
-                for (const pattern of targetedPatterns) {
-                    const match = html.match(pattern);
-                    if (match && match[1] && match[1].length > 10) {
-                        caption = match[1];
-                        console.log('Found caption from targeted JSON with post ID');
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Method 3: Look for JSON data with caption (improved patterns)
-        if (!caption) {
-            const captionPatterns = [
-                // More specific patterns that target the main post
-                /"edge_media_to_caption":\s*{\s*"edges":\s*\[\s*{\s*"node":\s*{\s*"text":\s*"([^"]+)"/,
-                /"caption":\s*{\s*"text":\s*"([^"]+)"[^}]*"created_at"/,
-                // Look for captions with edges structure
-                /"edges":\s*\[\s*{\s*"node":\s*{\s*"text":\s*"([^"]*#[^"]*)",/,
-                // Fallback broader patterns
-                /"caption":\s*{[^}]*"text":\s*"([^"]+)"/,
-                /"text":\s*"([^"]*#[^"]*)"/ // Look for text with hashtags
-            ];
-            
-            for (const pattern of captionPatterns) {
-                const matches = [...html.matchAll(new RegExp(pattern.source, 'g'))];
-                
-                // If we have multiple matches, try to find the best one
-                if (matches.length > 0) {
-                    let bestMatch = '';
-                    
-                    for (const match of matches) {
-                        const candidateText = match[1];
-                        if (candidateText && candidateText.length > 10) {
-                            // Prefer longer captions and those with hashtags
-                            if (candidateText.length > bestMatch.length && 
-                                (candidateText.includes('#') || bestMatch === '')) {
-                                bestMatch = candidateText;
-                            }
-                        }
-                    }
-                    
-                    if (bestMatch) {
-                        caption = bestMatch;
-                        console.log('Found caption from improved JSON patterns');
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Method 4: Extract from meta description if no other method worked
-        if (!caption) {
-            const metaDesc = $('meta[property="og:description"]').attr('content') ||
-                           $('meta[name="description"]').attr('content');
-            
-            if (metaDesc && metaDesc.includes('#')) {
-                // Try to extract just the caption part from meta description
-                const captionMatch = metaDesc.match(/['""]([^'"]*#[^'"]*)['"]/);
-                if (captionMatch) {
-                    caption = captionMatch[1];
-                } else if (metaDesc.includes('#')) {
-                    // Extract everything after the first quote that contains hashtags
-                    const hashtagPart = metaDesc.split('"').find(part => part.includes('#'));
-                    if (hashtagPart && hashtagPart.length > 20) {
-                        caption = hashtagPart;
-                    }
-                }
-                console.log('Found caption from meta description');
-            }
-        }
-        
-        // Method 5: Look for article content as last resort
-        if (!caption) {
-            const articleText = $('article').text();
-            if (articleText && articleText.includes('#')) {
-                // Extract text with hashtags from article
-                const lines = articleText.split('\n').filter(line => 
-                    line.includes('#') && line.length > 20 && line.length < 500
-                );
-                if (lines.length > 0) {
-                    caption = lines[0].trim();
-                    console.log('Found caption from article content');
-                }
-            }
-        }
-        
-        // Clean up caption
-        if (caption) {
-            caption = caption
-                .replace(/\\n/g, '\n')
-                .replace(/\\"/g, '"')
-                .replace(/\\u[\da-f]{4}/gi, '') // Remove unicode escapes
-                .replace(/\\+/g, '') // Remove extra backslashes
-                .replace(/&nbsp;/g, ' ') // Replace non-breaking spaces
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .trim();
-                
-            // Remove HTML tags if any
-            caption = caption.replace(/<[^>]*>/g, '');
-            
-            // Validate caption quality
-            if (caption.length < 10 || 
-                caption.toLowerCase().includes('more posts') ||
-                caption.toLowerCase().includes('see more like this') ||
-                caption.toLowerCase().includes('related posts')) {
-                caption = '';
+        let reelId = `highlight:${storyUrl.highlightId}`;
+
+        if (storyUrl.kind === 'story') {
+            reelId = parseProfileUserId(await fetchInstagramJson(getProfileInfoUrl(storyUrl.username)));
+            if (!reelId) {
+                throw new PostNotFoundError(`Instagram user ${storyUrl.username} not found`);
             }
         }
-        
-        console.log('Final extracted caption length:', caption.length);
-        return caption || '';
+
+        const reelsMedia = await fetchInstagramJson(getReelsMediaUrl(reelId));
+        return processStoryReel(findReel(reelsMedia, reelId), storyUrl);
     } catch (error) {
-        console.error('Error extracting caption:', error);
-        return '';
+        console.error('Story scraping failed:', error.message);
+        throw toApiError(error);
     }
 };
 
-const extractAuthorFromHtml = (html, sourceUrl = '') => {
+// Run a fetch with retries; non-retryable errors stop the loop straight away
+const withRetries = async (label, task, attempt = 1) => {
     try {
-        const $ = cheerio.load(html);
-        
-        // Try multiple sources for author in order of reliability
-        let author = '';
-        
-        // Method 1: Extract from source URL path (most reliable)
-        if (sourceUrl) {
-            const urlMatch = sourceUrl.match(/instagram\.com\/([^\/\s"'?]+)\//);
-            if (urlMatch && urlMatch[1] && 
-                !urlMatch[1].includes('p') && 
-                !urlMatch[1].includes('reel') && 
-                !urlMatch[1].includes('stories') &&
-                urlMatch[1] !== 'www' &&
-                urlMatch[1] !== 'rsrc.php' &&
-                urlMatch[1].length > 1) {
-                author = urlMatch[1];
-                console.log('Author from source URL:', author);
-            }
-        }
-        
-        // Method 2: Extract from HTML URL references
-        if (!author) {
-            const urlMatch = html.match(/instagram\.com\/([^\/\s"'?]+)\//);
-            if (urlMatch && urlMatch[1] && 
-                !urlMatch[1].includes('p') && 
-                !urlMatch[1].includes('reel') && 
-                !urlMatch[1].includes('stories') &&
-                urlMatch[1] !== 'www' &&
-                urlMatch[1] !== 'rsrc.php' &&
-                urlMatch[1].length > 1) {
-                author = urlMatch[1];
-                console.log('Author from HTML URL:', author);
-            }
-        }
-        
-        // Method 3: Look for username in JSON data
-        if (!author) {
-            const usernamePatterns = [
-                /"username":\s*"([^"]+)"/,
-                /"owner":\s*{[^}]*"username":\s*"([^"]+)"/,
-                /"user":\s*{[^}]*"username":\s*"([^"]+)"/,
-                /"account_username":\s*"([^"]+)"/
-            ];
-            
-            for (const pattern of usernamePatterns) {
-                const match = html.match(pattern);
-                if (match && match[1] && 
-                    !match[1].includes('rsrc') && 
-                    !match[1].includes('.php') &&
-                    match[1].length > 1) {
-                    author = match[1];
-                    console.log('Author from JSON:', author);
-                    break;
-                }
-            }
-        }
+        console.log(`Attempt ${attempt} for:`, label);
+        return await task();
+    } catch (error) {
+        const apiError = toApiError(error);
+        console.error(`${label} failed (attempt ${attempt}):`, apiError.code, apiError.message);
         
-        // Method 4: Extract from page title (clean it up)
-        if (!author) {
-            const title = $('meta[property="og:title"]').attr('content');
-            if (title) {
-                // Try to extract username from title like "Username (@username) • Instagram photos and videos"
-                const titlePatterns = [
-                    /\(@([^)]+)\)/,  // Extract from (@username)
-                    /^([^(]+?)\s+\(/,  // Extract before first parenthesis
-                    /^([^\s•]+)/  // First word before bullet
-                ];
-                
-                for (const pattern of titlePatterns) {
-                    const match = title.match(pattern);
-                    if (match && match[1] && 
-                        !match[1].includes('Instagram') && 
-                        !match[1].includes('rsrc') &&
-                        match[1].length > 1) {
-                        author = match[1].trim();
-                        console.log('Author from title:', author);
-                        break;
-                    }
-                }
-            }
+        // Deleted, private and rate-limited posts won't change on the next attempt
+        if (apiError.retryable && attempt <= config.maxRetryAttempts) {
+            console.log(`Retrying attempt ${attempt + 1}...`);
+            await delay(config.retryDelay * attempt);
+            return withRetries(label, task, attempt + 1);
         }
         
-        // Clean up the author name
-        if (author) {
-            author = author
-                .replace(/['"]/g, '')
-                .replace(/\s+on\s+Instagram.*$/i, '')
-                .replace(/\s*•.*$/, '')
-                .replace(/\s*\(.*\)$/, '') // Remove parentheses content
-                .trim();
+        apiError.details = { ...apiError.details, attempts: attempt };
+        throw apiError;
+    }
+};
+
+const fetchMediaInfo = (url, options = {}) => withRetries(url, async () => {
+    console.log('Attempting direct scraping...');
+    const result = parseStoryUrl(url) ? await scrapeStory(url) : await scrapeDirectly(url, options);
+
+    console.log('Successfully extracted media info');
+    return result;
+});
+
+// Cache-aside lookup shared by posts and profiles
+// options.onCacheStatus receives HIT, STALE, MISS or BYPASS for the X-Cache header
+const getCached = async (cacheKey, fetchFresh, options = {}) => {
+    const reportCacheStatus = options.onCacheStatus || (() => {});
+
+    const cached = await mediaCache.lookup(cacheKey);
+    reportCacheStatus(cached.status);
+
+    if (cached.error) {
+        console.log('Returning cached failure:', cached.error.code);
+        throw cached.error;
+    }
+
+    if (cached.status === 'HIT') {
+        console.log('Returning cached result');
+        return cached.value;
+    }
+
+    if (cached.status === 'STALE') {
+        // Serve what we have now; the refreshed copy is there for the next request
+        console.log('Returning stale cached result, revalidating');
+        mediaCache.revalidate(cacheKey, fetchFresh);
+        return cached.value;
+    }
+
+    // Concurrent misses for one key (ten clients, or one batch, asking for the same post) share a fetch
+    return coalescer.run(cacheKey, async () => {
+        try {
+            const result = await fetchFresh();
+            await mediaCache.store(cacheKey, result);
+            return result;
+        } catch (error) {
+            await mediaCache.storeError(cacheKey, error);
+            throw error;
         }
-        
-        // Final validation - reject obviously wrong values
-        if (!author || 
-            author.includes('rsrc') || 
-            author.includes('.php') || 
-            author.includes('Instagram') ||
-            author.length < 1) {
-            author = 'Unknown';
+    });
+};
+
+// Main media extraction function
+const getMediaInfo = async (url, options = {}) => {
+    const postId = extractPostId(url);
+    if (!postId) {
+        throw new InvalidUrlError('Invalid Instagram URL format - could not extract post ID');
+    }
+    
+    console.log('Extracted post ID:', postId);
+
+    // Results forced through a custom strategy list are cached separately
+    const strategySuffix = options.strategies ? `_${String(options.strategies).toLowerCase()}` : '';
+    return getCached(`media_${postId}${strategySuffix}`, () => fetchMediaInfo(url, options), options);
+};
+
+// One URL of a batch, for both the synchronous route and async jobs
+const resolveBatchUrl = async (url, { strategies, captionFormat } = {}) => {
+    if (!validateInstagramUrl(url)) {
+        throw new InvalidUrlError(`Invalid URL format: ${url}`);
+    }
+
+    let cacheStatus = null;
+    const mediaInfo = await getMediaInfo(url, {
+        strategies,
+        onCacheStatus: (status) => {
+            cacheStatus = status;
         }
-        
-        console.log('Final extracted author:', author);
-        return author;
-        
+    });
+    return { data: withCaptionFormat(mediaInfo, captionFormat), cache: cacheStatus };
+};
+
+// Batch results never reject: failures become { success: false, error, code, status }
+const settleBatchUrl = async (url, options) => {
+    try {
+        const { data, cache } = await resolveBatchUrl(url, options);
+        return { url, success: true, cache, data };
     } catch (error) {
-        console.error('Error extracting author:', error);
-        return 'Unknown';
+        const apiError = toApiError(error);
+        return { url, success: false, error: apiError.message, code: apiError.code, status: apiError.status };
     }
 };
-const getFromCache = (key) => {
-    const item = cache.get(key);
-    if (item && Date.now() - item.timestamp < CACHE_TTL) {
-        return item.data;
+
+// Async batch jobs - per-instance store by default, setStore() to share jobs between instances
+const jobQueue = createJobQueue({
+    resolveUrl: resolveBatchUrl,
+    concurrency: config.jobConcurrency,
+    ttlMs: config.jobTtl,
+    webhookSecret: config.webhookSecret,
+    webhookTimeout: config.requestTimeout,
+    webhookRetryDelay: config.retryDelay
+});
+
+// One page of a post's comments, cached and retried like posts. The comments endpoint comes
+// first; when it wants a login, the first page falls back to what the post page embeds.
+const getComments = async (url, { cursor, onCacheStatus } = {}) => {
+    const postId = extractPostId(url);
+    if (!postId) {
+        throw new InvalidUrlError('Invalid Instagram URL format - could not extract post ID');
     }
-    cache.delete(key);
-    return null;
+
+    const mediaId = cursor ? cursor.mediaId : shortcodeToMediaId(postId);
+    const cacheKey = `comments_${postId}${cursor ? `_${cursor.minId}` : ''}`;
+
+    return getCached(cacheKey, () => withRetries(`comments of ${postId}`, async () => {
+        try {
+            const json = await fetchInstagramJson(getCommentsUrl(mediaId, cursor && cursor.minId));
+            return parseCommentsPage(json, { mediaId });
+        } catch (error) {
+            if (cursor || !(error instanceof LoginRequiredError)) throw error;
+
+            console.log('Comments endpoint needs a login, reading the post page instead');
+            const page = extractCommentsFromHtml(await fetchPostPage(url), { mediaId });
+            if (!page) throw error;
+            return page;
+        }
+    }), { onCacheStatus });
 };
 
-const setCache = (key, data) => {
-    cache.set(key, {
-        data,
-        timestamp: Date.now()
-    });
+// Profile card, cached and retried like posts
+const getProfileInfo = async (username, options = {}) => getCached(
+    `profile_${username.toLowerCase()}`,
+    () => withRetries(`profile ${username}`, async () => {
+        const json = await fetchInstagramJson(getProfileInfoUrl(username));
+        return parseProfileInfo(json, { username });
+    }),
+    options
+);
+
+// One page of a profile's posts; the cursor says where the previous page stopped.
+// Pages move too fast to be worth caching.
+const fetchProfilePosts = (username, { cursor, limit }) => withRetries(`posts of ${username}`, async () => {
+    if (cursor) {
+        const feed = await fetchInstagramJson(getUserFeedUrl(cursor.userId, limit, cursor.maxId));
+        return parseUserFeed(feed, { userId: cursor.userId, username, limit });
+    }
+
+    return parseProfilePage(await fetchInstagramJson(getProfileInfoUrl(username)), { username, limit });
+});
+
+// CORS headers
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Range',
+    'Access-Control-Expose-Headers': 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, X-Cache, Retry-After',
 };
 
-// Main scraping functions
-const scrapeDirectly = async (url) => {
-    try {
-        console.log('Making request to Instagram...');
-        
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': getRandomUserAgent(),
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Accept-Encoding': 'gzip, deflate',
-                'DNT': '1',
-                'Connection': 'keep-alive',
-                'Upgrade-Insecure-Requests': '1',
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'none',
-                'Cache-Control': 'max-age=0'
-            },
-            timeout: 15000,
-            maxRedirects: 5,
-            validateStatus: function (status) {
-                return status < 500; // Accept anything less than 500 as success for now
-            }
+// Main handler function
+const handleRequest = async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        Object.keys(corsHeaders).forEach(key => {
+            res.setHeader(key, corsHeaders[key]);
         });
+        return res.status(200).json({ success: true });
+    }
 
-        console.log('Instagram response:', {
-            status: response.status,
-            contentType: response.headers['content-type'],
-            contentLength: response.data.length
-        });
+    // Set CORS headers
+    Object.keys(corsHeaders).forEach(key => {
+        res.setHeader(key, corsHeaders[key]);
+    });
+
+    // Edge caching only where every client gets the same answer; with API keys a cached
+    // response would be served to callers without one. Media and job routes set their own.
+    res.setHeader('Cache-Control', authenticator.enabled ? 'private, no-store' : 'public, s-maxage=300');
+
+    const { url: requestUrl, method } = req;
+    const urlPath = requestUrl.replace(/^\/api/, '');
 
-        // Check for common Instagram error responses
-        if (response.status === 404) {
-            throw new Error('Instagram post not found (404) - post may be deleted or private');
+    try {
+        // Health check endpoint
+        if (urlPath === '/health' || requestUrl === '/health') {
+            const proxyStats = proxyPool.stats();
+            return res.status(200).json({
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                version: '1.0.0',
+                platform: 'Vercel Serverless',
+                apiVersion: config.apiVersion,
+                features: getEnabledFeatures(),
+                extractionStrategies: listStrategies().map(strategy => strategy.name),
+                authentication: authenticator.enabled ? 'api_key' : 'none',
+                cache: mediaCache.enabled ? mediaCache.backend.stats() : { backend: 'disabled' },
+                upstream: { ...upstreamLimiter.stats(), coalescing: coalescer.stats() },
+                proxies: { enabled: proxyPool.enabled, rotation: proxyPool.rotation, total: proxyStats.total, healthy: proxyStats.healthy },
+                config: getPublicConfig(config)
+            });
         }
-        
-        if (response.status === 429) {
-            throw new Error('Instagram rate limiting detected (429) - too many requests');
+
+        const endpoint = resolveEndpoint(getRoutePath(requestUrl), method);
+
+        // Routes switched off by feature flags
+        const endpointFlag = ENDPOINT_FLAGS[endpoint];
+        if (endpointFlag && !endpointFlag.enabled()) {
+            return sendError(res, new FeatureDisabledError(`The ${endpoint} endpoint is disabled on this deployment`, {
+                flag: endpointFlag.flag
+            }));
         }
-        
-        if (response.status >= 400) {
-            throw new Error(`Instagram returned error status: ${response.status}`);
+
+        // API key authentication - the health check stays public
+        let apiKey = null;
+        if (authenticator.enabled && endpoint) {
+            try {
+                apiKey = authenticator.authenticate(req, endpoint);
+            } catch (error) {
+                return sendError(res, error);
+            }
         }
 
-        // Check if we got redirected to login page
-        if (response.data.includes('login_and_signup_page') || 
-            response.data.includes('"require_login"') ||
-            response.data.includes('login/?next=')) {
-            throw new Error('Instagram requires login - post may be private or region restricted');
+        // A batch is charged per URL, so a malformed or oversized one is refused before it costs anything
+        if (endpoint === 'batch') {
+            const batchUrlsError = getBatchUrlsError(req);
+            if (batchUrlsError) {
+                return res.status(400).json(batchUrlsError);
+            }
         }
+        const requestCost = getRequestCost(req, endpoint);
 
-        // Check for age restriction
-        if (response.data.includes('age_restricted') || response.data.includes('sensitive_content')) {
-            throw new Error('Instagram post is age restricted or contains sensitive content');
+        // Rate limiting - everything except the health check counts against the client's quota
+        if (rateLimiter.limit > 0) {
+            try {
+                const rateLimit = await rateLimiter.consume(getClientKey(req, apiKey), requestCost.window);
+                setRateLimitHeaders(res, rateLimit);
+            } catch (error) {
+                if (error instanceof RateLimitExceededError) {
+                    setRateLimitHeaders(res, error.details);
+                    return sendError(res, error);
+                }
+                // A broken shared store shouldn't take the API down with it
+                console.error('Rate limiter unavailable, allowing request:', error.message);
+            }
         }
 
-        const result = extractMediaFromHtml(response.data, url);
-        
-        if (!result) {
-            console.log('Failed to extract media from HTML');
-            // Log a sample of the HTML for debugging
-            const htmlSample = response.data.substring(0, 1000);
-            console.log('HTML sample:', htmlSample);
+        // Daily quota for the authenticated key
+        if (apiKey) {
+            try {
+                const quota = await authenticator.consumeQuota(apiKey, requestCost.quota);
+                if (quota) setQuotaHeaders(res, quota);
+            } catch (error) {
+                if (error instanceof QuotaExceededError) {
+                    setQuotaHeaders(res, error.details);
+                    return sendError(res, error);
+                }
+                console.error('Quota store unavailable, allowing request:', error.message);
+            }
         }
-        
-        return result;
 
-    } catch (error) {
-        if (error.code === 'ECONNABORTED') {
-            console.error('Request timeout - Instagram may be slow or blocking');
-        } else if (error.code === 'ENOTFOUND') {
-            console.error('DNS resolution failed - network issue');
-        } else {
-            console.error('Direct scraping failed:', error.message);
+        // Profiles - GET /profile/:username and /profile/:username/posts?cursor=&limit=
+        if (endpoint === 'profile') {
+            const profileMatch = urlPath.match(/\/profile\/([^/?#]+)(\/posts)?\/?(?:[?#]|$)/);
+            const username = profileMatch ? decodeURIComponent(profileMatch[1]) : null;
+
+            if (!profileMatch) {
+                return res.status(404).json({
+                    error: 'Endpoint not found',
+                    code: 'NOT_FOUND',
+                    example: `/api${API_PREFIX}/profile/instagram/posts?limit=12`
+                });
+            }
+
+            if (!isValidUsername(username)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram username',
+                    code: 'INVALID_USERNAME'
+                });
+            }
+
+            if (!profileMatch[2]) {
+                try {
+                    const profile = await getProfileInfo(username, { onCacheStatus: status => res.setHeader('X-Cache', status) });
+
+                    return res.status(200).json({
+                        success: true,
+                        data: profile,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    console.error('Profile endpoint error:', error);
+                    return sendError(res, error, { username });
+                }
+            }
+
+            const { cursor } = req.query;
+            const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                return res.status(400).json({
+                    error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+                    code: 'INVALID_LIMIT'
+                });
+            }
+
+            const position = cursor ? decodeCursor(cursor) : null;
+            if (cursor && (!position || position.username !== username.toLowerCase())) {
+                return res.status(400).json({
+                    error: 'cursor is not one this API handed out for this profile',
+                    code: 'INVALID_CURSOR'
+                });
+            }
+
+            try {
+                const page = await fetchProfilePosts(username, { cursor: position, limit });
+
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        username: page.username || username,
+                        userId: page.userId,
+                        totalPosts: page.totalPosts,
+                        count: page.posts.length,
+                        posts: page.posts.map(post => ({
+                            ...post,
+                            download: `/api${API_PREFIX}/download?url=${encodeURIComponent(post.url)}`
+                        })),
+                        nextCursor: page.nextCursor,
+                        hasMore: page.hasMore
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Profile endpoint error:', error);
+                return sendError(res, error, { username });
+            }
         }
-        return null;
-    }
-};
 
-const extractMediaFromHtml = (html, sourceUrl = '') => {
-    try {
-        const $ = cheerio.load(html);
-        console.log('HTML content length:', html.length);
-        
-        // Method 1: Look for JSON-LD data in script tags
-        const scripts = $('script[type="application/ld+json"]');
-        let mediaData = null;
+        // Comments - GET /comments?url=&cursor=
+        if (endpoint === 'comments' && method === 'GET') {
+            const { url, cursor } = req.query;
+
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required',
+                    code: 'MISSING_URL',
+                    example: `/api${API_PREFIX}/comments?url=https://www.instagram.com/p/ABC123`
+                });
+            }
+
+            // Stories and highlights have no comments
+            if (!validateInstagramUrl(url) || parseStoryUrl(url)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram post URL',
+                    code: 'INVALID_URL',
+                    supportedFormats: [
+                        'https://www.instagram.com/p/POST_ID/',
+                        'https://www.instagram.com/reel/REEL_ID/',
+                        'https://www.instagram.com/tv/TV_ID/'
+                    ]
+                });
+            }
+
+            const position = cursor ? decodeCommentsCursor(cursor) : null;
+            if (cursor && (!position || position.mediaId !== shortcodeToMediaId(extractPostId(url)))) {
+                return res.status(400).json({
+                    error: 'cursor is not one this API handed out for this post',
+                    code: 'INVALID_CURSOR'
+                });
+            }
 
-        scripts.each((i, script) => {
             try {
-                const jsonData = JSON.parse($(script).html());
-                if (jsonData.video && jsonData.video.contentUrl) {
-                    mediaData = {
-                        type: 'video',
-                        videoUrl: jsonData.video.contentUrl,
-                        thumbnail: jsonData.video.thumbnailUrl,
-                        title: jsonData.headline || jsonData.name || 'Instagram Video',
-                        caption: jsonData.description || '',
-                        author: jsonData.author ? jsonData.author.name : 'Unknown',
-                        uploadDate: jsonData.uploadDate || new Date().toISOString()
-                    };
-                    console.log('Found video data in JSON-LD');
-                    return false; // break the loop
+                const page = await getComments(url, {
+                    cursor: position,
+                    onCacheStatus: status => res.setHeader('X-Cache', status)
+                });
+
+                return res.status(200).json({
+                    success: true,
+                    data: page,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Comments endpoint error:', error);
+                return sendError(res, error, { url });
+            }
+        }
+
+        // Debug endpoint for testing specific URLs
+        if (endpoint === 'debug' && method === 'GET') {
+            const { url, capture, overwrite } = req.query;
+            const overwriteFixture = overwrite === '1' || overwrite === 'true';
+
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required for debug endpoint',
+                    code: 'MISSING_URL'
+                });
+            }
+
+            // Captures go into a corpus someone chose with FIXTURE_DIR, never the deployed test/ tree
+            if (capture && !config.fixtureDir) {
+                return sendError(res, new FeatureDisabledError('Fixture capture needs FIXTURE_DIR to be set', {
+                    flag: 'FIXTURE_DIR'
+                }));
+            }
+
+            if (capture && !overwriteFixture) {
+                let exists;
+                try {
+                    exists = fixtureExists(capture, config.fixtureDir);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message, code: 'INVALID_FIXTURE_NAME' });
+                }
+                if (exists) {
+                    return res.status(409).json({
+                        error: `A fixture named "${capture}" already exists; add overwrite=1 to replace it`,
+                        code: 'FIXTURE_EXISTS'
+                    });
                 }
-            } catch (e) {
-                // Continue to next script
             }
-        });
 
-        // Method 2: Look for shared data in window._sharedData
-        if (!mediaData) {
-            const sharedDataMatch = html.match(/window\._sharedData\s*=\s*({.+?});/);
-            if (sharedDataMatch) {
+            try {
+                console.log('=== DEBUG MODE FOR URL ===', url);
+                const postId = extractPostId(url);
+                
+                const debugInfo = {
+                    url: url,
+                    postId: postId,
+                    isValidUrl: validateInstagramUrl(url),
+                    timestamp: new Date().toISOString()
+                };
+
+                // Try to get basic page info
                 try {
-                    const sharedData = JSON.parse(sharedDataMatch[1]);
-                    console.log('Found window._sharedData');
-                    mediaData = extractFromSharedData(sharedData, sourceUrl);
+                    const response = await instagramGet(url, {
+                        headers: getClientHeaders('page'),
+                        timeout: config.requestTimeout,
+                        // Error pages (404, login walls) are worth capturing too
+                        validateStatus: capture ? (status => status < 500) : undefined
+                    });
+                    
+                    debugInfo.httpStatus = response.status;
+                    debugInfo.contentLength = response.data.length;
+                    debugInfo.hasLoginRedirect = response.data.includes('login_and_signup_page');
+                    debugInfo.hasAgeRestriction = response.data.includes('age_restricted');
+
+                    if (capture) {
+                        const fixture = writeFixture(capture, response.data, url, response.status, config.fixtureDir, { overwrite: overwriteFixture });
+                        debugInfo.fixture = {
+                            name: fixture.name,
+                            htmlPath: fixture.htmlPath,
+                            expectedPath: fixture.expectedPath,
+                            expectation: fixture.expectation
+                        };
+                    }
                 } catch (e) {
-                    console.error('Error parsing shared data:', e.message);
+                    debugInfo.requestError = e.message;
                 }
+
+                return res.status(200).json({
+                    success: true,
+                    debug: debugInfo
+                });
+            } catch (error) {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Debug failed',
+                    message: error.message
+                });
             }
         }
 
-        // Method 3: Look for reel-specific data patterns
-        if (!mediaData) {
-            const reelPatterns = [
-                /"clips_metadata":\s*({[^}]+(?:{[^}]*}[^}]*)*})/,
-                /"video_url":\s*"([^"]+)"/,
-                /"video_versions":\s*\[([^\]]+)\]/,
-                /"dash_manifest":\s*"([^"]+)"/
-            ];
-
-            for (const pattern of reelPatterns) {
-                const match = html.match(pattern);
-                if (match) {
-                    try {
-                        console.log('Found reel-specific data');
-                        if (pattern.source.includes('video_url')) {
-                            // Direct video URL found
-                            const videoUrl = match[1];
-                            if (videoUrl && videoUrl.includes('cdninstagram.com')) {
-                                mediaData = {
-                                    type: 'video',
-                                    videoUrl: videoUrl,
-                                    thumbnail: extractThumbnailFromHtml(html),
-                                    title: 'Instagram Reel',
-                                    caption: extractCaptionFromHtml(html, sourceUrl),
-                                    author: extractAuthorFromHtml(html, sourceUrl)
-                                };
-                                break;
-                            }
-                        }
-                    } catch (e) {
-                        console.error('Error processing reel pattern:', e.message);
-                    }
+        // Stream endpoint - proxies the media bytes so clients get a stable, seekable URL
+        if (endpoint === 'stream' && (method === 'GET' || method === 'HEAD')) {
+            const { url, quality, disposition, strategies, index } = req.query;
+            const itemIndex = parseItemIndex(index);
+
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required',
+                    code: 'MISSING_URL',
+                    example: `/api${API_PREFIX}/stream?url=https://www.instagram.com/reel/ABC123`
+                });
+            }
+
+            if (!validateInstagramUrl(url)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram URL format',
+                    code: 'INVALID_URL'
+                });
+            }
+
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
+
+            const indexError = getIndexError(itemIndex);
+            if (indexError) {
+                return res.status(400).json(indexError);
+            }
+
+            const qualityError = getQualityError(quality);
+            if (qualityError) {
+                return res.status(400).json(qualityError);
+            }
+
+            let mediaInfo = null;
+
+            try {
+                mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+            } catch (error) {
+                console.error('Stream endpoint error:', error);
+                return sendError(res, error, { url });
+            }
+
+            if (itemIndex !== null) {
+                const slide = selectCarouselItem(mediaInfo, itemIndex);
+                if (!slide) {
+                    return res.status(404).json(getItemNotFoundBody(mediaInfo, itemIndex, url));
                 }
+                mediaInfo = slide;
             }
-        }
+            const source = selectStreamSource(mediaInfo, quality);
 
-        // Method 4: Look for additional window data patterns
-        if (!mediaData) {
-            const patterns = [
-                /window\.__additionalDataLoaded\(['"].*?['"],\s*({.+?})\);/,
-                /window\.__d\(['"]PolarisPostRoot\.react['"],\s*function[^}]+\},\s*({.+?})\);/,
-                /"require":\[\["PolarisPostRoot",.*?({.+?"shortcode_media".+?})/,
-                /"xdt_shortcode_media":\s*({.+?})/,
-                /"shortcode_media":\s*({.+?"video_url".+?})/
-            ];
-
-            for (const pattern of patterns) {
-                const match = html.match(pattern);
-                if (match) {
-                    try {
-                        const data = JSON.parse(match[1]);
-                        console.log('Found data in pattern match');
-                        mediaData = extractFromAdditionalData(data, sourceUrl);
-                        if (mediaData) break;
-                    } catch (e) {
-                        console.error('Error parsing pattern data:', e.message);
-                    }
+            if (!source) {
+                if (quality) {
+                    return res.status(404).json(getQualityNotFoundBody(mediaInfo, quality, url));
                 }
+                return res.status(404).json({
+                    error: 'No streamable media found for this post',
+                    code: 'MEDIA_NOT_FOUND',
+                    url: url
+                });
             }
-        }
 
-        // Method 5: Search for any JSON containing Instagram media data
-        if (!mediaData) {
-            const jsonRegex = /"shortcode_media":\s*({[^}]+(?:{[^}]*}[^}]*)*})/g;
-            let match;
-            while ((match = jsonRegex.exec(html)) !== null) {
-                try {
-                    const mediaObj = JSON.parse(match[1]);
-                    console.log('Found shortcode_media in JSON');
-                    mediaData = processMediaObject(mediaObj, sourceUrl);
-                    if (mediaData && mediaData.type === 'video') break; // Prefer video results
-                } catch (e) {
-                    // Continue searching
+            try {
+                await viaProxy(proxyOptions => proxyMediaStream(source.url, req, res, {
+                    mediaInfo,
+                    type: source.type,
+                    disposition,
+                    headers: getClientHeaders('media'),
+                    timeout: config.requestTimeout,
+                    proxyOptions
+                }));
+                return;
+            } catch (error) {
+                console.error('Media proxy error:', error.message);
+
+                if (res.headersSent) {
+                    return;
                 }
+
+                return sendError(res, error, { url });
             }
         }
 
-        // Method 6: Enhanced reel video detection
-        if (!mediaData || mediaData.type === 'image') {
-            console.log('Trying enhanced reel detection...');
-            const reelVideoData = extractReelVideoData(html, sourceUrl);
-            if (reelVideoData) {
-                console.log('Found reel video data');
-                mediaData = reelVideoData;
+        // Mux endpoint - DASH-only videos ship video and audio as separate tracks; join them into one MP4
+        if (endpoint === 'mux' && (method === 'GET' || method === 'HEAD')) {
+            const { url, quality, disposition, strategies, index, allowSilent } = req.query;
+            const itemIndex = parseItemIndex(index);
+
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required',
+                    code: 'MISSING_URL',
+                    example: `/api${API_PREFIX}/mux?url=https://www.instagram.com/reel/ABC123`
+                });
             }
-        }
 
-        // Method 7: Look for meta tags (fallback, but force video for reel URLs)
-        if (!mediaData) {
-            const videoUrl = $('meta[property="og:video"]').attr('content') || 
-                           $('meta[property="og:video:url"]').attr('content');
-            const imageUrl = $('meta[property="og:image"]').attr('content');
-            const title = $('meta[property="og:title"]').attr('content');
-            const description = $('meta[property="og:description"]').attr('content');
+            if (!validateInstagramUrl(url)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram URL format',
+                    code: 'INVALID_URL'
+                });
+            }
 
-            if (videoUrl || imageUrl) {
-                console.log('Found media data in meta tags');
-                
-                // For reel URLs, prefer video type even if only image found
-                const isReelUrl = html.includes('/reel/') || title?.toLowerCase().includes('reel');
-                
-                mediaData = {
-                    type: (videoUrl || isReelUrl) ? 'video' : 'image',
-                    videoUrl: videoUrl,
-                    imageUrl: imageUrl,
-                    thumbnail: imageUrl,
-                    title: title || 'Instagram Post',
-                    caption: extractCaptionFromHtml(html, sourceUrl) || description || '',
-                    author: extractAuthorFromHtml(html, sourceUrl) || 'Unknown'
-                };
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
             }
-        }
 
-        // Log what we found
-        if (mediaData) {
-            console.log('Successfully extracted media data:', {
-                type: mediaData.type,
-                hasVideoUrl: !!mediaData.videoUrl,
-                hasImageUrl: !!mediaData.imageUrl,
-                hasCaption: !!mediaData.caption,
-                method: mediaData.extractionMethod || 'unknown'
-            });
-        } else {
-            console.log('No media data found in HTML');
-            // Log some debugging info
-            console.log('Page title:', $('title').text());
-            console.log('Meta description:', $('meta[name="description"]').attr('content'));
-            console.log('Has script tags:', $('script').length);
-        }
+            const indexError = getIndexError(itemIndex);
+            if (indexError) {
+                return res.status(400).json(indexError);
+            }
 
-        return mediaData;
-    } catch (error) {
-        console.error('HTML extraction failed:', error);
-        return null;
-    }
-};
+            const qualityError = getQualityError(quality);
+            if (qualityError) {
+                return res.status(400).json(qualityError);
+            }
 
-const extractFromSharedData = (sharedData, sourceUrl = '') => {
-    try {
-        const entryData = sharedData.entry_data;
-        let mediaInfo = null;
+            let mediaInfo = null;
 
-        if (entryData.PostPage && entryData.PostPage[0]) {
-            const media = entryData.PostPage[0].graphql.shortcode_media;
-            mediaInfo = processMediaObject(media, sourceUrl);
-        }
+            try {
+                mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+            } catch (error) {
+                console.error('Mux endpoint error:', error);
+                return sendError(res, error, { url });
+            }
 
-        return mediaInfo;
-    } catch (error) {
-        console.error('Error extracting from shared data:', error);
-        return null;
-    }
-};
+            if (itemIndex !== null) {
+                const slide = selectCarouselItem(mediaInfo, itemIndex);
+                if (!slide) {
+                    return res.status(404).json(getItemNotFoundBody(mediaInfo, itemIndex, url));
+                }
+                mediaInfo = slide;
+            }
 
-const extractFromAdditionalData = (additionalData, sourceUrl = '') => {
-    try {
-        // Multiple ways to find the media data
-        let media = null;
-        
-        // Method 1: Direct path
-        if (additionalData.graphql && additionalData.graphql.shortcode_media) {
-            media = additionalData.graphql.shortcode_media;
-        }
-        // Method 2: Look for any shortcode_media in the object
-        else if (additionalData.shortcode_media) {
-            media = additionalData.shortcode_media;
-        }
-        // Method 3: Deep search for shortcode_media
-        else {
-            const searchForMedia = (obj) => {
-                if (typeof obj !== 'object' || obj === null) return null;
-                
-                if (obj.shortcode_media) return obj.shortcode_media;
-                
-                for (const key in obj) {
-                    if (key === 'shortcode_media') return obj[key];
-                    if (typeof obj[key] === 'object') {
-                        const result = searchForMedia(obj[key]);
-                        if (result) return result;
-                    }
+            const tracks = mediaInfo.tracks || { video: [], audio: [] };
+            if (!tracks.video || tracks.video.length === 0) {
+                return res.status(404).json({
+                    error: 'This post has no separate DASH tracks to mux',
+                    code: 'TRACKS_NOT_FOUND',
+                    hasProgressiveMp4: Boolean(mediaInfo.hasProgressiveMp4),
+                    url: url
+                });
+            }
+
+            const videoTrack = selectVariant(tracks.video, parseQualitySpec(quality));
+            if (!videoTrack) {
+                return res.status(404).json({
+                    ...getQualityNotFoundBody(mediaInfo, quality, url),
+                    availableQualities: tracks.video.map(track => track.label)
+                });
+            }
+            const audioTrack = (tracks.audio || [])[0] || null;
+            // A silent video is what /mux exists to avoid, so it is only sent when asked for
+            if (!audioTrack && allowSilent !== '1' && allowSilent !== 'true') {
+                return sendError(res, new UnsupportedMediaError('This video has no audio track to mux (pass allowSilent=1 for the video alone)', {
+                    audioTrack: false
+                }), { url });
+            }
+
+            try {
+                const fetchOptions = {
+                    headers: getClientHeaders('media'),
+                    timeout: config.requestTimeout,
+                    maxBytes: config.muxMaxBytes
+                };
+                const [video, audio] = await Promise.all([
+                    viaProxy(proxyOptions => fetchMediaBuffer(videoTrack.url, { ...fetchOptions, proxyOptions })),
+                    audioTrack ? viaProxy(proxyOptions => fetchMediaBuffer(audioTrack.url, { ...fetchOptions, proxyOptions })) : null
+                ]);
+
+                res.setHeader('X-Mux-Video', videoTrack.label);
+                res.setHeader('X-Mux-Audio', audioTrack ? 'included' : 'none');
+                await sendMuxedMedia(muxFragmentedTracks({ video, audio }), req, res, { mediaInfo, disposition });
+                return;
+            } catch (error) {
+                console.error('Mux error:', error.message);
+
+                if (res.headersSent) {
+                    return;
                 }
-                return null;
-            };
-            
-            media = searchForMedia(additionalData);
-        }
-        
-        if (media) {
-            console.log('Found media object in additional data');
-            return processMediaObject(media, sourceUrl);
+
+                return sendError(res, error, { url });
+            }
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Error extracting from additional data:', error);
-        return null;
-    }
-};
 
-const processMediaObject = (media, sourceUrl = '') => {
-    try {
-        console.log('Processing media object:', {
-            has_shortcode: !!media.shortcode,
-            has_owner: !!media.owner,
-            is_video: media.is_video,
-            typename: media.__typename,
-            has_video_url: !!media.video_url
-        });
+        // Audio endpoint - a reel's sound, for building sound libraries
+        if (endpoint === 'audio' && (method === 'GET' || method === 'HEAD')) {
+            const { url, format = 'json', disposition, strategies, index } = req.query;
+            const itemIndex = parseItemIndex(index);
+
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required',
+                    code: 'MISSING_URL',
+                    example: `/api${API_PREFIX}/audio?url=https://www.instagram.com/reel/ABC123`
+                });
+            }
 
-        // Check if this is a reel based on URL or content
-        const isReel = isReelUrl(sourceUrl) || media.__typename === 'GraphVideo' || 
-                      media.product_type === 'clips' || sourceUrl.includes('/reel/');
-
-        const result = {
-            type: media.is_video || isReel ? 'video' : 'image',
-            postId: media.shortcode || media.id || 'unknown',
-            author: media.owner?.username || 'unknown',
-            caption: '',
-            likes: 0,
-            comments: 0,
-            timestamp: media.taken_at_timestamp || Date.now(),
-            isCarousel: media.__typename === 'GraphSidecar',
-            isReel: isReel
-        };
+            if (!validateInstagramUrl(url)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram URL format',
+                    code: 'INVALID_URL'
+                });
+            }
 
-        // Extract caption safely with multiple methods
-        try {
-            if (media.edge_media_to_caption?.edges?.[0]?.node?.text) {
-                result.caption = media.edge_media_to_caption.edges[0].node.text;
-            } else if (media.caption?.text) {
-                result.caption = media.caption.text;
-            } else if (media.caption) {
-                result.caption = typeof media.caption === 'string' ? media.caption : '';
-            }
-        } catch (e) {
-            console.log('Could not extract caption:', e.message);
-        }
+            if (!['json', 'm4a'].includes(format)) {
+                return res.status(400).json({
+                    error: 'format must be json (metadata) or m4a (the audio file)',
+                    code: 'INVALID_FORMAT'
+                });
+            }
 
-        // Extract engagement safely
-        try {
-            result.likes = media.edge_media_preview_like?.count || media.like_count || 0;
-            result.comments = media.edge_media_to_comment?.count || media.comment_count || 0;
-        } catch (e) {
-            console.log('Could not extract engagement:', e.message);
-        }
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
 
-        // Handle video content (including reels)
-        if (media.is_video || isReel || media.video_url) {
-            result.type = 'video'; // Force video type for reels
-            
-            // Extract video URL with proper cleaning
-            let videoUrl = media.video_url;
-            
-            // If no direct video_url, try video_versions
-            if (!videoUrl && media.video_versions && Array.isArray(media.video_versions)) {
-                // Get the highest quality version or first available
-                const bestVersion = media.video_versions.find(v => v.url && v.width >= 480) || 
-                                  media.video_versions[0];
-                if (bestVersion && bestVersion.url) {
-                    videoUrl = bestVersion.url;
-                }
+            const indexError = getIndexError(itemIndex);
+            if (indexError) {
+                return res.status(400).json(indexError);
             }
-            
-            // Clean the video URL
-            if (videoUrl) {
-                videoUrl = videoUrl
-                    .replace(/\\u0026/g, '&')
-                    .replace(/\\/g, '')
-                    .replace(/^["']|["']$/g, '');
+
+            let mediaInfo = null;
+
+            try {
+                mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+            } catch (error) {
+                console.error('Audio endpoint error:', error);
+                return sendError(res, error, { url });
             }
-            
-            result.videoUrl = videoUrl;
-            result.thumbnail = media.display_url || media.thumbnail_url;
-            result.duration = media.video_duration || 0;
-            result.viewCount = media.video_view_count || media.play_count || 0;
-            
-            // Add quality options with clean URLs
-            result.qualities = [];
-            if (videoUrl) {
-                result.qualities.push({
-                    quality: 'original',
-                    url: videoUrl,
-                    width: media.dimensions?.width || 0,
-                    height: media.dimensions?.height || 0
-                });
+
+            if (itemIndex !== null) {
+                const slide = selectCarouselItem(mediaInfo, itemIndex);
+                if (!slide) {
+                    return res.status(404).json(getItemNotFoundBody(mediaInfo, itemIndex, url));
+                }
+                mediaInfo = slide;
             }
-            
-            // Process video_versions for multiple qualities
-            if (media.video_versions && Array.isArray(media.video_versions)) {
-                media.video_versions.forEach(version => {
-                    if (version.url && version.url !== videoUrl) {
-                        const cleanUrl = version.url
-                            .replace(/\\u0026/g, '&')
-                            .replace(/\\/g, '')
-                            .replace(/^["']|["']$/g, '');
-                            
-                        result.qualities.push({
-                            quality: `${version.width}x${version.height}`,
-                            url: cleanUrl,
-                            width: version.width || 0,
-                            height: version.height || 0
-                        });
-                    }
+
+            const source = selectAudioSource(mediaInfo);
+            if (!source) {
+                return res.status(404).json({
+                    error: 'This post has no audio',
+                    code: 'AUDIO_NOT_FOUND',
+                    type: mediaInfo.type,
+                    url: url
                 });
             }
-        } else {
-            result.imageUrl = media.display_url || media.thumbnail_url;
-            result.images = [];
-            if (media.display_url) {
-                result.images.push({
-                    quality: 'original',
-                    url: media.display_url,
-                    width: media.dimensions?.width || 0,
-                    height: media.dimensions?.height || 0
+
+            if (format === 'json') {
+                const fileQuery = new URLSearchParams({ url, format: 'm4a', ...(itemIndex !== null ? { index: String(itemIndex) } : {}) });
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        postId: extractPostId(url),
+                        author: mediaInfo.author,
+                        audio: mediaInfo.audio || null,
+                        source: source.kind,
+                        // A demuxed track has no URL of its own; fileUrl serves every kind
+                        audioUrl: source.kind === 'demux' ? null : source.url,
+                        mimeType: source.mimeType || 'audio/mp4',
+                        codecs: source.codecs || null,
+                        bandwidth: source.bandwidth || null,
+                        fileUrl: `/api${API_PREFIX}/audio?${fileQuery}`
+                    },
+                    timestamp: new Date().toISOString()
                 });
             }
-        }
 
-        // Handle carousel posts safely
-        if (media.__typename === 'GraphSidecar' && media.edge_sidecar_to_children?.edges) {
-            result.items = media.edge_sidecar_to_children.edges.map(edge => {
-                const node = edge.node;
-                return {
-                    type: node.is_video ? 'video' : 'image',
-                    url: node.is_video ? node.video_url : node.display_url,
-                    thumbnail: node.display_url,
-                    dimensions: node.dimensions || { width: 0, height: 0 }
-                };
-            });
-        }
+            try {
+                res.setHeader('X-Audio-Source', source.kind);
+
+                if (source.kind !== 'demux') {
+                    await viaProxy(proxyOptions => proxyMediaStream(source.url, req, res, {
+                        mediaInfo,
+                        type: 'audio',
+                        extension: 'm4a',
+                        // The catalogue song rather than the reel's soundtrack, so named apart from it
+                        filename: source.kind === 'music-asset'
+                            ? buildDownloadFilename({ ...mediaInfo, postId: [mediaInfo.postId, 'music'].filter(Boolean).join('_') }, 'm4a')
+                            : undefined,
+                        disposition,
+                        headers: getClientHeaders('media'),
+                        timeout: config.requestTimeout,
+                        proxyOptions
+                    }));
+                    return;
+                }
 
-        console.log('Successfully processed media object:', {
-            type: result.type,
-            hasVideoUrl: !!result.videoUrl,
-            hasImageUrl: !!result.imageUrl,
-            hasCaption: !!result.caption,
-            captionLength: result.caption.length,
-            isReel: result.isReel
-        });
+                const video = await viaProxy(proxyOptions => fetchMediaBuffer(source.url, {
+                    headers: getClientHeaders('media'),
+                    timeout: config.requestTimeout,
+                    maxBytes: config.muxMaxBytes,
+                    proxyOptions
+                }));
+                await sendMuxedMedia(extractAudioTrack(video), req, res, {
+                    mediaInfo,
+                    disposition,
+                    contentType: 'audio/mp4',
+                    extension: 'm4a'
+                });
+                return;
+            } catch (error) {
+                console.error('Audio extraction error:', error.message);
 
-        return result;
-    } catch (error) {
-        console.error('Error processing media object:', error);
-        
-        // Return minimal object if we have at least some data
-        // For reel URLs, force video type even if detection failed
-        const isReel = isReelUrl(sourceUrl) || sourceUrl.includes('/reel/');
-        
-        if (media.video_url || media.display_url || isReel) {
-            return {
-                type: (media.video_url || isReel) ? 'video' : 'image',
-                postId: media.shortcode || 'unknown',
-                author: media.owner?.username || 'unknown',
-                caption: '',
-                videoUrl: media.video_url,
-                imageUrl: media.display_url,
-                thumbnail: media.display_url,
-                isReel: isReel
-            };
-        }
-        
-        return null;
-    }
-};
+                if (res.headersSent) {
+                    return;
+                }
 
-// Main media extraction function
-const getMediaInfo = async (url, attempt = 1) => {
-    try {
-        console.log(`Attempt ${attempt} for URL:`, url);
-        
-        const postId = extractPostId(url);
-        if (!postId) {
-            throw new Error('Invalid Instagram URL format - could not extract post ID');
-        }
-        
-        console.log('Extracted post ID:', postId);
-
-        // Check cache first
-        const cacheKey = `media_${postId}`;
-        const cachedResult = getFromCache(cacheKey);
-        if (cachedResult) {
-            console.log('Returning cached result');
-            return cachedResult;
+                return sendError(res, error, { url });
+            }
         }
 
-        // Try direct scraping
-        console.log('Attempting direct scraping...');
-        let result = await scrapeDirectly(url);
-        
-        if (!result && attempt <= 3) {
-            console.log(`Attempt ${attempt} failed, retrying...`);
-            await delay(2000 * attempt);
-            return getMediaInfo(url, attempt + 1);
-        }
+        // Thumbnail endpoint - one rendition of the picture or cover, resized and re-encoded on request
+        if (endpoint === 'thumbnail' && (method === 'GET' || method === 'HEAD')) {
+            const { url, format, disposition, strategies, index } = req.query;
+            const itemIndex = parseItemIndex(index);
+            const width = parseThumbnailWidth(req.query.width);
+            const imageFormat = normalizeImageFormat(format);
 
-        if (result) {
-            console.log('Successfully extracted media info');
-            setCache(cacheKey, result);
-            return result;
-        }
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL parameter is required',
+                    code: 'MISSING_URL',
+                    example: `/api${API_PREFIX}/thumbnail?url=https://www.instagram.com/p/ABC123&width=320&format=webp`
+                });
+            }
 
-        // If we get here, all extraction methods failed
-        const errorMsg = `Failed to extract media information after ${attempt} attempts. Instagram may have changed their structure or the post may be private/deleted.`;
-        console.error(errorMsg);
-        throw new Error(errorMsg);
+            if (!validateInstagramUrl(url)) {
+                return res.status(400).json({
+                    error: 'Invalid Instagram URL format',
+                    code: 'INVALID_URL'
+                });
+            }
 
-    } catch (error) {
-        console.error(`getMediaInfo error (attempt ${attempt}):`, error.message);
-        
-        if (attempt <= 3) {
-            console.log(`Retrying attempt ${attempt + 1}...`);
-            await delay(2000 * attempt);
-            return getMediaInfo(url, attempt + 1);
-        }
-        
-        // After all retries failed, throw with more context
-        throw new Error(`Failed to extract media information: ${error.message}. This could be due to: 1) Private/deleted post, 2) Instagram blocking the request, 3) Changed Instagram structure, 4) Invalid URL format.`);
-    }
-};
+            const widthError = getThumbnailWidthError(width);
+            if (widthError) {
+                return res.status(400).json(widthError);
+            }
 
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-};
+            if (!imageFormat) {
+                return res.status(400).json({
+                    error: `format must be one of: ${IMAGE_FORMATS.join(', ')}`,
+                    code: 'INVALID_FORMAT'
+                });
+            }
 
-// Main handler function
-module.exports = async (req, res) => {
-    // Handle CORS preflight
-    if (req.method === 'OPTIONS') {
-        Object.keys(corsHeaders).forEach(key => {
-            res.setHeader(key, corsHeaders[key]);
-        });
-        return res.status(200).json({ success: true });
-    }
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
 
-    // Set CORS headers
-    Object.keys(corsHeaders).forEach(key => {
-        res.setHeader(key, corsHeaders[key]);
-    });
+            const indexError = getIndexError(itemIndex);
+            if (indexError) {
+                return res.status(400).json(indexError);
+            }
 
-    const { url: requestUrl, method } = req;
-    const urlPath = requestUrl.replace(/^\/api/, '');
+            let mediaInfo = null;
 
-    try {
-        // Health check endpoint
-        if (urlPath === '/health' || requestUrl === '/health') {
-            return res.status(200).json({
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                version: '1.0.0',
-                platform: 'Vercel Serverless',
-                features: ['video_download', 'image_download', 'batch_processing', 'reel_captions']
-            });
-        }
+            try {
+                mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+            } catch (error) {
+                console.error('Thumbnail endpoint error:', error);
+                return sendError(res, error, { url });
+            }
 
-        // Debug endpoint for testing specific URLs
-        if ((urlPath.startsWith('/v1/debug') || requestUrl.includes('/debug')) && method === 'GET') {
-            const { url } = req.query;
+            if (itemIndex !== null) {
+                const slide = selectCarouselItem(mediaInfo, itemIndex);
+                if (!slide) {
+                    return res.status(404).json(getItemNotFoundBody(mediaInfo, itemIndex, url));
+                }
+                mediaInfo = slide;
+            }
 
-            if (!url) {
-                return res.status(400).json({
-                    error: 'URL parameter is required for debug endpoint',
-                    code: 'MISSING_URL'
+            const rendition = selectRendition(getImageRenditions(mediaInfo), width);
+            if (!rendition) {
+                return res.status(404).json({
+                    error: 'This post has no picture or cover image',
+                    code: 'THUMBNAIL_NOT_FOUND',
+                    type: mediaInfo.type,
+                    url: url
                 });
             }
 
             try {
-                console.log('=== DEBUG MODE FOR URL ===', url);
-                const postId = extractPostId(url);
-                
-                const debugInfo = {
-                    url: url,
-                    postId: postId,
-                    isValidUrl: validateInstagramUrl(url),
-                    timestamp: new Date().toISOString()
-                };
-
-                // Try to get basic page info
-                try {
-                    const response = await axios.get(url, {
-                        headers: { 'User-Agent': getRandomUserAgent() },
-                        timeout: 10000
-                    });
-                    
-                    debugInfo.httpStatus = response.status;
-                    debugInfo.contentLength = response.data.length;
-                    debugInfo.hasLoginRedirect = response.data.includes('login_and_signup_page');
-                    debugInfo.hasAgeRestriction = response.data.includes('age_restricted');
-                } catch (e) {
-                    debugInfo.requestError = e.message;
-                }
-
-                return res.status(200).json({
-                    success: true,
-                    debug: debugInfo
+                const source = await viaProxy(proxyOptions => fetchMediaBuffer(rendition.url, {
+                    headers: getClientHeaders('media'),
+                    timeout: config.requestTimeout,
+                    maxBytes: MAX_THUMBNAIL_SOURCE_BYTES,
+                    accept: 'image/jpeg,image/*;q=0.8',
+                    proxyOptions
+                }));
+                const image = renderImage(source, { width, format: imageFormat });
+
+                res.setHeader('X-Thumbnail-Source', rendition.width ? `${rendition.width}x${rendition.height}` : 'unknown');
+                res.setHeader('X-Thumbnail-Size', `${image.width}x${image.height}`);
+                sendRenderedImage(image, req, res, {
+                    mediaInfo,
+                    disposition,
+                    maxAge: config.thumbnailMaxAge,
+                    private: authenticator.enabled
                 });
+                return;
             } catch (error) {
-                return res.status(500).json({
-                    success: false,
-                    error: 'Debug failed',
-                    message: error.message
-                });
+                console.error('Thumbnail error:', error.message);
+                return sendError(res, error, { url });
             }
         }
 
         // Download endpoint
-        if ((urlPath.startsWith('/v1/download') || requestUrl.includes('/download')) && method === 'GET') {
-            const { url } = req.query;
+        if (endpoint === 'download' && method === 'GET') {
+            const { url, strategies, index, captionFormat, quality } = req.query;
+            const itemIndex = parseItemIndex(index);
 
             if (!url) {
                 return res.status(400).json({
                     error: 'URL parameter is required',
                     code: 'MISSING_URL',
-                    example: '/api/v1/download?url=https://www.instagram.com/p/ABC123'
+                    example: `/api${API_PREFIX}/download?url=https://www.instagram.com/p/ABC123`
                 });
             }
 
@@ -1103,77 +1366,158 @@ module.exports = async (req, res) => {
                     supportedFormats: [
                         'https://www.instagram.com/p/POST_ID/',
                         'https://www.instagram.com/reel/REEL_ID/',
-                        'https://www.instagram.com/tv/TV_ID/'
+                        'https://www.instagram.com/tv/TV_ID/',
+                        'https://www.instagram.com/stories/USERNAME/STORY_ID/',
+                        'https://www.instagram.com/stories/highlights/HIGHLIGHT_ID/'
                     ]
                 });
             }
 
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
+
+            const indexError = getIndexError(itemIndex);
+            if (indexError) {
+                return res.status(400).json(indexError);
+            }
+
+            const captionFormatError = getCaptionFormatError(captionFormat);
+            if (captionFormatError) {
+                return res.status(400).json(captionFormatError);
+            }
+
+            const qualityError = getQualityError(quality);
+            if (qualityError) {
+                return res.status(400).json(qualityError);
+            }
+
             try {
-                const mediaInfo = await getMediaInfo(url);
-
-                if (!mediaInfo) {
-                    return res.status(404).json({
-                        error: 'Could not extract media information from URL',
-                        code: 'EXTRACTION_FAILED',
-                        url: url,
-                        possibleReasons: [
-                            'Post may be private or deleted',
-                            'Instagram may be blocking requests',
-                            'Post may be age-restricted',
-                            'Instagram structure may have changed'
-                        ],
-                        suggestion: 'Try the debug endpoint: /api/v1/debug?url=YOUR_URL'
-                    });
+                const mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+
+                let media = mediaInfo;
+                if (itemIndex !== null) {
+                    media = selectCarouselItem(mediaInfo, itemIndex);
+                    if (!media) {
+                        return res.status(404).json(getItemNotFoundBody(mediaInfo, itemIndex, url));
+                    }
+                }
+
+                // ?quality= swaps the top-level videoUrl (or imageUrl) for the requested rendition
+                const selected = applyQuality(media, quality);
+                if (!selected) {
+                    return res.status(404).json(getQualityNotFoundBody(media, quality, url));
                 }
 
                 return res.status(200).json({
                     success: true,
-                    data: mediaInfo,
+                    data: withCaptionFormat(selected, captionFormat),
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
                 console.error('Download endpoint error:', error);
-                
-                return res.status(500).json({
-                    error: 'Failed to process Instagram URL',
-                    code: 'PROCESSING_ERROR',
-                    message: error.message,
-                    url: url,
-                    timestamp: new Date().toISOString()
+                return sendError(res, error, { url });
+            }
+        }
+
+        // Proxy pool status - health, cooldowns and per-proxy counters (credentials redacted)
+        if (endpoint === 'proxies' && method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                data: { enabled: proxyPool.enabled, ...proxyPool.stats() },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Job status - GET /jobs/:id, per-URL progress and results of an async batch
+        if (endpoint === 'jobs' && method === 'GET') {
+            const jobMatch = urlPath.match(/\/jobs\/([^/?#]+)\/?(?:[?#]|$)/);
+            const job = jobMatch ? await jobQueue.get(decodeURIComponent(jobMatch[1])) : null;
+
+            if (!job || (job.owner && job.owner !== getClientKey(req, apiKey))) {
+                return res.status(404).json({
+                    error: 'Job not found - it may have expired',
+                    code: 'JOB_NOT_FOUND'
                 });
             }
+
+            jobQueue.resume(job);
+            // Polled for progress, so never served from a cache
+            res.setHeader('Cache-Control', 'no-store');
+
+            return res.status(200).json({
+                success: true,
+                data: toJobView(job),
+                timestamp: new Date().toISOString()
+            });
         }
 
         // Batch download endpoint
-        if ((urlPath.startsWith('/v1/download/batch') || requestUrl.includes('/download/batch')) && method === 'POST') {
+        if (endpoint === 'batch') {
             const { urls } = req.body;
+            const strategies = req.body.strategies || req.query.strategies;
+            const captionFormat = req.body.captionFormat || req.query.captionFormat;
+            // urls was checked before the request was charged
+            const isAsync = isAsyncBatch(req);
+            const streamFormat = req.query.stream || req.body.stream;
+
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
 
-            if (!urls || !Array.isArray(urls)) {
-                return res.status(400).json({
-                    error: 'URLs array is required in request body',
-                    code: 'MISSING_URLS',
-                    example: { urls: ['https://www.instagram.com/p/ABC123', 'https://www.instagram.com/reel/XYZ789'] }
-                });
+            const captionFormatError = getCaptionFormatError(captionFormat);
+            if (captionFormatError) {
+                return res.status(400).json(captionFormatError);
             }
 
-            if (urls.length > 10) {
+            if (streamFormat && (isAsync || !EVENT_STREAM_FORMATS.includes(streamFormat))) {
                 return res.status(400).json({
-                    error: 'Maximum 10 URLs allowed per batch request',
-                    code: 'TOO_MANY_URLS',
-                    limit: 10
+                    error: `stream must be one of: ${EVENT_STREAM_FORMATS.join(', ')} (and can't be combined with async)`,
+                    code: 'INVALID_STREAM'
                 });
             }
 
-            const results = await Promise.allSettled(
-                urls.map(async (url) => {
-                    if (!validateInstagramUrl(url)) {
-                        throw new Error(`Invalid URL format: ${url}`);
-                    }
-                    
-                    const mediaInfo = await getMediaInfo(url);
-                    return { url, data: mediaInfo };
-                })
-            );
+            if (isAsync) {
+                const { callbackUrl } = req.body;
+
+                if (callbackUrl !== undefined && !config.webhookSecret) {
+                    return res.status(400).json({
+                        error: 'Webhooks need WEBHOOK_SECRET to be set on this deployment',
+                        code: 'WEBHOOKS_NOT_CONFIGURED'
+                    });
+                }
+
+                const callbackUrlError = callbackUrl !== undefined && getCallbackUrlError(callbackUrl);
+                if (callbackUrlError) {
+                    return res.status(400).json({
+                        error: callbackUrlError,
+                        code: 'INVALID_CALLBACK_URL'
+                    });
+                }
+
+                const job = await jobQueue.create({
+                    urls,
+                    options: { strategies, captionFormat },
+                    callbackUrl: callbackUrl || null,
+                    // With API keys on, only the key that made a job can read it
+                    owner: apiKey ? getClientKey(req, apiKey) : null
+                });
+                // Keeps running after the response; polling resumes it if this instance goes away
+                jobQueue.start(job.id);
+
+                const statusUrl = `/api${API_PREFIX}/jobs/${job.id}`;
+                res.setHeader('Location', statusUrl);
+                return res.status(202).json({
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    total: job.total,
+                    statusUrl,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
             const response = {
                 success: true,
@@ -1184,30 +1528,41 @@ module.exports = async (req, res) => {
                 timestamp: new Date().toISOString()
             };
 
-            results.forEach((result, index) => {
-                if (result.status === 'fulfilled') {
-                    response.successful++;
-                    response.results.push({
-                        url: urls[index],
-                        success: true,
-                        data: result.value.data
-                    });
-                } else {
-                    response.failed++;
-                    response.results.push({
-                        url: urls[index],
-                        success: false,
-                        error: result.reason.message
-                    });
-                }
+            // Streamed: one event per URL as it settles, in settle order, then the totals
+            if (streamFormat) {
+                const events = openEventStream(res, streamFormat);
+
+                await Promise.all(urls.map(async (url, index) => {
+                    const result = await settleBatchUrl(url, { strategies, captionFormat });
+                    if (result.success) response.successful++;
+                    else response.failed++;
+                    events.send('result', { index, ...result });
+                }));
+
+                events.send('summary', {
+                    success: true,
+                    total: response.total,
+                    successful: response.successful,
+                    failed: response.failed,
+                    timestamp: new Date().toISOString()
+                });
+                events.end();
+                return;
+            }
+
+            response.results = await Promise.all(urls.map(url => settleBatchUrl(url, { strategies, captionFormat })));
+            response.results.forEach((result) => {
+                if (result.success) response.successful++;
+                else response.failed++;
             });
+            response.timestamp = new Date().toISOString();
 
             return res.status(200).json(response);
         }
 
         // Info endpoint (metadata only)
-        if ((urlPath.startsWith('/v1/info') || requestUrl.includes('/info')) && method === 'GET') {
-            const { url } = req.query;
+        if (endpoint === 'info' && method === 'GET') {
+            const { url, strategies, captionFormat } = req.query;
 
             if (!url || !validateInstagramUrl(url)) {
                 return res.status(400).json({
@@ -1216,35 +1571,57 @@ module.exports = async (req, res) => {
                 });
             }
 
-            const mediaInfo = await getMediaInfo(url);
+            const strategyError = getStrategyError(strategies);
+            if (strategyError) {
+                return res.status(400).json(strategyError);
+            }
+
+            const captionFormatError = getCaptionFormatError(captionFormat);
+            if (captionFormatError) {
+                return res.status(400).json(captionFormatError);
+            }
+
+            let mediaInfo;
+            try {
+                mediaInfo = await getMediaInfo(url, { strategies, onCacheStatus: status => res.setHeader('X-Cache', status) });
+            } catch (error) {
+                console.error('Info endpoint error:', error);
+                return sendError(res, error, { url });
+            }
             
-            if (mediaInfo) {
-                // Remove download URLs for info-only endpoint
-                const infoOnly = { ...mediaInfo };
-                delete infoOnly.videoUrl;
-                delete infoOnly.imageUrl;
-                delete infoOnly.qualities;
-                delete infoOnly.images;
-                
-                if (infoOnly.items) {
-                    infoOnly.items = infoOnly.items.map(item => {
-                        const itemCopy = { ...item };
-                        delete itemCopy.url;
-                        return itemCopy;
-                    });
-                }
-                
-                return res.status(200).json({
-                    success: true,
-                    data: infoOnly,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                return res.status(404).json({
-                    error: 'Media not found or could not be processed',
-                    code: 'NOT_FOUND'
+            // Remove download URLs for info-only endpoint
+            const infoOnly = withCaptionFormat({ ...mediaInfo }, captionFormat);
+            delete infoOnly.videoUrl;
+            delete infoOnly.imageUrl;
+            delete infoOnly.qualities;
+            delete infoOnly.images;
+            if (infoOnly.tracks) {
+                infoOnly.tracks = stripTrackUrls(infoOnly.tracks);
+            }
+            if (infoOnly.audio) {
+                infoOnly.audio = withoutUrl(infoOnly.audio);
+            }
+            
+            if (infoOnly.items) {
+                infoOnly.items = infoOnly.items.map(item => {
+                    const itemCopy = { ...item };
+                    delete itemCopy.url;
+                    delete itemCopy.videoUrl;
+                    delete itemCopy.imageUrl;
+                    delete itemCopy.qualities;
+                    delete itemCopy.images;
+                    if (itemCopy.tracks) {
+                        itemCopy.tracks = stripTrackUrls(itemCopy.tracks);
+                    }
+                    return itemCopy;
                 });
             }
+            
+            return res.status(200).json({
+                success: true,
+                data: infoOnly,
+                timestamp: new Date().toISOString()
+            });
         }
 
         // 404 for unknown endpoints
@@ -1253,10 +1630,19 @@ module.exports = async (req, res) => {
             code: 'NOT_FOUND',
             availableEndpoints: [
                 'GET /health - Check API health',
-                'GET /api/v1/download?url=<instagram_url> - Download media',
-                'POST /api/v1/download/batch - Batch download',
-                'GET /api/v1/info?url=<instagram_url> - Get media info',
-                'GET /api/v1/debug?url=<instagram_url> - Debug URL extraction'
+                `GET /api${API_PREFIX}/download?url=<instagram_url>&index=<slide>&quality=<highest|lowest|720p|maxWidth=N>&captionFormat=<plain|html|markdown> - Download media (index picks one carousel slide)`,
+                `GET /api${API_PREFIX}/stream?url=<instagram_url>&quality=<quality>&index=<slide> - Stream media (supports Range)`,
+                `GET /api${API_PREFIX}/mux?url=<instagram_url>&quality=<quality>&index=<slide> - Merge a DASH-only video's video and audio tracks into one MP4`,
+                `GET /api${API_PREFIX}/audio?url=<instagram_url>&format=<json|m4a> - A reel's sound: metadata, or the audio itself as M4A`,
+                `GET /api${API_PREFIX}/thumbnail?url=<instagram_url>&width=<px>&format=<jpeg|png|webp>&index=<slide> - A picture or cover, resized and re-encoded`,
+                `POST /api${API_PREFIX}/download/batch?stream=<sse|ndjson> - Batch download ({ "async": true, "callbackUrl": "..." } queues a job instead)`,
+                `GET /api${API_PREFIX}/jobs/<job_id> - Progress and results of an async batch job`,
+                `GET /api${API_PREFIX}/proxies - Outbound proxy health and per-proxy stats (needs DEBUG_MODE or API keys)`,
+                `GET /api${API_PREFIX}/info?url=<instagram_url> - Get media info`,
+                `GET /api${API_PREFIX}/comments?url=<instagram_url>&cursor=<cursor> - List a post's comments and replies`,
+                `GET /api${API_PREFIX}/profile/<username> - Get a profile card`,
+                `GET /api${API_PREFIX}/profile/<username>/posts?cursor=<cursor>&limit=<n> - List a profile's posts`,
+                `GET /api${API_PREFIX}/debug?url=<instagram_url>&capture=<name>[&overwrite=1] - Debug URL extraction (needs DEBUG_MODE; capture needs FIXTURE_DIR)`
             ],
             requestedPath: requestUrl,
             timestamp: new Date().toISOString()
@@ -1264,12 +1650,17 @@ module.exports = async (req, res) => {
 
     } catch (error) {
         console.error('API error:', error);
-        
-        return res.status(500).json({
-            error: 'Internal server error',
-            code: 'INTERNAL_ERROR',
-            message: error.message,
-            timestamp: new Date().toISOString()
-        });
+        return sendError(res, error);
     }
 };
+
+module.exports = (req, res) => requestContext.run({ id: crypto.randomBytes(8).toString('hex') }, () => handleRequest(req, res));
+
+// Exposed so deployments can swap in a shared store: rateLimiter.setStore(store)
+module.exports.rateLimiter = rateLimiter;
+module.exports.authenticator = authenticator;
+module.exports.mediaCache = mediaCache;
+module.exports.jobQueue = jobQueue;
+module.exports.upstreamLimiter = upstreamLimiter;
+module.exports.coalescer = coalescer;
+module.exports.proxyPool = proxyPool;
@@ -0,0 +1,118 @@
+// lib/audio.js - Reel sound metadata (clips_metadata, clips_music_attribution_info)
+const { cleanMediaUrl } = require('./urls');
+
+const AUDIO_PAGE_BASE = 'https://www.instagram.com/reels/audio';
+
+// JSON.parse has already decoded these strings; decoding again would mangle a literal "&amp;"
+const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const idOf = value => (value === undefined || value === null || value === '' ? null : String(value));
+
+const finishAudio = ({ audioId, url, ...audio }) => ({
+    audioId,
+    ...audio,
+    audioPageUrl: audioId ? `${AUDIO_PAGE_BASE}/${audioId}/` : null,
+    url: cleanMediaUrl(url) || null
+});
+
+// API-style clips_metadata: licensed songs carry music_info, everything else original_sound_info
+const fromClipsMetadata = (clips) => {
+    const music = clips.music_info && clips.music_info.music_asset_info;
+    if (music) {
+        return finishAudio({
+            // The audio page is keyed by the cluster, which groups re-uploads of the same song
+            audioId: idOf(music.audio_cluster_id || music.audio_asset_id || music.id),
+            title: text(music.title),
+            artist: text(music.display_artist),
+            isOriginalSound: false,
+            durationMs: music.duration_in_ms || null,
+            coverArtUrl: cleanMediaUrl(music.cover_artwork_uri) || null,
+            url: music.progressive_download_url
+        });
+    }
+
+    const original = clips.original_sound_info;
+    if (original) {
+        return finishAudio({
+            audioId: idOf(original.audio_asset_id || original.audio_id),
+            title: text(original.original_audio_title) || 'Original audio',
+            artist: text(original.ig_artist && original.ig_artist.username),
+            isOriginalSound: true,
+            durationMs: original.duration_in_ms || null,
+            coverArtUrl: null,
+            url: original.progressive_download_url
+        });
+    }
+
+    return null;
+};
+
+// GraphQL pages only name the sound, without a downloadable rendition
+const fromAttributionInfo = info => finishAudio({
+    audioId: idOf(info.audio_id),
+    title: text(info.song_name) || (info.uses_original_audio ? 'Original audio' : null),
+    artist: text(info.artist_name),
+    isOriginalSound: Boolean(info.uses_original_audio),
+    durationMs: null,
+    coverArtUrl: null,
+    url: null
+});
+
+// The sound a reel uses, or null when the media carries no audio metadata
+const buildAudioInfo = (media) => {
+    if (!media) return null;
+    if (media.clips_metadata) {
+        const audio = fromClipsMetadata(media.clips_metadata);
+        if (audio) return audio;
+    }
+    if (media.clips_music_attribution_info) return fromAttributionInfo(media.clips_music_attribution_info);
+    return null;
+};
+
+// The JSON object starting at text[start] ('{'), skipping braces inside strings
+const sliceJsonObject = (source, start) => {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) return source.slice(start, i + 1);
+        }
+    }
+    return null;
+};
+
+const findJsonBlock = (html, key) => {
+    const match = html.match(new RegExp(`"${key}":\\s*\\{`));
+    if (!match) return null;
+
+    const json = sliceJsonObject(html, match.index + match[0].length - 1);
+    try {
+        return json ? JSON.parse(json) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Same, for strategies that only see the page source
+const extractAudioInfoFromHtml = (html) => {
+    if (typeof html !== 'string') return null;
+    return buildAudioInfo({
+        clips_metadata: findJsonBlock(html, 'clips_metadata'),
+        clips_music_attribution_info: findJsonBlock(html, 'clips_music_attribution_info')
+    });
+};
+
+module.exports = {
+    buildAudioInfo,
+    extractAudioInfoFromHtml
+};
@@ -0,0 +1,153 @@
+// lib/auth.js - Optional API key authentication and per-key daily quotas
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MemoryRateLimitStore } = require('./rate-limit');
+const { AuthenticationError, ForbiddenError, QuotaExceededError } = require('./errors');
+const { getRequestApiKey } = require('./request');
+
+// Endpoints a "*" grant doesn't reach: a key has to name them (/proxies lists proxy hosts and ports)
+const EXPLICIT_ENDPOINTS = ['proxies'];
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key).trim()).digest('hex');
+
+const normalizeKeyRecord = (record, index) => {
+    if (!record || (!record.key && !record.keyHash)) {
+        throw new Error(`API key entry #${index + 1} needs a "key" or "keyHash"`);
+    }
+
+    const endpoints = record.endpoints === undefined ? ['*'] : record.endpoints;
+    if (!Array.isArray(endpoints)) {
+        throw new Error(`API key entry #${index + 1} "endpoints" must be an array`);
+    }
+
+    const dailyQuota = record.dailyQuota === undefined || record.dailyQuota === null ? null : Number(record.dailyQuota);
+    if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 0)) {
+        throw new Error(`API key entry #${index + 1} "dailyQuota" must be a non-negative integer`);
+    }
+
+    return {
+        name: record.name || `key-${index + 1}`,
+        keyHash: record.keyHash ? String(record.keyHash).toLowerCase() : hashApiKey(record.key),
+        endpoints: endpoints.map(endpoint => String(endpoint).toLowerCase()),
+        dailyQuota,
+        enabled: record.enabled !== false
+    };
+};
+
+// API_KEYS takes a JSON array of key records or a "name:key,name:key" list;
+// API_KEYS_FILE points at a JSON file holding the same array
+const loadApiKeys = (env = process.env) => {
+    const records = [];
+
+    if (env.API_KEYS) {
+        const raw = env.API_KEYS.trim();
+        if (raw.startsWith('[')) {
+            records.push(...JSON.parse(raw));
+        } else {
+            raw.split(',').filter(Boolean).forEach(pair => {
+                const separator = pair.indexOf(':');
+                if (separator === -1) {
+                    throw new Error('API_KEYS entries must look like name:key');
+                }
+                records.push({ name: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() });
+            });
+        }
+    }
+
+    if (env.API_KEYS_FILE) {
+        const filePath = path.resolve(process.cwd(), env.API_KEYS_FILE);
+        const fileRecords = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(fileRecords)) {
+            throw new Error(`${env.API_KEYS_FILE} must contain a JSON array of API keys`);
+        }
+        records.push(...fileRecords);
+    }
+
+    return records.map(normalizeKeyRecord);
+};
+
+// Seconds until the daily quota resets at UTC midnight
+const secondsUntilUtcMidnight = (now) => {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+};
+
+const createAuthenticator = ({ keys = [], store = new MemoryRateLimitStore() } = {}) => {
+    const keysByHash = new Map(keys.map(record => [record.keyHash, record]));
+
+    const authenticator = {
+        enabled: keys.length > 0,
+        store,
+
+        setStore(nextStore) {
+            authenticator.store = nextStore;
+        },
+
+        // Resolve the request's key record, or throw 401/403
+        authenticate(req, endpoint) {
+            const apiKey = getRequestApiKey(req);
+            if (!apiKey) {
+                throw new AuthenticationError('API key required: send Authorization: Bearer <key> or X-API-Key', 'API_KEY_REQUIRED');
+            }
+
+            const record = keysByHash.get(hashApiKey(apiKey));
+            if (!record) {
+                throw new AuthenticationError('Invalid API key', 'INVALID_API_KEY');
+            }
+
+            if (!record.enabled) {
+                throw new ForbiddenError('API key is disabled', 'API_KEY_DISABLED');
+            }
+
+            const allowed = record.endpoints.includes(endpoint) ||
+                (record.endpoints.includes('*') && !EXPLICIT_ENDPOINTS.includes(endpoint));
+            if (!allowed) {
+                throw new ForbiddenError(`API key "${record.name}" may not use the ${endpoint} endpoint`, 'ENDPOINT_NOT_ALLOWED', {
+                    allowedEndpoints: record.endpoints
+                });
+            }
+
+            return record;
+        },
+
+        async consumeQuota(record, cost = 1, now = Date.now()) {
+            if (record.dailyQuota === null) return null;
+
+            const day = new Date(now).toISOString().slice(0, 10);
+            const quotaKey = `quota:${record.name}:${day}`;
+            const used = await authenticator.store.get(quotaKey);
+            const state = {
+                quota: record.dailyQuota,
+                remaining: Math.max(0, record.dailyQuota - used)
+            };
+
+            if (used + cost > record.dailyQuota) {
+                throw new QuotaExceededError(
+                    `Daily quota of ${record.dailyQuota} requests exceeded for API key "${record.name}"`,
+                    secondsUntilUtcMidnight(now),
+                    state
+                );
+            }
+
+            const updated = await authenticator.store.increment(quotaKey, cost, 2 * 24 * 60 * 60 * 1000);
+            state.remaining = Math.max(0, record.dailyQuota - updated);
+            return state;
+        }
+    };
+
+    return authenticator;
+};
+
+const setQuotaHeaders = (res, state) => {
+    res.setHeader('X-Quota-Limit', String(state.quota));
+    res.setHeader('X-Quota-Remaining', String(state.remaining));
+};
+
+module.exports = {
+    hashApiKey,
+    loadApiKeys,
+    createAuthenticator,
+    setQuotaHeaders
+};
@@ -0,0 +1,52 @@
+// lib/cache/filesystem.js - One JSON file per key, for instances sharing a volume
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class FileSystemCache {
+    constructor({ dir }) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    filePath(key) {
+        const name = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    async get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+        } catch (error) {
+            // Missing or half-written files are just misses
+            return null;
+        }
+
+        if (entry.staleUntil <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    async set(key, entry) {
+        const target = this.filePath(key);
+        const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+        // Write then rename so readers never see a partial file
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, target);
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+
+    stats() {
+        return { backend: 'filesystem', dir: this.dir };
+    }
+}
+
+module.exports = FileSystemCache;
@@ -0,0 +1,131 @@
+// lib/cache/index.js - Media cache with stale-while-revalidate and negative caching
+const MemoryLruCache = require('./memory');
+const FileSystemCache = require('./filesystem');
+const KeyValueCache = require('./key-value');
+const { ApiError } = require('../errors');
+
+// Only failures that won't fix themselves within a minute are worth remembering
+const NEGATIVE_CACHE_CODES = ['POST_NOT_FOUND', 'LOGIN_REQUIRED'];
+
+// Backends implement async get(key) -> entry | null, set(key, entry), delete(key).
+// An entry is { value | error, storedAt, freshUntil, staleUntil } and is dropped after staleUntil.
+const createCacheBackend = ({ backend = 'memory', maxEntries, maxBytes, dir } = {}) => {
+    if (backend === 'filesystem') {
+        return new FileSystemCache({ dir });
+    }
+    return new MemoryLruCache({ maxEntries, maxBytes });
+};
+
+// getExpiry(value) may return the epoch ms after which a value is useless (signed CDN URLs);
+// entries never outlive it minus expiryMarginMs, stale window included.
+const createMediaCache = ({
+    backend = new MemoryLruCache(),
+    ttlMs,
+    staleTtlMs = 0,
+    negativeTtlMs = 0,
+    enabled = true,
+    getExpiry = () => null,
+    expiryMarginMs = 0
+}) => {
+    const revalidating = new Set();
+
+    const mediaCache = {
+        backend,
+        enabled,
+
+        setBackend(nextBackend) {
+            mediaCache.backend = nextBackend;
+        },
+
+        // Returns { status: 'HIT' | 'STALE' | 'MISS' | 'BYPASS', value?, error? }
+        async lookup(key) {
+            if (!mediaCache.enabled) return { status: 'BYPASS' };
+
+            let entry = null;
+            try {
+                entry = await mediaCache.backend.get(key);
+            } catch (error) {
+                console.error('Cache read failed:', error.message);
+            }
+
+            if (!entry) return { status: 'MISS' };
+
+            if (entry.error) {
+                const { message, code, status, details } = entry.error;
+                return { status: 'HIT', error: new ApiError(message, { code, status, details: { ...details, cached: true } }) };
+            }
+
+            return { status: entry.freshUntil > Date.now() ? 'HIT' : 'STALE', value: entry.value };
+        },
+
+        // options.ttlMs lets callers shorten the lifetime of a single entry
+        async store(key, value, options = {}) {
+            if (!mediaCache.enabled) return;
+
+            const now = Date.now();
+            let freshMs = Math.max(0, Math.min(ttlMs, options.ttlMs === undefined ? ttlMs : options.ttlMs));
+            let staleMs = options.staleTtlMs === undefined ? staleTtlMs : options.staleTtlMs;
+
+            const expiry = getExpiry(value);
+            if (expiry) {
+                const usableMs = expiry - expiryMarginMs - now;
+                // Links that are about to expire aren't worth handing out again
+                if (usableMs <= 0) return;
+                freshMs = Math.min(freshMs, usableMs);
+                staleMs = Math.max(0, Math.min(staleMs, usableMs - freshMs));
+            }
+
+            try {
+                await mediaCache.backend.set(key, {
+                    value,
+                    storedAt: now,
+                    freshUntil: now + freshMs,
+                    staleUntil: now + freshMs + staleMs
+                });
+            } catch (error) {
+                console.error('Cache write failed:', error.message);
+            }
+        },
+
+        async storeError(key, error) {
+            if (!mediaCache.enabled || negativeTtlMs <= 0 || !NEGATIVE_CACHE_CODES.includes(error.code)) return;
+
+            const now = Date.now();
+            try {
+                await mediaCache.backend.set(key, {
+                    error: { message: error.message, code: error.code, status: error.status, details: error.details },
+                    storedAt: now,
+                    freshUntil: now + negativeTtlMs,
+                    staleUntil: now + negativeTtlMs
+                });
+            } catch (cacheError) {
+                console.error('Cache write failed:', cacheError.message);
+            }
+        },
+
+        // Refresh a stale entry once, without making the caller wait
+        revalidate(key, refresh) {
+            if (revalidating.has(key)) return;
+            revalidating.add(key);
+
+            Promise.resolve()
+                .then(refresh)
+                .then(value => mediaCache.store(key, value))
+                .catch(error => {
+                    console.error('Background revalidation failed:', error.message);
+                    return mediaCache.storeError(key, error);
+                })
+                .finally(() => revalidating.delete(key));
+        }
+    };
+
+    return mediaCache;
+};
+
+module.exports = {
+    MemoryLruCache,
+    FileSystemCache,
+    KeyValueCache,
+    createCacheBackend,
+    createMediaCache
+};
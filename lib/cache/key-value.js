@@ -0,0 +1,34 @@
+// lib/cache/key-value.js - Adapter for shared key-value stores (Redis, Vercel KV, ...)
+// The client needs three async methods:
+//   get(key)               -> stored string or null
+//   set(key, value, ttlMs) -> store the string, dropping it after ttlMs
+//   del(key)
+class KeyValueCache {
+    constructor({ client, prefix = 'igdl:' }) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        if (!raw) return null;
+
+        const entry = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return entry.staleUntil > Date.now() ? entry : null;
+    }
+
+    async set(key, entry) {
+        const ttlMs = Math.max(1, entry.staleUntil - Date.now());
+        await this.client.set(this.prefix + key, JSON.stringify(entry), ttlMs);
+    }
+
+    async delete(key) {
+        await this.client.del(this.prefix + key);
+    }
+
+    stats() {
+        return { backend: 'key-value', prefix: this.prefix };
+    }
+}
+
+module.exports = KeyValueCache;
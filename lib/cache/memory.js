@@ -0,0 +1,60 @@
+// lib/cache/memory.js - In-memory LRU cache bounded by entry count and bytes
+class MemoryLruCache {
+    constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+
+        if (item.entry.staleUntil <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+
+        // Map keeps insertion order, so re-inserting marks the key as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry) {
+        const size = Buffer.byteLength(JSON.stringify(entry));
+        this.remove(key);
+
+        // An entry bigger than the whole cache would just evict everything else
+        if (size > this.maxBytes) return;
+
+        this.entries.set(key, { entry, size });
+        this.bytes += size;
+        this.evict();
+    }
+
+    async delete(key) {
+        this.remove(key);
+    }
+
+    remove(key) {
+        const item = this.entries.get(key);
+        if (!item) return;
+        this.entries.delete(key);
+        this.bytes -= item.size;
+    }
+
+    evict() {
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const oldestKey = this.entries.keys().next().value;
+            this.remove(oldestKey);
+        }
+    }
+
+    stats() {
+        return { backend: 'memory', entries: this.entries.size, bytes: this.bytes };
+    }
+}
+
+module.exports = MemoryLruCache;
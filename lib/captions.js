@@ -0,0 +1,151 @@
+// lib/captions.js - Caption cleanup, entities (hashtags, mentions, URLs, emoji) and rendering
+
+const CAPTION_FORMATS = ['plain', 'html', 'markdown'];
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    hellip: '…',
+    mdash: '—',
+    ndash: '–',
+    rsquo: '’',
+    lsquo: '‘',
+    rdquo: '”',
+    ldquo: '“'
+};
+
+const fromCodePoint = (codePoint, fallback) => {
+    try {
+        return String.fromCodePoint(codePoint);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+// Undo what scraping leaves behind: JSON escapes from regex-matched strings and HTML entities
+// from meta tags. Escaped surrogate pairs (\ud83c\udf05) become one emoji again.
+const decodeCaptionText = (text) => {
+    if (!text) return '';
+
+    return String(text)
+        .replace(/\\u([\da-fA-F]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\n/g, '\n')
+        .replace(/\\(["/\\])/g, '$1')
+        .replace(/&#x([\da-fA-F]+);/g, (match, hex) => fromCodePoint(parseInt(hex, 16), match))
+        .replace(/&#(\d+);/g, (match, dec) => fromCodePoint(parseInt(dec, 10), match))
+        .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([A-Za-z0-9_](?:[A-Za-z0-9_.]{0,28}[A-Za-z0-9_])?)/gu;
+// Flags, keycaps, then pictographs with their variation selectors, skin tones and ZWJ joins
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*/gu;
+
+const overlaps = (spans, start, end) => spans.some(span => start < span.end && end > span.start);
+
+// Offsets are JavaScript string indices (UTF-16 code units): caption.slice(start, end) is the entity
+const parseCaptionEntities = (text) => {
+    const caption = text || '';
+    const entities = { hashtags: [], mentions: [], urls: [], emoji: [] };
+
+    for (const match of caption.matchAll(URL_PATTERN)) {
+        // Sentence punctuation after a link isn't part of it
+        const url = match[0].replace(/[.,;:!?)\]}'’]+$/, '');
+        entities.urls.push({ url, start: match.index, end: match.index + url.length });
+    }
+
+    for (const match of caption.matchAll(HASHTAG_PATTERN)) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length + 1;
+        if (!overlaps(entities.urls, start, end)) {
+            entities.hashtags.push({ tag: match[2], start, end });
+        }
+    }
+
+    for (const match of caption.matchAll(MENTION_PATTERN)) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length + 1;
+        if (!overlaps(entities.urls, start, end)) {
+            entities.mentions.push({ username: match[2], start, end });
+        }
+    }
+
+    for (const match of caption.matchAll(EMOJI_PATTERN)) {
+        entities.emoji.push({ emoji: match[0], start: match.index, end: match.index + match[0].length });
+    }
+
+    return entities;
+};
+
+// Attach the caption's entities; runs once per extracted media object. Captions arrive decoded:
+// JSON.parse handles JSON sources and extractCaptionFromHtml decodes what it scrapes, so decoding
+// again here would turn a literal "&amp;" into "&".
+const annotateCaption = (media) => {
+    if (!media) return media;
+
+    media.caption = media.caption || '';
+    media.captionEntities = parseCaptionEntities(media.caption);
+    return media;
+};
+
+const hashtagUrl = tag => `https://www.instagram.com/explore/tags/${encodeURIComponent(tag)}/`;
+const profileUrl = username => `https://www.instagram.com/${username}/`;
+const absoluteUrl = url => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+const escapeHtml = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeMarkdown = text => text.replace(/([\\`*_{}[\]()#+\-.!|>~])/g, '\\$1');
+
+const RENDERERS = {
+    html: {
+        text: text => escapeHtml(text).replace(/\n/g, '<br>'),
+        link: (label, href) => `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>`
+    },
+    markdown: {
+        text: text => escapeMarkdown(text).replace(/\n/g, '  \n'),
+        link: (label, href) => `[${escapeMarkdown(label)}](${href.replace(/[()\s]/g, encodeURIComponent)})`
+    }
+};
+
+// Render the caption with hashtags, mentions and URLs as links. plain returns the text as-is.
+const renderCaption = (text, format = 'plain', entities = parseCaptionEntities(text)) => {
+    const caption = text || '';
+    const renderer = RENDERERS[format];
+    if (!renderer) return caption;
+
+    const links = [
+        ...entities.hashtags.map(({ tag, start, end }) => ({ start, end, href: hashtagUrl(tag) })),
+        ...entities.mentions.map(({ username, start, end }) => ({ start, end, href: profileUrl(username) })),
+        ...entities.urls.map(({ url, start, end }) => ({ start, end, href: absoluteUrl(url) }))
+    ].sort((a, b) => a.start - b.start);
+
+    let output = '';
+    let position = 0;
+    links.forEach(({ start, end, href }) => {
+        if (start < position) return;
+        output += renderer.text(caption.slice(position, start)) + renderer.link(caption.slice(start, end), href);
+        position = end;
+    });
+
+    return output + renderer.text(caption.slice(position));
+};
+
+const isCaptionFormat = format => CAPTION_FORMATS.includes(format);
+
+module.exports = {
+    CAPTION_FORMATS,
+    decodeCaptionText,
+    parseCaptionEntities,
+    annotateCaption,
+    renderCaption,
+    isCaptionFormat
+};
@@ -0,0 +1,133 @@
+// lib/carousel.js - Carousel (multi-slide) posts: slides, their quality ladders and slide selection
+const { cleanMediaUrl } = require('./urls');
+const { buildVideoQualities } = require('./quality');
+const { buildVideoTracks } = require('./dash');
+
+// Add a variant unless its URL is already listed
+const pushVariant = (variants, quality, url, width, height) => {
+    const cleanUrl = cleanMediaUrl(url);
+    if (!cleanUrl || variants.some(variant => variant.url === cleanUrl)) return;
+    variants.push({ quality, url: cleanUrl, width: width || 0, height: height || 0 });
+};
+
+const getDimensions = (node) => ({
+    width: node.dimensions?.width || node.original_width || 0,
+    height: node.dimensions?.height || node.original_height || 0
+});
+
+const isVideoNode = (node) => !!(node.is_video || node.media_type === 2 || node.video_url ||
+    (Array.isArray(node.video_versions) && node.video_versions.length > 0));
+
+// display_url (GraphQL) first, then display_resources and image_versions2 candidates
+const buildImageVariants = (node) => {
+    const images = [];
+    const { width, height } = getDimensions(node);
+
+    if (node.display_url) {
+        pushVariant(images, 'original', node.display_url, width, height);
+    }
+    (node.display_resources || []).forEach(resource => {
+        pushVariant(images, `${resource.config_width}x${resource.config_height}`, resource.src,
+            resource.config_width, resource.config_height);
+    });
+    (node.image_versions2?.candidates || []).forEach(candidate => {
+        pushVariant(images, `${candidate.width}x${candidate.height}`, candidate.url, candidate.width, candidate.height);
+    });
+
+    return images;
+};
+
+const normalizeCarouselItem = (node, index) => {
+    const isVideo = isVideoNode(node);
+    const qualities = isVideo ? buildVideoQualities(node) : [];
+    const images = buildImageVariants(node);
+    const videoUrl = qualities[0]?.url || null;
+    const imageUrl = images[0]?.url || null;
+
+    const item = {
+        index,
+        id: node.id || node.pk || null,
+        type: isVideo ? 'video' : 'image',
+        // url is the slide's primary media, kept for clients of the old item shape
+        url: isVideo ? videoUrl : imageUrl,
+        thumbnail: imageUrl,
+        dimensions: getDimensions(node),
+        accessibilityCaption: node.accessibility_caption || null
+    };
+
+    if (node.shortcode || node.code) {
+        item.shortcode = node.shortcode || node.code;
+    }
+
+    if (isVideo) {
+        item.videoUrl = videoUrl;
+        item.duration = node.video_duration || 0;
+        item.qualities = qualities;
+        Object.assign(item, buildVideoTracks(node, qualities));
+    } else {
+        item.imageUrl = imageUrl;
+    }
+    item.images = images;
+
+    return item;
+};
+
+const isCarouselMedia = (media) => !!media && (
+    media.__typename === 'GraphSidecar' ||
+    media.__typename === 'XDTGraphSidecar' ||
+    media.media_type === 8 ||
+    Array.isArray(media.carousel_media) ||
+    Array.isArray(media.edge_sidecar_to_children?.edges)
+);
+
+// Slides from either edge_sidecar_to_children (GraphQL) or carousel_media (API-style JSON)
+const extractCarouselItems = (media) => {
+    if (!isCarouselMedia(media)) return [];
+
+    const nodes = media.edge_sidecar_to_children?.edges
+        ? media.edge_sidecar_to_children.edges.map(edge => edge.node)
+        : media.carousel_media || [];
+
+    return nodes
+        .filter(Boolean)
+        .map((node, index) => normalizeCarouselItem(node, index));
+};
+
+// Post-level fields a single slide inherits from its carousel
+const POST_FIELDS = [
+    'postId', 'author', 'caption', 'captionEntities', 'timestamp', 'likes', 'comments',
+    'isReel', 'isStory', 'isHighlight', 'title', 'extraction'
+];
+
+// Pick one slide (0-based) as a media object of its own. Posts without slides only have index 0.
+const selectCarouselItem = (mediaInfo, index) => {
+    if (!mediaInfo) return null;
+
+    const items = mediaInfo.items || [];
+    if (items.length === 0) {
+        return index === 0 ? mediaInfo : null;
+    }
+
+    const item = items[index];
+    if (!item) return null;
+
+    const post = {};
+    POST_FIELDS.forEach(field => {
+        if (mediaInfo[field] !== undefined) post[field] = mediaInfo[field];
+    });
+
+    return {
+        ...post,
+        ...item,
+        isCarousel: items.length > 1,
+        itemCount: items.length
+    };
+};
+
+module.exports = {
+    buildImageVariants,
+    normalizeCarouselItem,
+    isCarouselMedia,
+    extractCarouselItems,
+    selectCarouselItem
+};
@@ -0,0 +1,323 @@
+// lib/client-profiles.js - Coherent client fingerprints: user agent, client hints and header order per request kind
+const fs = require('fs');
+
+// page: a post's HTML, loaded like a navigation. api: Instagram's JSON endpoints.
+// media: files on the CDN. A profile only covers the kinds its client would make.
+const PROFILE_PURPOSES = ['page', 'api', 'media'];
+
+// Instagram's web app id (the JSON endpoints refuse requests without one); the Android app uses its own
+const WEB_APP_ID = '936619743392459';
+const ANDROID_APP_ID = '567067343352427';
+
+// Media requests ask for identity like browsers do for video, so byte ranges stay meaningful
+const MEDIA_ENCODING = 'identity;q=1, *;q=0';
+
+const CHROME_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+const CHROME_HINTS = {
+    'sec-ch-ua': '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"'
+};
+const FIREFOX_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:133.0) Gecko/20100101 Firefox/133.0';
+const SAFARI_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Safari/605.1.15';
+const IOS_SAFARI_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Mobile/15E148 Safari/604.1';
+const ANDROID_APP_UA = 'Instagram 358.0.0.51.97 Android (34/14; 420dpi; 1080x2340; samsung; SM-S918B; dm3q; qcom; en_US; 669613452)';
+
+// Headers are listed in the order each client sends them
+const safariProfile = (name, userAgent) => ({
+    name,
+    headers: {
+        page: {
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Sec-Fetch-Site': 'none',
+            'Sec-Fetch-Mode': 'navigate',
+            'User-Agent': userAgent,
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Sec-Fetch-Dest': 'document',
+            'Accept-Encoding': 'gzip, deflate, br'
+        },
+        api: {
+            'Accept': '*/*',
+            'X-IG-App-ID': WEB_APP_ID,
+            'Sec-Fetch-Site': 'same-origin',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Sec-Fetch-Mode': 'cors',
+            'User-Agent': userAgent,
+            'Referer': 'https://www.instagram.com/',
+            'Sec-Fetch-Dest': 'empty',
+            'X-Requested-With': 'XMLHttpRequest'
+        },
+        media: {
+            'Accept': '*/*',
+            'Sec-Fetch-Site': 'cross-site',
+            'Accept-Encoding': MEDIA_ENCODING,
+            'Sec-Fetch-Mode': 'cors',
+            'User-Agent': userAgent,
+            'Referer': 'https://www.instagram.com/',
+            'Sec-Fetch-Dest': 'empty',
+            'Accept-Language': 'en-US,en;q=0.9'
+        }
+    }
+});
+
+const BUILT_IN_PROFILES = [
+    {
+        name: 'chrome-windows',
+        headers: {
+            page: {
+                ...CHROME_HINTS,
+                'Upgrade-Insecure-Requests': '1',
+                'User-Agent': CHROME_UA,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+                'Sec-Fetch-Site': 'none',
+                'Sec-Fetch-Mode': 'navigate',
+                'Sec-Fetch-User': '?1',
+                'Sec-Fetch-Dest': 'document',
+                'Accept-Encoding': 'gzip, deflate, br, zstd',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Priority': 'u=0, i'
+            },
+            api: {
+                'sec-ch-ua': CHROME_HINTS['sec-ch-ua'],
+                'X-IG-App-ID': WEB_APP_ID,
+                'sec-ch-ua-mobile': '?0',
+                'User-Agent': CHROME_UA,
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': '*/*',
+                'sec-ch-ua-platform': '"Windows"',
+                'Sec-Fetch-Site': 'same-origin',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Dest': 'empty',
+                'Referer': 'https://www.instagram.com/',
+                'Accept-Encoding': 'gzip, deflate, br, zstd',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Priority': 'u=1, i'
+            },
+            media: {
+                'sec-ch-ua': CHROME_HINTS['sec-ch-ua'],
+                'sec-ch-ua-mobile': '?0',
+                'User-Agent': CHROME_UA,
+                'Accept': '*/*',
+                'sec-ch-ua-platform': '"Windows"',
+                'Sec-Fetch-Site': 'cross-site',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Dest': 'empty',
+                'Referer': 'https://www.instagram.com/',
+                'Accept-Encoding': MEDIA_ENCODING,
+                'Accept-Language': 'en-US,en;q=0.9'
+            }
+        }
+    },
+    {
+        name: 'firefox-windows',
+        headers: {
+            page: {
+                'User-Agent': FIREFOX_UA,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate, br, zstd',
+                'Upgrade-Insecure-Requests': '1',
+                'Sec-Fetch-Dest': 'document',
+                'Sec-Fetch-Mode': 'navigate',
+                'Sec-Fetch-Site': 'none',
+                'Sec-Fetch-User': '?1',
+                'Priority': 'u=0, i'
+            },
+            api: {
+                'User-Agent': FIREFOX_UA,
+                'Accept': '*/*',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate, br, zstd',
+                'X-IG-App-ID': WEB_APP_ID,
+                'X-Requested-With': 'XMLHttpRequest',
+                'Referer': 'https://www.instagram.com/',
+                'Sec-Fetch-Dest': 'empty',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Site': 'same-origin'
+            },
+            media: {
+                'User-Agent': FIREFOX_UA,
+                'Accept': '*/*',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': MEDIA_ENCODING,
+                'Referer': 'https://www.instagram.com/',
+                'Sec-Fetch-Dest': 'empty',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Site': 'cross-site'
+            }
+        }
+    },
+    safariProfile('safari-macos', SAFARI_UA),
+    safariProfile('safari-ios', IOS_SAFARI_UA),
+    {
+        // The app talks to its own API host and the CDN, never to HTML pages
+        name: 'instagram-android',
+        apiHost: 'i.instagram.com',
+        headers: {
+            api: {
+                'X-IG-App-Locale': 'en_US',
+                'X-IG-Device-Locale': 'en_US',
+                'X-IG-Mapped-Locale': 'en_US',
+                'X-IG-Bandwidth-Speed-KBPS': '-1.000',
+                'X-IG-Connection-Type': 'WIFI',
+                'X-IG-Capabilities': '3brTv10=',
+                'X-IG-App-ID': ANDROID_APP_ID,
+                'User-Agent': ANDROID_APP_UA,
+                'Accept-Language': 'en-US',
+                'X-FB-HTTP-Engine': 'Liger',
+                'Accept-Encoding': 'gzip, deflate'
+            },
+            media: {
+                'User-Agent': ANDROID_APP_UA,
+                'Accept-Encoding': MEDIA_ENCODING,
+                'X-FB-HTTP-Engine': 'Liger'
+            }
+        }
+    }
+];
+
+// Used where no profile has been chosen
+const DEFAULT_PROFILE = BUILT_IN_PROFILES[0];
+
+// Profiles used for each purpose unless CLIENT_PROFILES_<PURPOSE> says otherwise
+const DEFAULT_SELECTION = ['chrome-windows', 'firefox-windows', 'safari-macos', 'safari-ios'];
+
+const INSTAGRAM_HOST = /^([a-z0-9-]+\.)*instagram\.com$/i;
+
+const findHeader = (headers, name) => Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+
+const validateProfile = (profile, label) => {
+    if (!profile || typeof profile !== 'object' || typeof profile.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(profile.name)) {
+        throw new Error(`${label} needs a "name" made of letters, digits, ".", "_" or "-"`);
+    }
+    if (!profile.headers || typeof profile.headers !== 'object') {
+        throw new Error(`profile "${profile.name}" needs a "headers" object keyed by ${PROFILE_PURPOSES.join(', ')}`);
+    }
+
+    const purposes = Object.keys(profile.headers);
+    const unknown = purposes.filter(purpose => !PROFILE_PURPOSES.includes(purpose));
+    if (unknown.length > 0 || purposes.length === 0) {
+        throw new Error(`profile "${profile.name}" headers must be keyed by ${PROFILE_PURPOSES.join(', ')}`);
+    }
+
+    purposes.forEach((purpose) => {
+        const headers = profile.headers[purpose];
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+            Object.values(headers).some(value => typeof value !== 'string')) {
+            throw new Error(`profile "${profile.name}" ${purpose} headers must map header names to strings`);
+        }
+        if (!findHeader(headers, 'User-Agent')) {
+            throw new Error(`profile "${profile.name}" ${purpose} headers need a User-Agent`);
+        }
+    });
+
+    if (profile.apiHost !== undefined && (typeof profile.apiHost !== 'string' || !INSTAGRAM_HOST.test(profile.apiHost))) {
+        throw new Error(`profile "${profile.name}" apiHost must be an instagram.com host name`);
+    }
+
+    return { name: profile.name, headers: profile.headers, ...(profile.apiHost ? { apiHost: profile.apiHost } : {}) };
+};
+
+// Built-in profiles plus those in CLIENT_PROFILES_FILE (a JSON array; same-named entries replace built-ins)
+const loadClientProfiles = (env = process.env) => {
+    const profiles = new Map(BUILT_IN_PROFILES.map(profile => [profile.name, profile]));
+    if (!env.CLIENT_PROFILES_FILE) return Array.from(profiles.values());
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(env.CLIENT_PROFILES_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`could not read ${env.CLIENT_PROFILES_FILE}: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(`${env.CLIENT_PROFILES_FILE} must contain a JSON array of profiles`);
+    }
+
+    entries.forEach((entry, index) => {
+        const profile = validateProfile(entry, `profile #${index + 1}`);
+        profiles.set(profile.name, profile);
+    });
+    return Array.from(profiles.values());
+};
+
+// Names from CLIENT_PROFILES_<PURPOSE> (comma-separated) checked against what the profiles cover
+const resolveProfileSelection = (profiles, purpose, raw) => {
+    const names = raw
+        ? String(raw).split(',').map(name => name.trim()).filter(Boolean)
+        : DEFAULT_SELECTION.filter(name => profiles.some(profile => profile.name === name));
+
+    const selected = names.map((name) => {
+        const profile = profiles.find(candidate => candidate.name === name);
+        if (!profile) {
+            throw new Error(`unknown profile "${name}" (available: ${profiles.map(candidate => candidate.name).join(', ')})`);
+        }
+        if (!profile.headers[purpose]) {
+            throw new Error(`profile "${name}" has no ${purpose} headers`);
+        }
+        return profile;
+    });
+
+    if (selected.length === 0) {
+        throw new Error('at least one profile is required');
+    }
+    return selected;
+};
+
+// We can only decode gzip, deflate and brotli, so other codings are dropped from Accept-Encoding
+const DECODABLE_ENCODINGS = ['gzip', 'deflate', 'br', 'identity', '*'];
+const toDecodableEncodings = value => value
+    .split(',')
+    .map(token => token.trim())
+    .filter(token => DECODABLE_ENCODINGS.includes(token.split(';')[0].trim().toLowerCase()))
+    .join(', ');
+
+// The profile's headers for purpose in its own order. extra headers replace same-named ones in
+// place (case-insensitively) or are appended: a session cookie, a Range, a narrower Accept.
+const buildProfileHeaders = (profile, purpose, extra = {}) => {
+    const headers = {};
+    const base = profile.headers[purpose] || {};
+
+    Object.keys(base).forEach((name) => {
+        const override = findHeader(extra, name);
+        let value = override ? extra[override] : base[name];
+        if (name.toLowerCase() === 'accept-encoding') value = toDecodableEncodings(value);
+        if (value !== undefined && value !== null) headers[name] = value;
+    });
+
+    Object.keys(extra).forEach((name) => {
+        if (!findHeader(base, name) && extra[name] !== undefined && extra[name] !== null) {
+            headers[name] = extra[name];
+        }
+    });
+
+    return headers;
+};
+
+// The JSON endpoints are addressed on www.instagram.com, where browsers call them. A profile with
+// an apiHost (the app's i.instagram.com) sends them there instead, like the real client would.
+const getProfileApiUrl = (profile, url) => {
+    if (!profile || !profile.apiHost) return url;
+
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'www.instagram.com' || !parsed.pathname.startsWith('/api/')) return url;
+    parsed.hostname = profile.apiHost;
+    return parsed.toString();
+};
+
+const getProfileUserAgent = (profile, purpose) => {
+    const headers = profile.headers[purpose] || {};
+    return headers[findHeader(headers, 'User-Agent')] || null;
+};
+
+module.exports = {
+    PROFILE_PURPOSES,
+    WEB_APP_ID,
+    BUILT_IN_PROFILES,
+    DEFAULT_PROFILE,
+    loadClientProfiles,
+    resolveProfileSelection,
+    buildProfileHeaders,
+    getProfileApiUrl,
+    getProfileUserAgent
+};
@@ -0,0 +1,143 @@
+// lib/comments.js - Post comments and their reply threads, from page data or the comments JSON endpoint
+const { findShortcodeMedia, buildOwner } = require('./extractors');
+const { getUrlExpiry } = require('./url-expiry');
+
+// Shortcodes are the media id in URL-safe base64
+const SHORTCODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const shortcodeToMediaId = (shortcode) => {
+    if (!shortcode || !/^[A-Za-z0-9_-]+$/.test(shortcode)) return null;
+
+    let id = BigInt(0);
+    for (const char of shortcode) {
+        id = id * BigInt(64) + BigInt(SHORTCODE_ALPHABET.indexOf(char));
+    }
+    return id.toString();
+};
+
+// Same opaque base64url JSON as profile cursors: { m: mediaId, c: Instagram's min_id }
+const encodeCommentsCursor = ({ mediaId, minId }) =>
+    Buffer.from(JSON.stringify({ m: String(mediaId), c: String(minId) })).toString('base64url');
+
+const decodeCommentsCursor = (cursor) => {
+    try {
+        const { m, c } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return m && c ? { mediaId: String(m), minId: String(c) } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Normalize a GraphQL comment node or an API-style comment; replies are one level deep
+const normalizeComment = (node, { withReplies = true } = {}) => {
+    const user = node.owner || node.user;
+    const comment = {
+        id: String(node.id || node.pk),
+        text: node.text || '',
+        author: user?.username || 'unknown',
+        owner: buildOwner(user),
+        timestamp: node.created_at || null,
+        likes: node.edge_liked_by?.count ?? node.comment_like_count ?? 0
+    };
+
+    if (!withReplies) return comment;
+
+    // GraphQL nests a first page of replies; the API only previews a few
+    const thread = node.edge_threaded_comments;
+    const replyNodes = thread
+        ? (thread.edges || []).map(edge => edge.node).filter(Boolean)
+        : node.preview_child_comments || [];
+    const replies = replyNodes.map(reply => normalizeComment(reply, { withReplies: false }));
+
+    comment.replyCount = thread ? thread.count ?? replies.length : node.child_comment_count ?? replies.length;
+    comment.replies = replies;
+    comment.hasMoreReplies = comment.replyCount > replies.length;
+
+    return comment;
+};
+
+// Profile pictures in a page of comments are signed CDN links; the cache must not outlive them
+const getCommentsExpiry = (comments) => {
+    const expiries = [];
+    comments.forEach(comment => {
+        [comment, ...(comment.replies || [])].forEach(({ owner }) => {
+            const expiry = getUrlExpiry(owner?.profilePicUrl);
+            if (expiry) expiries.push(expiry);
+        });
+    });
+    return expiries.length ? new Date(Math.min(...expiries)).toISOString() : null;
+};
+
+const buildCommentsPage = ({ mediaId, comments, total, minId, source }) => ({
+    mediaId: String(mediaId),
+    total: total ?? null,
+    count: comments.length,
+    comments,
+    nextCursor: minId ? encodeCommentsCursor({ mediaId, minId }) : null,
+    hasMore: !!minId,
+    source,
+    expiresAt: getCommentsExpiry(comments)
+});
+
+// A page of the comments endpoint: { comments, comment_count, next_min_id }
+const parseCommentsPage = (json, { mediaId } = {}) => {
+    const comments = ((json && json.comments) || []).map(node => normalizeComment(node));
+    const hasMore = !!(json?.has_more_headload_comments || json?.has_more_comments);
+
+    return buildCommentsPage({
+        mediaId,
+        comments,
+        total: json?.comment_count,
+        minId: hasMore ? json.next_min_id : null,
+        source: 'api'
+    });
+};
+
+// Page data patterns carrying the post's media object, as used by the extraction strategies
+const PAGE_DATA_PATTERNS = [
+    /window\._sharedData\s*=\s*({.+?});/,
+    /window\.__additionalDataLoaded\(['"].*?['"],\s*({.+?})\);/,
+    /"xdt_shortcode_media":\s*({.+?})/
+];
+
+// Comments embedded in the post page. Only a first page ships with it, so there is no cursor.
+const extractCommentsFromHtml = (html, { mediaId } = {}) => {
+    for (const pattern of PAGE_DATA_PATTERNS) {
+        const match = html.match(pattern);
+        if (!match) continue;
+
+        let media;
+        try {
+            const data = JSON.parse(match[1]);
+            media = data.entry_data?.PostPage?.[0]?.graphql?.shortcode_media || findShortcodeMedia(data) || data;
+        } catch (e) {
+            console.error('Error parsing comment data:', e.message);
+            continue;
+        }
+
+        const edge = media.edge_media_to_parent_comment || media.edge_media_to_comment || media.edge_media_preview_comment;
+        const nodes = edge?.edges
+            ? edge.edges.map(item => item.node).filter(Boolean)
+            : media.comments || media.preview_comments;
+        if (!Array.isArray(nodes)) continue;
+
+        return buildCommentsPage({
+            mediaId: media.id ? String(media.id).split('_')[0] : mediaId,
+            comments: nodes.map(node => normalizeComment(node)),
+            total: edge?.count ?? media.comment_count,
+            minId: null,
+            source: 'page'
+        });
+    }
+
+    return null;
+};
+
+module.exports = {
+    shortcodeToMediaId,
+    encodeCommentsCursor,
+    decodeCommentsCursor,
+    normalizeComment,
+    parseCommentsPage,
+    extractCommentsFromHtml
+};
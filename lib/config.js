@@ -0,0 +1,168 @@
+// lib/config.js - Validated runtime configuration, read once at cold start
+const { loadApiKeys } = require('./auth');
+const { resolveStrategies } = require('./strategies');
+const { PROXY_ROTATIONS, parseProxyList } = require('./proxy');
+const { PROFILE_PURPOSES, loadClientProfiles, resolveProfileSelection } = require('./client-profiles');
+
+const readInteger = (env, name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}, errors) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${name} must be an integer between ${min} and ${max} (got "${raw}")`);
+        return fallback;
+    }
+    return value;
+};
+
+const readBoolean = (env, name, fallback, errors) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(value)) return true;
+    if (['false', '0', 'no', 'off'].includes(value)) return false;
+
+    errors.push(`${name} must be true or false (got "${raw}")`);
+    return fallback;
+};
+
+const loadConfig = (env = process.env) => {
+    const errors = [];
+
+    const apiVersion = env.API_VERSION || 'v1';
+    if (!/^v\d+$/.test(apiVersion)) {
+        errors.push(`API_VERSION must look like v1, v2, ... (got "${apiVersion}")`);
+    }
+
+    const config = {
+        nodeEnv: env.NODE_ENV || 'development',
+        apiVersion,
+        debugMode: readBoolean(env, 'DEBUG_MODE', false, errors),
+
+        // CACHE_TTL is in seconds like the rest of the Vercel settings; we keep milliseconds
+        cacheTtl: readInteger(env, 'CACHE_TTL', 600, { min: 0, max: 7 * 24 * 60 * 60 }, errors) * 1000,
+        enableCaching: readBoolean(env, 'ENABLE_CACHING', true, errors),
+        cacheBackend: env.CACHE_BACKEND || 'memory',
+        cacheMaxEntries: readInteger(env, 'CACHE_MAX_ENTRIES', 500, { min: 1 }, errors),
+        cacheMaxBytes: readInteger(env, 'CACHE_MAX_BYTES', 50 * 1024 * 1024, { min: 1024 }, errors),
+        cacheDir: env.CACHE_DIR || '/tmp/instagram-downloader-cache',
+        cacheStaleTtl: readInteger(env, 'CACHE_STALE_TTL', 300, { min: 0, max: 7 * 24 * 60 * 60 }, errors) * 1000,
+        cacheNegativeTtl: readInteger(env, 'CACHE_NEGATIVE_TTL', 60, { min: 0, max: 24 * 60 * 60 }, errors) * 1000,
+        // Cached media is dropped this long before its signed CDN links expire
+        cdnExpiryMargin: readInteger(env, 'CDN_EXPIRY_MARGIN', 300, { min: 0, max: 24 * 60 * 60 }, errors) * 1000,
+
+        requestTimeout: readInteger(env, 'REQUEST_TIMEOUT', 15000, { min: 1000, max: 60000 }, errors),
+        retryDelay: readInteger(env, 'RETRY_DELAY', 2000, { min: 0, max: 30000 }, errors),
+        maxRetryAttempts: readInteger(env, 'MAX_RETRY_ATTEMPTS', 3, { min: 0, max: 10 }, errors),
+        // Requests to Instagram itself (not its CDN): how many at once, and the gap between two to one host
+        upstreamConcurrency: readInteger(env, 'UPSTREAM_CONCURRENCY', 4, { min: 1, max: 50 }, errors),
+        upstreamMinInterval: readInteger(env, 'UPSTREAM_MIN_INTERVAL_MS', 200, { min: 0, max: 60000 }, errors),
+        // Outbound proxies for Instagram and its CDN; empty means requests go out directly
+        proxyUrls: [],
+        proxyRotation: env.PROXY_ROTATION || 'round-robin',
+        // A proxy that hit a rate limit, login wall or timeout sits out this long (doubling on repeats)
+        proxyCooldown: readInteger(env, 'PROXY_COOLDOWN', 300, { min: 1, max: 24 * 60 * 60 }, errors) * 1000,
+        // Client profiles to pick from for post pages (what every extraction strategy reads), JSON API
+        // calls and CDN media: CLIENT_PROFILES_PAGE, _API and _MEDIA
+        clientProfiles: {},
+
+        enableBatchDownload: readBoolean(env, 'ENABLE_BATCH_DOWNLOAD', true, errors),
+        maxBatchSize: readInteger(env, 'MAX_BATCH_SIZE', 10, { min: 1, max: 100 }, errors),
+        // Asynchronous batches ({ "async": true }) are processed by a worker and polled at /jobs/:id
+        maxJobUrls: readInteger(env, 'MAX_JOB_URLS', 500, { min: 1, max: 5000 }, errors),
+        jobConcurrency: readInteger(env, 'JOB_CONCURRENCY', 4, { min: 1, max: 20 }, errors),
+        jobTtl: readInteger(env, 'JOB_TTL', 24 * 60 * 60, { min: 60, max: 7 * 24 * 60 * 60 }, errors) * 1000,
+        // Signs job webhooks; callbackUrl is refused until it is set
+        webhookSecret: env.WEBHOOK_SECRET || null,
+        enableMetadataOnly: readBoolean(env, 'ENABLE_METADATA_ONLY', true, errors),
+        // /mux and /audio hold whole media files in memory; larger ones are refused
+        muxMaxBytes: readInteger(env, 'MUX_MAX_BYTES', 100 * 1024 * 1024, { min: 1024 * 1024 }, errors),
+        // Seconds clients and CDNs may keep a /thumbnail response (sent as max-age)
+        thumbnailMaxAge: readInteger(env, 'THUMBNAIL_MAX_AGE', 86400, { min: 0, max: 365 * 24 * 60 * 60 }, errors),
+
+        rateLimitWindowMs: readInteger(env, 'RATE_LIMIT_WINDOW_MS', 900000, { min: 1000 }, errors),
+        rateLimitMaxRequests: readInteger(env, 'RATE_LIMIT_MAX_REQUESTS', 100, { min: 0 }, errors),
+
+        // Logged-in session for stories and highlights (the sessionid cookie value)
+        instagramSessionId: env.INSTAGRAM_SESSION_ID || null,
+
+        extractionStrategies: [],
+        fixtureDir: env.FIXTURE_DIR || null,
+        apiKeys: []
+    };
+
+    if (!['memory', 'filesystem'].includes(config.cacheBackend)) {
+        errors.push(`CACHE_BACKEND must be memory or filesystem (got "${config.cacheBackend}")`);
+    }
+
+    if (!PROXY_ROTATIONS.includes(config.proxyRotation)) {
+        errors.push(`PROXY_ROTATION must be ${PROXY_ROTATIONS.join(' or ')} (got "${config.proxyRotation}")`);
+    }
+
+    try {
+        config.proxyUrls = parseProxyList(env.PROXY_URLS);
+    } catch (error) {
+        errors.push(`PROXY_URLS: ${error.message}`);
+    }
+
+    try {
+        const profiles = loadClientProfiles(env);
+        PROFILE_PURPOSES.forEach((purpose) => {
+            const name = `CLIENT_PROFILES_${purpose.toUpperCase()}`;
+            try {
+                config.clientProfiles[purpose] = resolveProfileSelection(profiles, purpose, env[name]);
+            } catch (error) {
+                errors.push(`${name}: ${error.message}`);
+            }
+        });
+    } catch (error) {
+        errors.push(`CLIENT_PROFILES_FILE: ${error.message}`);
+    }
+
+    if (env.EXTRACTION_STRATEGIES) {
+        try {
+            config.extractionStrategies = resolveStrategies(env.EXTRACTION_STRATEGIES).map(strategy => strategy.name);
+        } catch (error) {
+            errors.push(`EXTRACTION_STRATEGIES: ${error.message}`);
+        }
+    }
+
+    try {
+        config.apiKeys = loadApiKeys(env);
+    } catch (error) {
+        errors.push(`API_KEYS/API_KEYS_FILE: ${error.message}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return Object.freeze(config);
+};
+
+// Everything except secrets, for /health
+const getPublicConfig = (config) => {
+    const { apiKeys, instagramSessionId, webhookSecret, proxyUrls, ...publicConfig } = config;
+    return {
+        ...publicConfig,
+        cacheTtl: config.cacheTtl / 1000,
+        cacheStaleTtl: config.cacheStaleTtl / 1000,
+        cacheNegativeTtl: config.cacheNegativeTtl / 1000,
+        cdnExpiryMargin: config.cdnExpiryMargin / 1000,
+        jobTtl: config.jobTtl / 1000,
+        proxyCooldown: config.proxyCooldown / 1000,
+        proxyCount: proxyUrls.length,
+        clientProfiles: Object.fromEntries(Object.entries(config.clientProfiles)
+            .map(([purpose, profiles]) => [purpose, profiles.map(profile => profile.name)])),
+        webhooks: Boolean(webhookSecret),
+        apiKeyCount: apiKeys.length,
+        instagramSession: Boolean(instagramSessionId)
+    };
+};
+
+module.exports = {
+    loadConfig,
+    getPublicConfig
+};
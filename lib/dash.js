@@ -0,0 +1,127 @@
+// lib/dash.js - DASH manifests (video_dash_manifest): separate video-only and audio-only tracks
+const cheerio = require('cheerio');
+const { labelFor } = require('./quality');
+
+// ISO 8601 durations as used by MPDs, e.g. PT58.4S or PT1M2.5S
+const parseIsoDuration = (value) => {
+    const match = String(value || '').match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return null;
+
+    const [, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+};
+
+// Each representation is one file (the on-demand profile) named by its own BaseURL; relative
+// ones resolve against the enclosing AdaptationSet, Period and MPD BaseURLs
+const resolveBaseUrl = ($, element) => {
+    if ($(element).children('BaseURL').length === 0) return null;
+
+    const chain = [element, ...$(element).parents().toArray()]
+        .map(node => $(node).children('BaseURL').first().text().trim())
+        .filter(Boolean);
+
+    let url = chain.length ? chain[0] : '';
+    for (const base of chain.slice(1)) {
+        if (/^https?:\/\//i.test(url)) break;
+        try {
+            url = new URL(url, base).toString();
+        } catch (e) {
+            break;
+        }
+    }
+    return /^https?:\/\//i.test(url) ? url : null;
+};
+
+const toNumber = value => (value === undefined || value === '' ? null : Number(value));
+
+// Frame rates are either "30" or a fraction like "30000/1001"
+const parseFrameRate = (value) => {
+    if (!value) return null;
+    const [numerator, denominator = 1] = String(value).split('/').map(Number);
+    return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+};
+
+const trackKind = (representation, adaptationSet) => {
+    const mimeType = representation.attr('mimeType') || adaptationSet.attr('mimeType') || '';
+    const contentType = adaptationSet.attr('contentType') || '';
+    if (mimeType.startsWith('audio') || contentType === 'audio') return 'audio';
+    if (mimeType.startsWith('video') || contentType === 'video') return 'video';
+    return null;
+};
+
+// Parse an MPD into { duration, tracks: { video, audio } }, best track first in each list.
+// Returns null for anything that isn't a manifest.
+const parseDashManifest = (xml) => {
+    if (typeof xml !== 'string' || !xml.includes('<MPD')) return null;
+
+    let $;
+    try {
+        $ = cheerio.load(xml, { xml: true });
+    } catch (e) {
+        console.error('Error parsing DASH manifest:', e.message);
+        return null;
+    }
+
+    const tracks = { video: [], audio: [] };
+
+    $('AdaptationSet').each((i, setElement) => {
+        const adaptationSet = $(setElement);
+
+        adaptationSet.children('Representation').each((j, element) => {
+            const representation = $(element);
+            const kind = trackKind(representation, adaptationSet);
+            const url = resolveBaseUrl($, element);
+            if (!kind || !url) return;
+
+            const track = {
+                id: representation.attr('id') || null,
+                url,
+                mimeType: representation.attr('mimeType') || adaptationSet.attr('mimeType') || null,
+                codecs: representation.attr('codecs') || adaptationSet.attr('codecs') || null,
+                bandwidth: toNumber(representation.attr('bandwidth'))
+            };
+
+            if (kind === 'video') {
+                track.width = toNumber(representation.attr('width') || adaptationSet.attr('width')) || 0;
+                track.height = toNumber(representation.attr('height') || adaptationSet.attr('height')) || 0;
+                track.label = labelFor(track.width, track.height);
+                track.frameRate = parseFrameRate(representation.attr('frameRate') || adaptationSet.attr('frameRate'));
+            } else {
+                track.audioSamplingRate = toNumber(representation.attr('audioSamplingRate') || adaptationSet.attr('audioSamplingRate'));
+            }
+
+            tracks[kind].push(track);
+        });
+    });
+
+    tracks.video.sort((a, b) => (b.width * b.height) - (a.width * a.height) || (b.bandwidth || 0) - (a.bandwidth || 0));
+    tracks.audio.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+
+    return {
+        duration: parseIsoDuration($('MPD').attr('mediaPresentationDuration')),
+        tracks
+    };
+};
+
+// The manifest as Instagram ships it: GraphQL video_dash_manifest, API-style dash_info, or clips JSON
+const findDashManifest = node => (node && (
+    node.video_dash_manifest ||
+    node.dash_info?.video_dash_manifest ||
+    node.dash_manifest
+)) || null;
+
+// tracks and hasProgressiveMp4 for a video; qualities are its progressive (muxed) MP4s
+const buildVideoTracks = (node, qualities = []) => {
+    const manifest = parseDashManifest(findDashManifest(node));
+    return {
+        tracks: manifest ? manifest.tracks : { video: [], audio: [] },
+        hasProgressiveMp4: qualities.length > 0
+    };
+};
+
+module.exports = {
+    parseIsoDuration,
+    parseDashManifest,
+    findDashManifest,
+    buildVideoTracks
+};
@@ -0,0 +1,170 @@
+// lib/errors.js - Typed API errors with stable codes and HTTP statuses
+class ApiError extends Error {
+    constructor(message, { code = 'INTERNAL_ERROR', status = 500, retryable = false, retryAfter = null, details = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+class InvalidUrlError extends ApiError {
+    constructor(message = 'Invalid Instagram URL format', details = {}) {
+        super(message, { code: 'INVALID_URL', status: 400, details });
+    }
+}
+
+class PostNotFoundError extends ApiError {
+    constructor(message = 'Instagram post not found - post may be deleted or private', details = {}) {
+        super(message, { code: 'POST_NOT_FOUND', status: 404, details });
+    }
+}
+
+class LoginRequiredError extends ApiError {
+    constructor(message = 'Instagram requires login - post may be private or region restricted', details = {}) {
+        super(message, { code: 'LOGIN_REQUIRED', status: 403, details });
+    }
+}
+
+class AgeRestrictedError extends ApiError {
+    constructor(message = 'Instagram post is age restricted or contains sensitive content', details = {}) {
+        super(message, { code: 'AGE_RESTRICTED', status: 451, details });
+    }
+}
+
+// Retrying straight into a 429 only digs the hole deeper, so this one is not retryable
+class UpstreamRateLimitedError extends ApiError {
+    constructor(message = 'Instagram rate limiting detected - too many requests', retryAfter = 60, details = {}) {
+        super(message, { code: 'UPSTREAM_RATE_LIMITED', status: 503, retryAfter, details });
+    }
+}
+
+class AuthenticationError extends ApiError {
+    constructor(message = 'A valid API key is required', code = 'API_KEY_REQUIRED', details = {}) {
+        super(message, { code, status: 401, details });
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message = 'This API key may not use this endpoint', code = 'FORBIDDEN', details = {}) {
+        super(message, { code, status: 403, details });
+    }
+}
+
+class FeatureDisabledError extends ApiError {
+    constructor(message = 'This endpoint is disabled on this deployment', details = {}) {
+        super(message, { code: 'FEATURE_DISABLED', status: 403, details });
+    }
+}
+
+class QuotaExceededError extends ApiError {
+    constructor(message = 'Daily quota exceeded for this API key', retryAfter = 3600, details = {}) {
+        super(message, { code: 'QUOTA_EXCEEDED', status: 429, retryAfter, details });
+    }
+}
+
+// Our own limit, as opposed to Instagram's
+class RateLimitExceededError extends ApiError {
+    constructor(message = 'Rate limit exceeded', retryAfter = 60, details = {}) {
+        super(message, { code: 'RATE_LIMITED', status: 429, retryAfter, details });
+    }
+}
+
+class UpstreamTimeoutError extends ApiError {
+    constructor(message = 'Request to Instagram timed out', details = {}) {
+        super(message, { code: 'UPSTREAM_TIMEOUT', status: 504, retryable: true, details });
+    }
+}
+
+class UpstreamError extends ApiError {
+    constructor(message = 'Instagram returned an unexpected response', details = {}) {
+        super(message, { code: 'UPSTREAM_ERROR', status: 502, retryable: true, details });
+    }
+}
+
+class ExtractionFailedError extends ApiError {
+    constructor(message = 'Could not extract media information from the page', details = {}) {
+        super(message, { code: 'EXTRACTION_FAILED', status: 422, retryable: true, details });
+    }
+}
+
+// Media we fetched fine but cannot process (e.g. a container layout the muxer doesn't handle)
+class UnsupportedMediaError extends ApiError {
+    constructor(message = 'This media cannot be processed', details = {}) {
+        super(message, { code: 'UNSUPPORTED_MEDIA', status: 422, details });
+    }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const NETWORK_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ERR_BAD_RESPONSE'];
+
+// Map anything thrown (axios errors included) onto the taxonomy
+const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    if (error && TIMEOUT_CODES.includes(error.code)) {
+        return new UpstreamTimeoutError(`Request to Instagram timed out: ${error.message}`);
+    }
+
+    if (error && NETWORK_CODES.includes(error.code)) {
+        return new UpstreamError(`Network error talking to Instagram: ${error.message}`, { networkCode: error.code });
+    }
+
+    return new ApiError((error && error.message) || 'Internal server error');
+};
+
+// Parse a Retry-After header (seconds or HTTP date) into whole seconds
+const parseRetryAfter = (value, fallback = 60) => {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+
+    return fallback;
+};
+
+// Standard error body used by every route
+const sendError = (res, error, extra = {}) => {
+    const apiError = toApiError(error);
+
+    if (apiError.retryAfter !== null && apiError.retryAfter !== undefined) {
+        res.setHeader('Retry-After', String(apiError.retryAfter));
+    }
+
+    return res.status(apiError.status).json({
+        error: apiError.message,
+        code: apiError.code,
+        retryable: apiError.retryable,
+        ...(apiError.retryAfter !== null && apiError.retryAfter !== undefined ? { retryAfter: apiError.retryAfter } : {}),
+        ...apiError.details,
+        ...extra,
+        timestamp: new Date().toISOString()
+    });
+};
+
+module.exports = {
+    ApiError,
+    InvalidUrlError,
+    PostNotFoundError,
+    LoginRequiredError,
+    AgeRestrictedError,
+    UpstreamRateLimitedError,
+    AuthenticationError,
+    ForbiddenError,
+    FeatureDisabledError,
+    QuotaExceededError,
+    RateLimitExceededError,
+    UpstreamTimeoutError,
+    UpstreamError,
+    ExtractionFailedError,
+    UnsupportedMediaError,
+    toApiError,
+    parseRetryAfter,
+    sendError
+};
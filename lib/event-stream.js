@@ -0,0 +1,57 @@
+// lib/event-stream.js - Incremental responses as Server-Sent Events or newline-delimited JSON
+const EVENT_STREAM_FORMATS = ['sse', 'ndjson'];
+
+const CONTENT_TYPES = {
+    sse: 'text/event-stream; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Start a streamed 200 response. send(event, payload) writes one event: SSE names it in the
+// "event:" line, NDJSON as a "type" field. Events sent after the client has gone are dropped.
+const openEventStream = (res, format, { heartbeatMs = 15000 } = {}) => {
+    let closed = false;
+    let nextId = 0;
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    // nginx and similar proxies buffer responses unless told not to
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    // SSE comments keep idle connections from being cut while a slow URL retries
+    const heartbeat = format === 'sse' && heartbeatMs > 0
+        ? setInterval(() => !closed && res.write(': keep-alive\n\n'), heartbeatMs)
+        : null;
+    if (heartbeat && heartbeat.unref) heartbeat.unref();
+
+    const stop = () => {
+        closed = true;
+        if (heartbeat) clearInterval(heartbeat);
+    };
+    res.on('close', stop);
+
+    return {
+        send(event, payload) {
+            if (closed) return false;
+            if (format === 'sse') {
+                // JSON.stringify never emits raw newlines, so one data line is enough
+                res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+            } else {
+                res.write(`${JSON.stringify({ type: event, ...payload })}\n`);
+            }
+            return true;
+        },
+
+        end() {
+            if (closed) return;
+            stop();
+            res.end();
+        }
+    };
+};
+
+module.exports = {
+    EVENT_STREAM_FORMATS,
+    openEventStream
+};
@@ -0,0 +1,649 @@
+// lib/extractors.js - HTML and JSON helpers shared by the extraction strategies
+const cheerio = require('cheerio');
+const { extractPostId, parseStoryUrl, isReelUrl } = require('./urls');
+const { isCarouselMedia, extractCarouselItems, buildImageVariants } = require('./carousel');
+const { decodeCaptionText, parseCaptionEntities } = require('./captions');
+const { buildVideoQualities } = require('./quality');
+const { buildVideoTracks } = require('./dash');
+const { buildAudioInfo, extractAudioInfoFromHtml } = require('./audio');
+
+// Helper functions for enhanced extraction
+const extractReelVideoData = (html, sourceUrl = '') => {
+    try {
+        // Look for reel-specific video patterns
+        const videoPatterns = [
+            // Pattern 1: Direct video_url
+            /"video_url":\s*"([^"]+\.mp4[^"]*?)"/g,
+            // Pattern 2: video_versions array
+            /"video_versions":\s*\[([^\]]+)\]/g,
+            // Pattern 3: Direct MP4 URLs
+            /https:\/\/[^"]*scontent[^"]*\.cdninstagram\.com[^"]*\.mp4[^"]*/g,
+            // Pattern 4: clips_metadata
+            /"clips_metadata":\s*{[^}]*"original_sound_info"[^}]*}/
+        ];
+
+        for (const pattern of videoPatterns) {
+            const matches = [...html.matchAll(pattern)];
+            
+            for (const match of matches) {
+                let videoUrl = null;
+                
+                if (match[0].includes('video_url')) {
+                    // Extract from video_url field
+                    const urlMatch = match[0].match(/"video_url":\s*"([^"]+)"/);
+                    if (urlMatch) {
+                        videoUrl = urlMatch[1].replace(/\\u0026/g, '&').replace(/\\/g, '');
+                    }
+                } else if (match[0].includes('video_versions')) {
+                    // Extract from video_versions array
+                    try {
+                        const versionsMatch = match[1];
+                        // Look for the first valid URL in video_versions
+                        const urlMatches = [...versionsMatch.matchAll(/"url":\s*"([^"]+)"/g)];
+                        if (urlMatches.length > 0) {
+                            videoUrl = urlMatches[0][1].replace(/\\u0026/g, '&').replace(/\\/g, '');
+                        }
+                    } catch (e) {
+                        console.log('Error parsing video_versions:', e.message);
+                    }
+                } else if (match[0].includes('scontent') && match[0].includes('.mp4')) {
+                    // Direct MP4 URL found
+                    videoUrl = match[0].replace(/['"]/g, '').replace(/\\u0026/g, '&').replace(/\\/g, '');
+                }
+                
+                // Validate and clean the video URL
+                if (videoUrl && 
+                    videoUrl.includes('scontent') && 
+                    videoUrl.includes('.cdninstagram.com') && 
+                    videoUrl.includes('.mp4') &&
+                    !videoUrl.includes('video_versions')) {
+                    
+                    // Clean up the URL
+                    videoUrl = videoUrl
+                        .replace(/\\u0026/g, '&')
+                        .replace(/\\/g, '')
+                        .replace(/^["']|["']$/g, '');
+                    
+                    console.log('Found valid reel video URL');
+                    
+                    const reelData = {
+                        type: 'video',
+                        videoUrl: videoUrl,
+                        thumbnail: extractThumbnailFromHtml(html),
+                        images: extractImageVariantsFromHtml(html),
+                        caption: extractCaptionFromHtml(html, sourceUrl),
+                        author: extractAuthorFromHtml(html, sourceUrl),
+                        extractionMethod: 'reel_detection'
+                    };
+                    const audio = extractAudioInfoFromHtml(html);
+                    if (audio) reelData.audio = audio;
+                    return reelData;
+                }
+            }
+        }
+        
+        return null;
+    } catch (error) {
+        console.error('Error in reel video extraction:', error);
+        return null;
+    }
+};
+
+const extractThumbnailFromHtml = (html) => {
+    try {
+        const $ = cheerio.load(html);
+        
+        // Try multiple sources for thumbnail
+        const thumbnailSources = [
+            $('meta[property="og:image"]').attr('content'),
+            $('meta[name="twitter:image"]').attr('content'),
+            $('meta[property="og:image:url"]').attr('content')
+        ];
+        
+        for (const source of thumbnailSources) {
+            if (source && source.includes('cdninstagram.com')) {
+                return source;
+            }
+        }
+        
+        return thumbnailSources[0] || '';
+    } catch (error) {
+        return '';
+    }
+};
+
+// Every size of the cover or picture the page lists: display_url plus display_resources (GraphQL)
+// and image_versions2 candidates (API-style JSON). Takes the first of each, as the page's own post comes first.
+const extractImageVariantsFromHtml = (html) => {
+    const parseJson = (pattern) => {
+        const match = html.match(pattern);
+        if (!match) return null;
+        try {
+            return JSON.parse(match[1]);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return buildImageVariants({
+        display_url: parseJson(/"display_url":\s*("(?:[^"\\]|\\.)*")/),
+        dimensions: parseJson(/"dimensions":\s*(\{[^{}]*\})/),
+        display_resources: parseJson(/"display_resources":\s*(\[[^\]]*\])/),
+        image_versions2: { candidates: parseJson(/"image_versions2":\s*\{\s*"candidates":\s*(\[[^\]]*\])/) }
+    });
+};
+
+const extractCaptionFromHtml = (html, sourceUrl = '') => {
+    try {
+        const $ = cheerio.load(html);
+        let caption = '';
+        
+        // Method 1: Extract from specific caption span (most reliable for current IG structure)
+        // This targets the actual post caption, not "more posts like this"
+        const captionSpanSelectors = [
+            // Current Instagram caption span classes
+            'span.x193iq5w.xeuugli.x13faqbe.x1vvkbs.xt0psk2.x1i0vuye.xvs91rp.xo1l8bm.x5n08af.x10wh9bi.xpm28yp.x8viiok.x1o7cslx.x126k92a',
+            // Alternative patterns for caption spans
+            'span[style*="line-height"]',
+            'span[dir="auto"]',
+            // More generic fallbacks
+            'article span:contains("#")',
+            'div[data-testid="post-caption"] span'
+        ];
+        
+        for (const selector of captionSpanSelectors) {
+            try {
+                const captionElements = $(selector);
+                if (captionElements.length > 0) {
+                    // Find the span with the longest text (likely the main caption)
+                    let longestCaption = '';
+                    captionElements.each((i, element) => {
+                        const text = $(element).text().trim();
+                        if (text.length <= longestCaption.length || text.length <= 20) return;
+                        // Look for captions with real hashtags or mentions - a '#' in a link doesn't count
+                        const entities = parseCaptionEntities(text);
+                        if (entities.hashtags.length > 0 || entities.mentions.length > 0) {
+                            // Skip if it looks like a "More posts" caption
+                            if (!text.toLowerCase().includes('more posts') && 
+                                !text.toLowerCase().includes('see more') &&
+                                !text.toLowerCase().includes('related posts')) {
+                                longestCaption = text;
+                            }
+                        }
+                    });
+                    
+                    if (longestCaption) {
+                        caption = longestCaption;
+                        console.log('Found caption from specific span element');
+                        break;
+                    }
+                }
+            } catch (e) {
+                // Continue to next selector
+            }
+        }
+        
+        // Method 2: Targeted JSON extraction with post ID context
+        if (!caption && sourceUrl) {
+            const postId = extractPostId(sourceUrl);
+            if (postId) {
+                // Look for JSON data that specifically relates to this post ID
+                const targetedPatterns = [
+                    new RegExp(`"shortcode":"${postId}"[^}]*"caption":\\s*{[^}]*"text":\\s*"([^"]+)"`, 'i'),
+                    new RegExp(`"${postId}"[^}]*"edge_media_to_caption":\\s*{[^}]*"text":\\s*"([^"]+)"`, 'i'),
+                    new RegExp(`"shortcode_media":[^}]*"shortcode":"${postId}"[^}]*"caption":[^}]*"text":"([^"]+)"`, 'i')
+                ];
+                
+                for (const pattern of targetedPatterns) {
+                    const match = html.match(pattern);
+                    if (match && match[1] && match[1].length > 10) {
+                        caption = match[1];
+                        console.log('Found caption from targeted JSON with post ID');
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // Method 3: Look for JSON data with caption (improved patterns)
+        if (!caption) {
+            const captionPatterns = [
+                // More specific patterns that target the main post
+                /"edge_media_to_caption":\s*{\s*"edges":\s*\[\s*{\s*"node":\s*{\s*"text":\s*"([^"]+)"/,
+                /"caption":\s*{\s*"text":\s*"([^"]+)"[^}]*"created_at"/,
+                // Look for captions with edges structure
+                /"edges":\s*\[\s*{\s*"node":\s*{\s*"text":\s*"([^"]*#[^"]*)",/,
+                // Fallback broader patterns
+                /"caption":\s*{[^}]*"text":\s*"([^"]+)"/,
+                /"text":\s*"([^"]*#[^"]*)"/ // Look for text with hashtags
+            ];
+            
+            for (const pattern of captionPatterns) {
+                const matches = [...html.matchAll(new RegExp(pattern.source, 'g'))];
+                
+                // If we have multiple matches, try to find the best one
+                if (matches.length > 0) {
+                    let bestMatch = '';
+                    
+                    for (const match of matches) {
+                        const candidateText = match[1];
+                        if (candidateText && candidateText.length > 10) {
+                            // Prefer longer captions and those with hashtags
+                            if (candidateText.length > bestMatch.length && 
+                                (candidateText.includes('#') || bestMatch === '')) {
+                                bestMatch = candidateText;
+                            }
+                        }
+                    }
+                    
+                    if (bestMatch) {
+                        caption = bestMatch;
+                        console.log('Found caption from improved JSON patterns');
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // Method 4: Extract from meta description if no other method worked
+        if (!caption) {
+            const metaDesc = $('meta[property="og:description"]').attr('content') ||
+                           $('meta[name="description"]').attr('content');
+            
+            if (metaDesc && metaDesc.includes('#')) {
+                // Try to extract just the caption part from meta description
+                const captionMatch = metaDesc.match(/['""]([^'"]*#[^'"]*)['"]/);
+                if (captionMatch) {
+                    caption = captionMatch[1];
+                } else if (metaDesc.includes('#')) {
+                    // Extract everything after the first quote that contains hashtags
+                    const hashtagPart = metaDesc.split('"').find(part => part.includes('#'));
+                    if (hashtagPart && hashtagPart.length > 20) {
+                        caption = hashtagPart;
+                    }
+                }
+                console.log('Found caption from meta description');
+            }
+        }
+        
+        // Method 5: Look for article content as last resort
+        if (!caption) {
+            const articleText = $('article').text();
+            if (articleText && articleText.includes('#')) {
+                // Extract text with hashtags from article
+                const lines = articleText.split('\n').filter(line => 
+                    line.includes('#') && line.length > 20 && line.length < 500
+                );
+                if (lines.length > 0) {
+                    caption = lines[0].trim();
+                    console.log('Found caption from article content');
+                }
+            }
+        }
+        
+        // Clean up caption
+        if (caption) {
+            // Decode JSON escapes (emoji included) and HTML entities, then drop stray backslashes
+            caption = decodeCaptionText(caption)
+                .replace(/\\+/g, '')
+                .trim();
+                
+            // Remove HTML tags if any
+            caption = caption.replace(/<[^>]*>/g, '');
+            
+            // Validate caption quality
+            if (caption.length < 10 || 
+                caption.toLowerCase().includes('more posts') ||
+                caption.toLowerCase().includes('see more like this') ||
+                caption.toLowerCase().includes('related posts')) {
+                caption = '';
+            }
+        }
+        
+        console.log('Final extracted caption length:', caption.length);
+        return caption || '';
+    } catch (error) {
+        console.error('Error extracting caption:', error);
+        return '';
+    }
+};
+
+const extractAuthorFromHtml = (html, sourceUrl = '') => {
+    try {
+        const $ = cheerio.load(html);
+        
+        // Try multiple sources for author in order of reliability
+        let author = '';
+        
+        // Method 1: Extract from source URL path (most reliable)
+        const storyUrl = parseStoryUrl(sourceUrl);
+        if (storyUrl && storyUrl.username) {
+            console.log('Author from story URL:', storyUrl.username);
+            return storyUrl.username;
+        }
+
+        if (sourceUrl) {
+            const urlMatch = sourceUrl.match(/instagram\.com\/([^\/\s"'?]+)\//);
+            if (urlMatch && urlMatch[1] && 
+                !urlMatch[1].includes('p') && 
+                !urlMatch[1].includes('reel') && 
+                !urlMatch[1].includes('stories') &&
+                urlMatch[1] !== 'www' &&
+                urlMatch[1] !== 'rsrc.php' &&
+                urlMatch[1].length > 1) {
+                author = urlMatch[1];
+                console.log('Author from source URL:', author);
+            }
+        }
+        
+        // Method 2: Extract from HTML URL references
+        if (!author) {
+            const urlMatch = html.match(/instagram\.com\/([^\/\s"'?]+)\//);
+            if (urlMatch && urlMatch[1] && 
+                !urlMatch[1].includes('p') && 
+                !urlMatch[1].includes('reel') && 
+                !urlMatch[1].includes('stories') &&
+                urlMatch[1] !== 'www' &&
+                urlMatch[1] !== 'rsrc.php' &&
+                urlMatch[1].length > 1) {
+                author = urlMatch[1];
+                console.log('Author from HTML URL:', author);
+            }
+        }
+        
+        // Method 3: Look for username in JSON data
+        if (!author) {
+            const usernamePatterns = [
+                /"username":\s*"([^"]+)"/,
+                /"owner":\s*{[^}]*"username":\s*"([^"]+)"/,
+                /"user":\s*{[^}]*"username":\s*"([^"]+)"/,
+                /"account_username":\s*"([^"]+)"/
+            ];
+            
+            for (const pattern of usernamePatterns) {
+                const match = html.match(pattern);
+                if (match && match[1] && 
+                    !match[1].includes('rsrc') && 
+                    !match[1].includes('.php') &&
+                    match[1].length > 1) {
+                    author = match[1];
+                    console.log('Author from JSON:', author);
+                    break;
+                }
+            }
+        }
+        
+        // Method 4: Extract from page title (clean it up)
+        if (!author) {
+            const title = $('meta[property="og:title"]').attr('content');
+            if (title) {
+                // Try to extract username from title like "Username (@username) • Instagram photos and videos"
+                const titlePatterns = [
+                    /\(@([^)]+)\)/,  // Extract from (@username)
+                    /^([^(]+?)\s+\(/,  // Extract before first parenthesis
+                    /^([^\s•]+)/  // First word before bullet
+                ];
+                
+                for (const pattern of titlePatterns) {
+                    const match = title.match(pattern);
+                    if (match && match[1] && 
+                        !match[1].includes('Instagram') && 
+                        !match[1].includes('rsrc') &&
+                        match[1].length > 1) {
+                        author = match[1].trim();
+                        console.log('Author from title:', author);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // Clean up the author name
+        if (author) {
+            author = author
+                .replace(/['"]/g, '')
+                .replace(/\s+on\s+Instagram.*$/i, '')
+                .replace(/\s*•.*$/, '')
+                .replace(/\s*\(.*\)$/, '') // Remove parentheses content
+                .trim();
+        }
+        
+        // Final validation - reject obviously wrong values
+        if (!author || 
+            author.includes('rsrc') || 
+            author.includes('.php') || 
+            author.includes('Instagram') ||
+            author.length < 1) {
+            author = 'Unknown';
+        }
+        
+        console.log('Final extracted author:', author);
+        return author;
+        
+    } catch (error) {
+        console.error('Error extracting author:', error);
+        return 'Unknown';
+    }
+};
+
+const extractFromSharedData = (sharedData, sourceUrl = '') => {
+    try {
+        const entryData = sharedData.entry_data;
+        let mediaInfo = null;
+
+        if (entryData.PostPage && entryData.PostPage[0]) {
+            const media = entryData.PostPage[0].graphql.shortcode_media;
+            mediaInfo = processMediaObject(media, sourceUrl);
+        }
+
+        return mediaInfo;
+    } catch (error) {
+        console.error('Error extracting from shared data:', error);
+        return null;
+    }
+};
+
+// Locate the shortcode_media object inside a page data blob
+const findShortcodeMedia = (data) => {
+    if (typeof data !== 'object' || data === null) return null;
+
+    // Method 1: Direct path
+    if (data.graphql && data.graphql.shortcode_media) {
+        return data.graphql.shortcode_media;
+    }
+    // Method 2: Look for any shortcode_media in the object
+    if (data.shortcode_media) {
+        return data.shortcode_media;
+    }
+    // Method 2b: API-style responses ({ items: [media] }), also under xdt_api__v1__media__shortcode__web_info
+    const apiResponse = data.xdt_api__v1__media__shortcode__web_info || data;
+    if (Array.isArray(apiResponse.items) && apiResponse.items[0] && (apiResponse.items[0].code || apiResponse.items[0].carousel_media)) {
+        return apiResponse.items[0];
+    }
+    // Method 3: Deep search for shortcode_media
+    const searchForMedia = (obj) => {
+        if (typeof obj !== 'object' || obj === null) return null;
+        
+        if (obj.shortcode_media) return obj.shortcode_media;
+        
+        for (const key in obj) {
+            if (key === 'shortcode_media') return obj[key];
+            if (typeof obj[key] === 'object') {
+                const result = searchForMedia(obj[key]);
+                if (result) return result;
+            }
+        }
+        return null;
+    };
+    
+    return searchForMedia(data);
+};
+
+const extractFromAdditionalData = (additionalData, sourceUrl = '') => {
+    try {
+        // Multiple ways to find the media data
+        const media = findShortcodeMedia(additionalData);
+        
+        if (media) {
+            console.log('Found media object in additional data');
+            return processMediaObject(media, sourceUrl);
+        }
+        
+        return null;
+    } catch (error) {
+        console.error('Error extracting from additional data:', error);
+        return null;
+    }
+};
+
+// Compact creator card from a GraphQL owner or an API-style user; null without a username
+const buildOwner = (user) => {
+    if (!user || !user.username) return null;
+
+    const owner = {
+        id: String(user.id || user.pk || '') || null,
+        username: user.username,
+        fullName: user.full_name || null,
+        profilePicUrl: user.profile_pic_url || null,
+        isVerified: !!user.is_verified
+    };
+    if (user.is_private !== undefined) {
+        owner.isPrivate = !!user.is_private;
+    }
+    return owner;
+};
+
+const processMediaObject = (media, sourceUrl = '') => {
+    try {
+        console.log('Processing media object:', {
+            has_shortcode: !!media.shortcode,
+            has_owner: !!media.owner,
+            is_video: media.is_video,
+            typename: media.__typename,
+            has_video_url: !!media.video_url
+        });
+
+        // Check if this is a reel based on URL or content
+        const isReel = isReelUrl(sourceUrl) || media.__typename === 'GraphVideo' || 
+                      media.product_type === 'clips' || sourceUrl.includes('/reel/');
+        // API-style JSON (feeds, carousel_media) uses media_type and image_versions2 instead
+        const isVideo = media.is_video || media.media_type === 2;
+        const apiImageUrl = media.image_versions2?.candidates?.[0]?.url;
+
+        const result = {
+            type: isVideo || isReel ? 'video' : 'image',
+            postId: media.shortcode || media.code || media.id || 'unknown',
+            author: media.owner?.username || media.user?.username || 'unknown',
+            owner: buildOwner(media.owner || media.user),
+            caption: '',
+            likes: 0,
+            comments: 0,
+            timestamp: media.taken_at_timestamp || media.taken_at || Date.now(),
+            isCarousel: isCarouselMedia(media),
+            isReel: isReel
+        };
+
+        // Extract caption safely with multiple methods
+        try {
+            if (media.edge_media_to_caption?.edges?.[0]?.node?.text) {
+                result.caption = media.edge_media_to_caption.edges[0].node.text;
+            } else if (media.caption?.text) {
+                result.caption = media.caption.text;
+            } else if (media.caption) {
+                result.caption = typeof media.caption === 'string' ? media.caption : '';
+            }
+        } catch (e) {
+            console.log('Could not extract caption:', e.message);
+        }
+
+        // Extract engagement safely
+        try {
+            result.likes = media.edge_media_preview_like?.count || media.like_count || 0;
+            result.comments = media.edge_media_to_comment?.count || media.comment_count || 0;
+        } catch (e) {
+            console.log('Could not extract engagement:', e.message);
+        }
+
+        // Handle video content (including reels)
+        if (isVideo || isReel || media.video_url) {
+            result.type = 'video'; // Force video type for reels
+            
+            // One ranked ladder from video_url and video_versions; the top rendition is the default
+            result.qualities = buildVideoQualities(media);
+            result.videoUrl = result.qualities[0]?.url;
+            result.thumbnail = media.display_url || media.thumbnail_url || apiImageUrl;
+            result.duration = media.video_duration || 0;
+            result.viewCount = media.video_view_count || media.play_count || 0;
+            // Every size of the cover frame
+            result.images = buildImageVariants(media);
+            // Video-only and audio-only DASH representations, when the page ships a manifest
+            Object.assign(result, buildVideoTracks(media, result.qualities));
+            // The reel's sound: song or original audio, and its own page
+            const audio = buildAudioInfo(media);
+            if (audio) result.audio = audio;
+        } else {
+            result.imageUrl = media.display_url || media.thumbnail_url || apiImageUrl;
+            // display_url first, then every display_resources / image_versions2 size
+            result.images = buildImageVariants(media);
+        }
+
+        // Carousel posts: every slide with its own qualities
+        if (result.isCarousel) {
+            result.items = extractCarouselItems(media);
+            result.itemCount = result.items.length;
+
+            // API-style carousels carry no cover media of their own; use the first slide
+            const cover = result.items[0];
+            if (cover && !result.imageUrl && !result.videoUrl) {
+                result.imageUrl = cover.thumbnail;
+                result.thumbnail = result.thumbnail || cover.thumbnail;
+                result.images = cover.images;
+            }
+        }
+
+        console.log('Successfully processed media object:', {
+            type: result.type,
+            hasVideoUrl: !!result.videoUrl,
+            hasImageUrl: !!result.imageUrl,
+            hasCaption: !!result.caption,
+            captionLength: result.caption.length,
+            isReel: result.isReel
+        });
+
+        return result;
+    } catch (error) {
+        console.error('Error processing media object:', error);
+        
+        // Return minimal object if we have at least some data
+        // For reel URLs, force video type even if detection failed
+        const isReel = isReelUrl(sourceUrl) || sourceUrl.includes('/reel/');
+        
+        if (media.video_url || media.display_url || isReel) {
+            return {
+                type: (media.video_url || isReel) ? 'video' : 'image',
+                postId: media.shortcode || 'unknown',
+                author: media.owner?.username || 'unknown',
+                caption: '',
+                videoUrl: media.video_url,
+                imageUrl: media.display_url,
+                thumbnail: media.display_url,
+                isReel: isReel
+            };
+        }
+        
+        return null;
+    }
+};
+
+module.exports = {
+    extractReelVideoData,
+    extractThumbnailFromHtml,
+    extractImageVariantsFromHtml,
+    extractCaptionFromHtml,
+    extractAuthorFromHtml,
+    extractFromSharedData,
+    extractFromAdditionalData,
+    findShortcodeMedia,
+    buildOwner,
+    processMediaObject
+};
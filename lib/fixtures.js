@@ -0,0 +1,153 @@
+// lib/fixtures.js - Capture sanitized Instagram pages into the offline test corpus
+const fs = require('fs');
+const path = require('path');
+const { extractMediaFromHtml } = require('./strategies');
+const {
+    extractCaptionFromHtml,
+    extractAuthorFromHtml,
+    extractThumbnailFromHtml,
+    findShortcodeMedia,
+    processMediaObject
+} = require('./extractors');
+const { checkInstagramPage } = require('./page-checks');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'pages');
+
+// JSON keys whose string values identify the viewer or the session
+const SENSITIVE_JSON_KEYS = [
+    'csrf_token',
+    'viewerId',
+    'viewer_id',
+    'ds_user_id',
+    'sessionid',
+    'device_id',
+    'machine_id',
+    'fb_dtsg',
+    'lsd',
+    'jazoest',
+    'public_key',
+    'key_id',
+    'claim'
+];
+
+const sanitizeHtmlForFixture = (html) => {
+    let sanitized = html;
+
+    SENSITIVE_JSON_KEYS.forEach(key => {
+        const pattern = new RegExp(`("${key}"\\s*:\\s*)"[^"]*"`, 'g');
+        sanitized = sanitized.replace(pattern, '$1"REDACTED"');
+    });
+
+    return sanitized
+        // Script nonces change per request and are useless offline
+        .replace(/\snonce="[^"]*"/g, '')
+        // Logged-in viewer blobs carry personal data
+        .replace(/"viewer"\s*:\s*{[^{}]*}/g, '"viewer":null');
+};
+
+// Fixture names become file names, keep them boring
+const normalizeFixtureName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Find the raw shortcode_media object embedded in a page, if any
+const findMediaObject = (html) => {
+    const blobs = [
+        html.match(/window\._sharedData\s*=\s*({.+?});/),
+        html.match(/window\.__additionalDataLoaded\(['"].*?['"],\s*({.+?})\);/)
+    ];
+
+    for (const blob of blobs) {
+        if (!blob) continue;
+        try {
+            const media = findShortcodeMedia(JSON.parse(blob[1]));
+            if (media) return media;
+        } catch (e) {
+            // Not JSON we understand
+        }
+    }
+
+    return null;
+};
+
+// Run every extractor over a page and record what it produces today
+const buildFixtureExpectation = (html, sourceUrl, status = 200) => {
+    const expectation = { sourceUrl, status };
+
+    try {
+        checkInstagramPage(status, html);
+    } catch (error) {
+        expectation.error = error.message;
+        expectation.errorCode = error.code;
+        return expectation;
+    }
+
+    const media = extractMediaFromHtml(html, sourceUrl);
+    if (media) {
+        // These fall back to "now" when the page has no date, so they can't be pinned
+        delete media.uploadDate;
+        delete media.timestamp;
+    }
+
+    expectation.media = media;
+    expectation.caption = extractCaptionFromHtml(html, sourceUrl);
+    expectation.author = extractAuthorFromHtml(html, sourceUrl);
+    expectation.thumbnail = extractThumbnailFromHtml(html);
+
+    const mediaObject = findMediaObject(html);
+    if (mediaObject) {
+        expectation.mediaObject = processMediaObject(mediaObject, sourceUrl);
+        delete expectation.mediaObject.timestamp;
+    }
+
+    return expectation;
+};
+
+const getFixturePaths = (name, dir) => {
+    const fixtureName = normalizeFixtureName(name);
+    if (!fixtureName) {
+        throw new Error('Fixture name must contain letters or digits');
+    }
+    const fixtureDir = dir || DEFAULT_FIXTURE_DIR;
+    return {
+        name: fixtureName,
+        htmlPath: path.join(fixtureDir, `${fixtureName}.html`),
+        expectedPath: path.join(fixtureDir, `${fixtureName}.json`)
+    };
+};
+
+// True when a capture under this name would replace a fixture already in the corpus
+const fixtureExists = (name, dir) => {
+    const { htmlPath, expectedPath } = getFixturePaths(name, dir);
+    return fs.existsSync(htmlPath) || fs.existsSync(expectedPath);
+};
+
+// Existing fixtures are only replaced with { overwrite: true }
+const writeFixture = (name, html, sourceUrl, status = 200, dir, { overwrite = false } = {}) => {
+    const fixtureDir = dir || DEFAULT_FIXTURE_DIR;
+    const { name: fixtureName, htmlPath, expectedPath } = getFixturePaths(name, fixtureDir);
+    if (!overwrite && fixtureExists(fixtureName, fixtureDir)) {
+        const error = new Error(`Fixture "${fixtureName}" already exists; pass overwrite to replace it`);
+        error.code = 'FIXTURE_EXISTS';
+        throw error;
+    }
+
+    const sanitized = sanitizeHtmlForFixture(html);
+    const expectation = buildFixtureExpectation(sanitized, sourceUrl, status);
+
+    fs.mkdirSync(fixtureDir, { recursive: true });
+    fs.writeFileSync(htmlPath, sanitized);
+    fs.writeFileSync(expectedPath, `${JSON.stringify(expectation, null, 2)}\n`);
+
+    return { name: fixtureName, htmlPath, expectedPath, expectation };
+};
+
+module.exports = {
+    DEFAULT_FIXTURE_DIR,
+    sanitizeHtmlForFixture,
+    findMediaObject,
+    buildFixtureExpectation,
+    fixtureExists,
+    writeFixture
+};
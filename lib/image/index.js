@@ -0,0 +1,73 @@
+// lib/image/index.js - Thumbnail pipeline: decode a JPEG, scale it down, encode JPEG, PNG or WebP
+const jpeg = require('jpeg-js');
+const { UnsupportedMediaError } = require('../errors');
+const { resizeImage } = require('./resize');
+const { encodePng } = require('./png');
+const { encodeWebp } = require('./webp');
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const JPEG_QUALITY = 82;
+
+const isJpeg = buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+// ?format= also accepts jpg
+const normalizeImageFormat = (format) => {
+    const value = String(format || 'jpeg').trim().toLowerCase();
+    const normalized = value === 'jpg' ? 'jpeg' : value;
+    return IMAGE_FORMATS.includes(normalized) ? normalized : null;
+};
+
+// Pick the rendition closest to a target width: the smallest at least that wide, else the largest.
+// Without a width, the largest. Renditions with unknown size only serve when nothing is sized.
+const selectRendition = (renditions, width) => {
+    const usable = (renditions || []).filter(rendition => rendition && rendition.url);
+    const sized = usable.filter(rendition => rendition.width > 0).sort((a, b) => a.width - b.width);
+    if (sized.length === 0) return usable[0] || null;
+    if (!width) return sized[sized.length - 1];
+    return sized.find(rendition => rendition.width >= width) || sized[sized.length - 1];
+};
+
+const decodeJpeg = (buffer) => {
+    if (!isJpeg(buffer)) {
+        throw new UnsupportedMediaError('The source image is not a JPEG');
+    }
+    try {
+        return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 50, maxMemoryUsageInMB: 256 });
+    } catch (error) {
+        throw new UnsupportedMediaError(`Could not decode the source image: ${error.message}`);
+    }
+};
+
+// Render source JPEG bytes at (at most) width pixels wide in format. Returns { data, contentType,
+// extension, width, height, transcoded }; a JPEG that needs no change is passed through untouched.
+const renderImage = (source, { width = null, format = 'jpeg' } = {}) => {
+    const image = decodeJpeg(source);
+    const targetWidth = width ? Math.min(width, image.width) : image.width;
+    const targetHeight = Math.max(1, Math.round(image.height * (targetWidth / image.width)));
+    const result = { contentType: CONTENT_TYPES[format], extension: EXTENSIONS[format], width: targetWidth, height: targetHeight };
+
+    if (format === 'jpeg' && targetWidth === image.width) {
+        return { ...result, data: source, transcoded: false };
+    }
+
+    const resized = resizeImage(image, targetWidth, targetHeight);
+    let data;
+    if (format === 'png') {
+        data = encodePng(resized);
+    } else if (format === 'webp') {
+        data = encodeWebp(resized);
+    } else {
+        data = jpeg.encode(resized, JPEG_QUALITY).data;
+    }
+
+    return { ...result, data, transcoded: true };
+};
+
+module.exports = {
+    IMAGE_FORMATS,
+    normalizeImageFormat,
+    selectRendition,
+    renderImage
+};
@@ -0,0 +1,107 @@
+// lib/image/png.js - PNG encoder (8-bit RGB, or RGBA when any pixel is translucent)
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+};
+
+const paeth = (left, up, upLeft) => {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+};
+
+// Each row gets whichever of the five filters leaves the smallest residuals (the usual heuristic)
+const filterRows = (pixels, width, height, channels) => {
+    const stride = width * channels;
+    const output = Buffer.alloc((stride + 1) * height);
+    const candidate = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        const at = (x, dy = 0) => (x < 0 || y + dy < 0 ? 0 : pixels[row + dy * stride + x]);
+        let bestCost = Infinity;
+
+        for (let filter = 0; filter <= 4; filter++) {
+            let cost = 0;
+            for (let x = 0; x < stride; x++) {
+                const left = at(x - channels);
+                const up = at(x, -1);
+                const upLeft = at(x - channels, -1);
+                const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+                const value = (pixels[row + x] - predictors[filter]) & 0xff;
+                candidate[x] = value;
+                cost += value > 127 ? 256 - value : value;
+            }
+            if (cost < bestCost) {
+                bestCost = cost;
+                output[y * (stride + 1)] = filter;
+                candidate.copy(output, y * (stride + 1) + 1);
+            }
+        }
+    }
+
+    return output;
+};
+
+// Encode { data (RGBA), width, height } as a PNG file
+const encodePng = ({ data, width, height }) => {
+    let hasAlpha = false;
+    for (let i = 3; i < data.length && !hasAlpha; i += 4) {
+        hasAlpha = data[i] !== 255;
+    }
+
+    const channels = hasAlpha ? 4 : 3;
+    let pixels = data;
+    if (!hasAlpha) {
+        pixels = Buffer.alloc(width * height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            pixels[j] = data[i];
+            pixels[j + 1] = data[i + 1];
+            pixels[j + 2] = data[i + 2];
+        }
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = hasAlpha ? 6 : 2;
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(filterRows(pixels, width, height, channels), { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+module.exports = {
+    encodePng
+};
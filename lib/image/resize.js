@@ -0,0 +1,56 @@
+// lib/image/resize.js - Downscaling RGBA images by area averaging (a box filter)
+
+// For each target pixel along one axis, the source pixels it covers and how much of each
+const buildSpans = (sourceSize, targetSize) => {
+    const scale = sourceSize / targetSize;
+    return Array.from({ length: targetSize }, (_, i) => {
+        const start = i * scale;
+        const end = Math.min(sourceSize, start + scale);
+        const taps = [];
+        for (let s = Math.floor(start); s < end; s++) {
+            const weight = Math.min(end, s + 1) - Math.max(start, s);
+            if (weight > 0) taps.push({ index: s, weight: weight / scale });
+        }
+        return taps;
+    });
+};
+
+// Resize { data, width, height } to targetWidth x targetHeight; never enlarges
+const resizeImage = (image, targetWidth, targetHeight) => {
+    const { data, width, height } = image;
+    if (targetWidth >= width && targetHeight >= height) return image;
+
+    const columns = buildSpans(width, targetWidth);
+    const rows = buildSpans(height, targetHeight);
+
+    // Horizontal pass into floats, then vertical pass back to bytes
+    const horizontal = new Float32Array(targetWidth * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            const out = (y * targetWidth + x) * 4;
+            columns[x].forEach(({ index, weight }) => {
+                const source = (y * width + index) * 4;
+                for (let c = 0; c < 4; c++) horizontal[out + c] += data[source + c] * weight;
+            });
+        }
+    }
+
+    const output = new Uint8Array(targetWidth * targetHeight * 4);
+    for (let y = 0; y < targetHeight; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            const out = (y * targetWidth + x) * 4;
+            const sums = [0, 0, 0, 0];
+            rows[y].forEach(({ index, weight }) => {
+                const source = (index * targetWidth + x) * 4;
+                for (let c = 0; c < 4; c++) sums[c] += horizontal[source + c] * weight;
+            });
+            for (let c = 0; c < 4; c++) output[out + c] = Math.min(255, Math.round(sums[c]));
+        }
+    }
+
+    return { data: output, width: targetWidth, height: targetHeight };
+};
+
+module.exports = {
+    resizeImage
+};
@@ -0,0 +1,379 @@
+// lib/image/webp.js - Lossless WebP (VP8L) encoder
+// There is no pure-JS lossy (VP8) encoder to lean on, so WebP output is lossless: exact pixels,
+// but noticeably larger than a JPEG of the same photo. Uses the subtract-green and predictor
+// transforms and one set of prefix (Huffman) codes; no LZ77 or color cache.
+
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const CODE_LENGTH_CODE_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+// 256 literals + 24 LZ77 length prefixes (unused here, but part of the alphabet)
+const GREEN_ALPHABET_SIZE = 280;
+const DISTANCE_ALPHABET_SIZE = 40;
+// Predictor blocks are 2^4 = 16 pixels square
+const PREDICTOR_BITS = 4;
+
+// VP8L packs bits least significant first
+class BitWriter {
+    constructor(capacity = 4096) {
+        this.buffer = Buffer.alloc(capacity);
+        this.length = 0;
+        this.accumulator = 0;
+        this.bitCount = 0;
+    }
+
+    write(value, bits) {
+        this.accumulator |= value << this.bitCount;
+        this.bitCount += bits;
+        while (this.bitCount >= 8) {
+            this.pushByte(this.accumulator & 0xff);
+            this.accumulator >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    pushByte(byte) {
+        if (this.length === this.buffer.length) {
+            const grown = Buffer.alloc(this.buffer.length * 2);
+            this.buffer.copy(grown);
+            this.buffer = grown;
+        }
+        this.buffer[this.length++] = byte;
+    }
+
+    finish() {
+        if (this.bitCount > 0) this.pushByte(this.accumulator & 0xff);
+        this.accumulator = 0;
+        this.bitCount = 0;
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+// Huffman code lengths no longer than maxLength. Over-long trees are rebuilt with the rarest
+// symbols' counts raised, which flattens them (libwebp does the same).
+const buildCodeLengths = (counts, maxLength) => {
+    const lengths = new Array(counts.length).fill(0);
+    const used = [];
+    counts.forEach((count, symbol) => {
+        if (count > 0) used.push(symbol);
+    });
+    if (used.length === 1) lengths[used[0]] = 1;
+    if (used.length < 2) return lengths;
+
+    for (let floor = 1; ; floor *= 2) {
+        const leaves = used
+            .map(symbol => ({ weight: Math.max(counts[symbol], floor), symbol }))
+            .sort((a, b) => a.weight - b.weight || a.symbol - b.symbol);
+        const merged = [];
+        let leaf = 0;
+        let next = 0;
+        const takeLightest = () => {
+            if (next >= merged.length || (leaf < leaves.length && leaves[leaf].weight <= merged[next].weight)) {
+                return leaves[leaf++];
+            }
+            return merged[next++];
+        };
+
+        while (leaves.length - leaf + merged.length - next > 1) {
+            const a = takeLightest();
+            const b = takeLightest();
+            merged.push({ weight: a.weight + b.weight, children: [a, b] });
+        }
+
+        let deepest = 0;
+        const walk = (node, depth) => {
+            if (node.children) {
+                node.children.forEach(child => walk(child, depth + 1));
+            } else {
+                lengths[node.symbol] = depth;
+                deepest = Math.max(deepest, depth);
+            }
+        };
+        walk(merged[merged.length - 1], 0);
+
+        if (deepest <= maxLength) return lengths;
+    }
+};
+
+const reverseBits = (value, bits) => {
+    let reversed = 0;
+    for (let i = 0; i < bits; i++) {
+        reversed = (reversed << 1) | ((value >> i) & 1);
+    }
+    return reversed;
+};
+
+// Canonical codes for the lengths, bit-reversed for the LSB-first writer.
+// A lone symbol is read with zero bits, whatever length was sent for it.
+const buildCodes = (lengths) => {
+    const used = lengths.filter(length => length > 0).length;
+    const codes = lengths.map(length => ({ code: 0, bits: used > 1 ? length : 0 }));
+    if (used < 2) return codes;
+
+    const countByLength = new Array(MAX_CODE_LENGTH + 1).fill(0);
+    lengths.forEach((length) => {
+        if (length) countByLength[length]++;
+    });
+
+    const nextCode = new Array(MAX_CODE_LENGTH + 2).fill(0);
+    let code = 0;
+    for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+        code = (code + countByLength[length - 1]) << 1;
+        nextCode[length] = code;
+    }
+
+    lengths.forEach((length, symbol) => {
+        if (length) codes[symbol].code = reverseBits(nextCode[length]++, length);
+    });
+    return codes;
+};
+
+// Code lengths as code-length-code tokens: literal lengths, and 17/18 for runs of zeros
+const tokenizeCodeLengths = (lengths) => {
+    const tokens = [];
+    for (let i = 0; i < lengths.length;) {
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === lengths[i]) run++;
+
+        if (lengths[i] === 0 && run >= 3) {
+            const take = Math.min(run, 138);
+            tokens.push(take <= 10
+                ? { symbol: 17, extraBits: 3, extra: take - 3 }
+                : { symbol: 18, extraBits: 7, extra: take - 11 });
+            i += take;
+        } else {
+            tokens.push({ symbol: lengths[i], extraBits: 0, extra: 0 });
+            i++;
+        }
+    }
+    return tokens;
+};
+
+// Write the prefix code for an alphabet's symbol counts; returns the codes to write symbols with
+const writePrefixCode = (writer, counts) => {
+    const used = [];
+    counts.forEach((count, symbol) => {
+        if (count > 0) used.push(symbol);
+    });
+
+    // Simple code: one or two 8-bit symbols
+    if (used.length <= 2 && used.every(symbol => symbol < 256)) {
+        const symbols = used.length ? used : [0];
+        writer.write(1, 1);
+        writer.write(symbols.length - 1, 1);
+        if (symbols[0] < 2) {
+            writer.write(0, 1);
+            writer.write(symbols[0], 1);
+        } else {
+            writer.write(1, 1);
+            writer.write(symbols[0], 8);
+        }
+        if (symbols.length === 2) writer.write(symbols[1], 8);
+
+        const lengths = new Array(counts.length).fill(0);
+        symbols.forEach((symbol) => {
+            lengths[symbol] = 1;
+        });
+        return buildCodes(lengths);
+    }
+
+    const lengths = buildCodeLengths(counts, MAX_CODE_LENGTH);
+    const tokens = tokenizeCodeLengths(lengths);
+    const tokenCounts = new Array(19).fill(0);
+    tokens.forEach((token) => {
+        tokenCounts[token.symbol]++;
+    });
+    const tokenLengths = buildCodeLengths(tokenCounts, MAX_CODE_LENGTH_CODE_LENGTH);
+    const tokenCodes = buildCodes(tokenLengths);
+
+    let sent = CODE_LENGTH_CODE_ORDER.length;
+    while (sent > 4 && tokenLengths[CODE_LENGTH_CODE_ORDER[sent - 1]] === 0) sent--;
+
+    writer.write(0, 1);
+    writer.write(sent - 4, 4);
+    for (let i = 0; i < sent; i++) {
+        writer.write(tokenLengths[CODE_LENGTH_CODE_ORDER[i]], 3);
+    }
+    // Lengths follow for the whole alphabet
+    writer.write(0, 1);
+    tokens.forEach(({ symbol, extraBits, extra }) => {
+        writer.write(tokenCodes[symbol].code, tokenCodes[symbol].bits);
+        if (extraBits) writer.write(extra, extraBits);
+    });
+
+    return buildCodes(lengths);
+};
+
+// An image as literal ARGB pixels with one prefix code group: green, red, blue, alpha, distance
+const writeEntropyCodedImage = (writer, channels, { colorCacheBit = true, metaPrefixBit = false } = {}) => {
+    const { a, r, g, b } = channels;
+    const histogram = size => new Array(size).fill(0);
+    const counts = {
+        g: histogram(GREEN_ALPHABET_SIZE),
+        r: histogram(256),
+        b: histogram(256),
+        a: histogram(256)
+    };
+    for (let i = 0; i < g.length; i++) {
+        counts.g[g[i]]++;
+        counts.r[r[i]]++;
+        counts.b[b[i]]++;
+        counts.a[a[i]]++;
+    }
+
+    if (colorCacheBit) writer.write(0, 1);
+    if (metaPrefixBit) writer.write(0, 1);
+
+    const codes = {
+        g: writePrefixCode(writer, counts.g),
+        r: writePrefixCode(writer, counts.r),
+        b: writePrefixCode(writer, counts.b),
+        a: writePrefixCode(writer, counts.a)
+    };
+    writePrefixCode(writer, histogram(DISTANCE_ALPHABET_SIZE));
+
+    for (let i = 0; i < g.length; i++) {
+        writer.write(codes.g[g[i]].code, codes.g[g[i]].bits);
+        writer.write(codes.r[r[i]].code, codes.r[r[i]].bits);
+        writer.write(codes.b[b[i]].code, codes.b[b[i]].bits);
+        writer.write(codes.a[a[i]].code, codes.a[a[i]].bits);
+    }
+};
+
+const clamp = value => Math.min(255, Math.max(0, value));
+
+// Predictor modes that only look left and up (never top-right), per channel
+const PREDICTORS = {
+    1: left => left,
+    2: (left, top) => top,
+    7: (left, top) => (left + top) >> 1,
+    12: (left, top, topLeft) => clamp(left + top - topLeft),
+    13: (left, top, topLeft) => {
+        const average = (left + top) >> 1;
+        return clamp(average + Math.trunc((average - topLeft) / 2));
+    }
+};
+const MODES = Object.keys(PREDICTORS).map(Number);
+
+const splitChannels = (rgba, pixelCount) => {
+    const channels = {
+        a: new Uint8Array(pixelCount),
+        r: new Uint8Array(pixelCount),
+        g: new Uint8Array(pixelCount),
+        b: new Uint8Array(pixelCount)
+    };
+    for (let i = 0; i < pixelCount; i++) {
+        channels.r[i] = rgba[i * 4];
+        channels.g[i] = rgba[i * 4 + 1];
+        channels.b[i] = rgba[i * 4 + 2];
+        channels.a[i] = rgba[i * 4 + 3];
+    }
+    return channels;
+};
+
+// Residuals after prediction, with the mode picked per block by the smallest total error
+const applyPredictor = (channels, width, height) => {
+    const names = ['a', 'r', 'g', 'b'];
+    const blockSize = 1 << PREDICTOR_BITS;
+    const blocksWide = Math.ceil(width / blockSize);
+    const blocksHigh = Math.ceil(height / blockSize);
+    const modes = new Uint8Array(blocksWide * blocksHigh);
+
+    const residualAt = (mode, name, x, y) => {
+        const channel = channels[name];
+        const i = y * width + x;
+        const predicted = PREDICTORS[mode](channel[i - 1], channel[i - width], channel[i - width - 1]);
+        return (channel[i] - predicted) & 0xff;
+    };
+
+    for (let by = 0; by < blocksHigh; by++) {
+        for (let bx = 0; bx < blocksWide; bx++) {
+            let bestMode = 1;
+            let bestCost = Infinity;
+            MODES.forEach((mode) => {
+                let cost = 0;
+                for (let y = Math.max(1, by * blockSize); y < Math.min(height, (by + 1) * blockSize); y++) {
+                    for (let x = Math.max(1, bx * blockSize); x < Math.min(width, (bx + 1) * blockSize); x++) {
+                        names.forEach((name) => {
+                            const residual = residualAt(mode, name, x, y);
+                            cost += residual > 127 ? 256 - residual : residual;
+                        });
+                    }
+                }
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestMode = mode;
+                }
+            });
+            modes[by * blocksWide + bx] = bestMode;
+        }
+    }
+
+    const residuals = {};
+    names.forEach((name) => {
+        const channel = channels[name];
+        const out = new Uint8Array(channel.length);
+        // The top-left pixel is predicted as opaque black, the top row from the left, the left column from above
+        out[0] = (channel[0] - (name === 'a' ? 255 : 0)) & 0xff;
+        for (let x = 1; x < width; x++) out[x] = (channel[x] - channel[x - 1]) & 0xff;
+        for (let y = 1; y < height; y++) {
+            out[y * width] = (channel[y * width] - channel[(y - 1) * width]) & 0xff;
+            for (let x = 1; x < width; x++) {
+                const mode = modes[(y >> PREDICTOR_BITS) * blocksWide + (x >> PREDICTOR_BITS)];
+                out[y * width + x] = residualAt(mode, name, x, y);
+            }
+        }
+        residuals[name] = out;
+    });
+
+    return { residuals, modes, blocksWide, blocksHigh };
+};
+
+// Encode { data (RGBA), width, height } as a lossless WebP file
+const encodeWebp = ({ data, width, height }) => {
+    if (width < 1 || height < 1 || width > 16384 || height > 16384) {
+        throw new RangeError('WebP images must be between 1 and 16384 pixels on each side');
+    }
+
+    const pixelCount = width * height;
+    const channels = splitChannels(data, pixelCount);
+    const hasAlpha = channels.a.some(alpha => alpha !== 255);
+
+    // Subtract green: red and blue become differences from green, which photos keep small
+    for (let i = 0; i < pixelCount; i++) {
+        channels.r[i] = (channels.r[i] - channels.g[i]) & 0xff;
+        channels.b[i] = (channels.b[i] - channels.g[i]) & 0xff;
+    }
+    const { residuals, modes, blocksWide, blocksHigh } = applyPredictor(channels, width, height);
+
+    const writer = new BitWriter(Math.max(4096, pixelCount));
+    writer.write(0x2f, 8);
+    writer.write(width - 1, 14);
+    writer.write(height - 1, 14);
+    writer.write(hasAlpha ? 1 : 0, 1);
+    writer.write(0, 3);
+
+    writer.write(1, 1);
+    writer.write(2, 2); // subtract green
+    writer.write(1, 1);
+    writer.write(0, 2); // predictor, followed by its per-block modes as an image (mode in green)
+    writer.write(PREDICTOR_BITS - 2, 3);
+    const zeros = new Uint8Array(blocksWide * blocksHigh);
+    writeEntropyCodedImage(writer, { a: zeros, r: zeros, g: modes, b: zeros });
+    writer.write(0, 1); // no more transforms
+
+    writeEntropyCodedImage(writer, residuals, { metaPrefixBit: true });
+    const vp8l = writer.finish();
+
+    const padding = vp8l.length % 2;
+    const header = Buffer.alloc(20);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(12 + vp8l.length + padding, 4);
+    header.write('WEBPVP8L', 8, 'latin1');
+    header.writeUInt32LE(vp8l.length, 16);
+
+    return Buffer.concat([header, vp8l, Buffer.alloc(padding)]);
+};
+
+module.exports = {
+    encodeWebp
+};
@@ -0,0 +1,56 @@
+// lib/instagram-api.js - Requests against Instagram's web JSON endpoints (stories, profiles, comments)
+const { checkInstagramPage } = require('./page-checks');
+const { LoginRequiredError, UpstreamError } = require('./errors');
+const { WEB_APP_ID: INSTAGRAM_APP_ID, DEFAULT_PROFILE, buildProfileHeaders } = require('./client-profiles');
+
+const getProfileInfoUrl = username =>
+    `https://www.instagram.com/api/v1/users/web_profile_info/?username=${encodeURIComponent(username)}`;
+
+const getReelsMediaUrl = reelId =>
+    `https://www.instagram.com/api/v1/feed/reels_media/?reel_ids=${encodeURIComponent(reelId)}`;
+
+const getUserFeedUrl = (userId, count, maxId) =>
+    `https://www.instagram.com/api/v1/feed/user/${encodeURIComponent(userId)}/?count=${count}` +
+    (maxId ? `&max_id=${encodeURIComponent(maxId)}` : '');
+
+const getCommentsUrl = (mediaId, minId) =>
+    `https://www.instagram.com/api/v1/media/${encodeURIComponent(mediaId)}/comments/?can_support_threading=true&permalink_enabled=false` +
+    (minId ? `&min_id=${encodeURIComponent(minId)}` : '');
+
+// The client profile's API headers, plus the session cookie when there is one
+const buildApiHeaders = ({ profile = DEFAULT_PROFILE, sessionId } = {}) => {
+    const headers = buildProfileHeaders(profile, 'api', sessionId ? { Cookie: `sessionid=${sessionId}` } : {});
+    // Profiles from CLIENT_PROFILES_FILE may leave the app id out
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'x-ig-app-id')) {
+        headers['X-IG-App-ID'] = INSTAGRAM_APP_ID;
+    }
+    return headers;
+};
+
+// JSON endpoint counterpart of checkInstagramPage
+const checkApiResponse = (status, data, headers = {}) => {
+    if (status === 401 || status === 403 ||
+        (data && typeof data === 'object' && (data.require_login || data.message === 'login_required'))) {
+        throw new LoginRequiredError('Instagram requires a logged-in session for this request - set INSTAGRAM_SESSION_ID');
+    }
+
+    // Anything else that isn't JSON is an HTML page: 404s, rate limits and login redirects
+    checkInstagramPage(status, typeof data === 'string' ? data : '', headers);
+
+    if (!data || typeof data !== 'object') {
+        throw new UpstreamError('Instagram returned an unexpected JSON response');
+    }
+};
+
+const parseProfileUserId = json => json?.data?.user?.id || null;
+
+module.exports = {
+    INSTAGRAM_APP_ID,
+    getProfileInfoUrl,
+    getReelsMediaUrl,
+    getUserFeedUrl,
+    getCommentsUrl,
+    buildApiHeaders,
+    checkApiResponse,
+    parseProfileUserId
+};
@@ -0,0 +1,380 @@
+// lib/jobs.js - Asynchronous batch jobs: a pluggable job store, a bounded worker and signed webhooks
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const { toApiError } = require('./errors');
+
+// A store only needs three async operations, so Redis/KV backends can share jobs between instances:
+//   get(key)               -> value or null
+//   set(key, value, ttlMs) -> save the value, dropping it after ttlMs
+//   delete(key)
+// A job is saved under its id and each URL's result under "<id>:<index>", so recording one
+// result never rewrites the whole job. Values are kept as JSON so callers never hold a
+// reference into the store.
+const resultKey = (id, index) => `${id}:${index}`;
+
+class MemoryJobStore {
+    constructor({ maxJobs = 200 } = {}) {
+        this.jobs = new Map();
+        this.maxJobs = maxJobs;
+    }
+
+    // Results are kept with their job: they expire and get evicted with it, and don't count towards maxJobs
+    find(key) {
+        const [id, index] = String(key).split(':');
+        const entry = this.jobs.get(id);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.jobs.delete(id);
+            return { id, index, entry: null };
+        }
+        return { id, index, entry: entry || null };
+    }
+
+    async get(key) {
+        const { index, entry } = this.find(key);
+        if (!entry) return null;
+
+        const json = index === undefined ? entry.json : entry.results.get(index);
+        return json === undefined ? null : JSON.parse(json);
+    }
+
+    async set(key, value, ttlMs) {
+        const { id, index, entry } = this.find(key);
+        if (index !== undefined) {
+            // A result outliving its job has nothing to belong to
+            if (entry) entry.results.set(index, JSON.stringify(value));
+            return;
+        }
+
+        this.jobs.delete(id);
+        this.jobs.set(id, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs, results: entry ? entry.results : new Map() });
+
+        // Oldest first, as Map keeps insertion order
+        while (this.jobs.size > this.maxJobs) {
+            this.jobs.delete(this.jobs.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        const { id, index, entry } = this.find(key);
+        if (index === undefined) this.jobs.delete(id);
+        else if (entry) entry.results.delete(index);
+    }
+}
+
+const createJobId = () => `job_${crypto.randomBytes(12).toString('base64url')}`;
+
+const isJobId = id => /^job_[A-Za-z0-9_-]{16}$/.test(String(id || ''));
+
+// Run worker(item) over items with at most `limit` calls in flight
+const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+};
+
+const PRIVATE_HOSTNAMES = /^(localhost|.*\.localhost|.*\.local|.*\.internal|metadata\.google\.internal)$/i;
+
+const isPrivateAddress = (host) => {
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        const value = host.toLowerCase();
+        return value === '::' || value === '::1' || /^f[cd]/.test(value) || /^fe[89ab]/.test(value) || value.startsWith('::ffff:');
+    }
+    return false;
+};
+
+// Webhooks leave from our own network, so internal addresses are refused. Hostnames that
+// resolve to one are not caught here; deployments that care should also filter egress.
+const getCallbackUrlError = (callbackUrl) => {
+    let parsed;
+    try {
+        parsed = new URL(String(callbackUrl));
+    } catch (error) {
+        return 'callbackUrl must be an absolute http(s) URL';
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'callbackUrl must be an absolute http(s) URL';
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (PRIVATE_HOSTNAMES.test(host) || isPrivateAddress(host)) {
+        return 'callbackUrl may not point at a private or local address';
+    }
+
+    return null;
+};
+
+// Signature over "<timestamp>.<body>", hex HMAC-SHA256, so replays can be rejected by age
+const signWebhook = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// For receivers: true when signature ("sha256=<hex>") matches and timestamp is recent
+const verifyWebhookSignature = (secret, { timestamp, signature, body }, toleranceSeconds = 300, now = Date.now()) => {
+    if (!timestamp || !signature) return false;
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(`sha256=${signWebhook(secret, timestamp, body)}`);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// What clients see: no owner, options or lease bookkeeping
+const toJobView = job => ({
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    successful: job.successful,
+    failed: job.failed,
+    progress: job.total > 0 ? Math.round((job.completed / job.total) * 1000) / 1000 : 1,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    webhook: job.webhook,
+    results: job.results
+});
+
+// What is saved under the job's id: everything loadJob doesn't rebuild from the results
+const toJobRecord = job => ({
+    id: job.id,
+    status: job.status,
+    owner: job.owner,
+    options: job.options,
+    callbackUrl: job.callbackUrl,
+    total: job.total,
+    urls: job.urls,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    leaseUntil: job.leaseUntil,
+    webhook: job.webhook
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// resolveUrl(url, options) -> { data, cache } does the work for one URL; it may throw.
+// A worker holds a lease on its job while it runs. Serverless instances can be frozen or
+// recycled mid-job, so resume(job) picks up the pending URLs once that lease has lapsed.
+const createJobQueue = ({
+    store = new MemoryJobStore(),
+    resolveUrl,
+    concurrency = 4,
+    ttlMs = 24 * 60 * 60 * 1000,
+    leaseMs = 60 * 1000,
+    webhookSecret = null,
+    webhookTimeout = 10000,
+    webhookAttempts = 3,
+    webhookRetryDelay = 2000
+}) => {
+    const running = new Map();
+
+    const deliverWebhook = async (job) => {
+        const body = JSON.stringify({ event: 'job.completed', job: toJobView(job) });
+        const webhook = { url: job.callbackUrl, state: 'failed', attempts: 0, lastStatus: null, lastError: null, deliveredAt: null };
+
+        while (webhook.attempts < webhookAttempts) {
+            webhook.attempts++;
+            const timestamp = String(Math.floor(Date.now() / 1000));
+
+            try {
+                const response = await axios.post(job.callbackUrl, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'instagram-video-downloader-api webhooks',
+                        'X-Webhook-Id': job.id,
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': `sha256=${signWebhook(webhookSecret, timestamp, body)}`
+                    },
+                    timeout: webhookTimeout,
+                    maxRedirects: 0,
+                    validateStatus: () => true
+                });
+
+                webhook.lastStatus = response.status;
+                webhook.lastError = null;
+                if (response.status >= 200 && response.status < 300) {
+                    webhook.state = 'delivered';
+                    webhook.deliveredAt = new Date().toISOString();
+                    return webhook;
+                }
+                // The receiver turned it down; only overload and server errors are worth retrying
+                if (response.status < 500 && response.status !== 429) return webhook;
+            } catch (error) {
+                webhook.lastError = error.message;
+            }
+
+            if (webhook.attempts < webhookAttempts) {
+                await wait(webhookRetryDelay * webhook.attempts);
+            }
+        }
+
+        return webhook;
+    };
+
+    // The job with its results, and the counts worked out from them: a URL processed twice
+    // (by a worker that was thought gone) is still only counted once
+    const loadJob = async (id) => {
+        const record = await queue.store.get(id);
+        if (!record) return null;
+
+        const results = await Promise.all(record.urls.map(async (url, index) =>
+            (await queue.store.get(resultKey(id, index))) || { index, url, state: 'pending' }));
+        return {
+            ...record,
+            completed: results.filter(result => result.state !== 'pending').length,
+            successful: results.filter(result => result.state === 'succeeded').length,
+            failed: results.filter(result => result.state === 'failed').length,
+            results
+        };
+    };
+
+    const work = async (id) => {
+        const job = await loadJob(id);
+        if (!job || job.status === 'completed') return job;
+
+        // The job record is small and saved in order; each result goes to its own key
+        let saving = Promise.resolve();
+        const save = () => {
+            job.leaseUntil = Date.now() + leaseMs;
+            const record = JSON.parse(JSON.stringify(toJobRecord(job)));
+            saving = saving
+                .then(() => queue.store.set(id, record, ttlMs))
+                .catch(error => console.error(`Saving job ${id} failed:`, error.message));
+            return saving;
+        };
+        const saveResult = result => queue.store.set(resultKey(id, result.index), result, ttlMs)
+            .catch(error => console.error(`Saving result ${result.index} of job ${id} failed:`, error.message));
+
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        await save();
+
+        // One URL can outlast the lease (retries, backoff), so it is renewed while work is in flight
+        const renewal = setInterval(save, leaseMs / 3);
+        renewal.unref();
+
+        try {
+            const pending = job.results.filter(result => result.state === 'pending');
+            await runWithConcurrency(pending, concurrency, async (result) => {
+                try {
+                    const { data, cache } = await resolveUrl(result.url, job.options);
+                    Object.assign(result, { state: 'succeeded', success: true, cache, data });
+                    job.successful++;
+                } catch (error) {
+                    const apiError = toApiError(error);
+                    Object.assign(result, {
+                        state: 'failed',
+                        success: false,
+                        error: apiError.message,
+                        code: apiError.code,
+                        status: apiError.status
+                    });
+                    job.failed++;
+                }
+                job.completed++;
+                await saveResult(result);
+            });
+        } finally {
+            clearInterval(renewal);
+        }
+
+        job.status = 'completed';
+        job.completedAt = new Date().toISOString();
+        await save();
+        // Saved once more so they last ttlMs from now, like the finished job
+        await Promise.all(job.results.map(saveResult));
+
+        if (job.callbackUrl) {
+            job.webhook = await deliverWebhook(job);
+            await save();
+        }
+
+        return job;
+    };
+
+    const queue = {
+        store,
+
+        setStore(nextStore) {
+            queue.store = nextStore;
+        },
+
+        // Save a queued job; call start(job.id) to process it
+        async create({ urls, options = {}, callbackUrl = null, owner = null }) {
+            const job = {
+                id: createJobId(),
+                status: 'queued',
+                owner,
+                options,
+                callbackUrl,
+                total: urls.length,
+                urls,
+                completed: 0,
+                successful: 0,
+                failed: 0,
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                completedAt: null,
+                leaseUntil: 0,
+                webhook: callbackUrl ? { url: callbackUrl, state: 'pending', attempts: 0 } : null,
+                results: urls.map((url, index) => ({ index, url, state: 'pending' }))
+            };
+            await queue.store.set(job.id, toJobRecord(job), ttlMs);
+            return job;
+        },
+
+        async get(id) {
+            return isJobId(id) ? loadJob(id) : null;
+        },
+
+        // Process a job's pending URLs; resolves with the finished job and never rejects
+        start(id) {
+            if (running.has(id)) return running.get(id);
+
+            const promise = work(id)
+                .catch((error) => {
+                    console.error(`Job ${id} failed:`, error.message);
+                    return null;
+                })
+                .finally(() => running.delete(id));
+            running.set(id, promise);
+            return promise;
+        },
+
+        // Restart a job whose worker went away (its lease lapsed before it finished)
+        resume(job) {
+            if (!job || job.status === 'completed' || running.has(job.id) || job.leaseUntil > Date.now()) {
+                return null;
+            }
+            return queue.start(job.id);
+        },
+
+        stats() {
+            return { running: running.size };
+        }
+    };
+
+    return queue;
+};
+
+module.exports = {
+    MemoryJobStore,
+    createJobQueue,
+    runWithConcurrency,
+    getCallbackUrlError,
+    signWebhook,
+    verifyWebhookSignature,
+    toJobView,
+    isJobId
+};
@@ -0,0 +1,355 @@
+// lib/mp4.js - MP4 (ISO BMFF) boxes: remuxing separate fragmented DASH tracks into one MP4,
+// and demuxing the sound out of a progressive MP4 as M4A
+// Only box headers and a few fields are touched; samples are copied byte for byte, never re-encoded.
+const { UnsupportedMediaError } = require('./errors');
+
+// Boxes between start and end as { type, start, headerSize, end }
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Runs to the end of the file
+            size = end - offset;
+        }
+
+        if (size < headerSize || offset + size > end) {
+            throw new UnsupportedMediaError(`Truncated or corrupt MP4: the ${type} box overruns its parent`);
+        }
+
+        boxes.push({ type, start: offset, headerSize, end: offset + size });
+        offset += size;
+    }
+
+    return boxes;
+};
+
+const childBoxes = (buffer, box) => readBoxes(buffer, box.start + box.headerSize, box.end);
+
+const findChild = (buffer, box, type) => childBoxes(buffer, box).find(child => child.type === type) || null;
+
+const findPath = (buffer, box, path) => path.reduce((parent, type) => parent && findChild(buffer, parent, type), box);
+
+const createBox = (type, ...payloads) => {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+};
+
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return buffer;
+};
+
+// Full boxes start with a version byte and 24 bits of flags
+const payloadStart = box => box.start + box.headerSize;
+const versionOf = (buffer, box) => buffer[payloadStart(box)];
+
+const readUInt = (buffer, offset, wide) => (wide ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUInt32BE(offset));
+
+const writeUInt = (buffer, offset, value, wide) => {
+    if (wide) {
+        buffer.writeBigUInt64BE(BigInt(Math.round(value)), offset);
+    } else {
+        buffer.writeUInt32BE(Math.round(value) >>> 0, offset);
+    }
+};
+
+// mvhd and mdhd share a layout up to the duration: creation, modification, timescale
+const readTimescale = (buffer, box) => buffer.readUInt32BE(payloadStart(box) + 4 + (versionOf(buffer, box) === 1 ? 16 : 8));
+
+// Decode time of a fragment's first sample, in media timescale units
+const readFragmentTime = (buffer, moof) => {
+    const tfdt = findPath(buffer, moof, ['traf', 'tfdt']);
+    if (!tfdt) return null;
+    return readUInt(buffer, payloadStart(tfdt) + 4, versionOf(buffer, tfdt) === 1);
+};
+
+// One single-track fragmented MP4, as DASH on-demand representations are
+const parseFragmentedTrack = (buffer, label = 'input') => {
+    const top = readBoxes(buffer);
+    const moov = top.find(box => box.type === 'moov');
+    if (!moov) {
+        throw new UnsupportedMediaError(`The ${label} track has no moov box - is it an MP4?`);
+    }
+
+    const traks = childBoxes(buffer, moov).filter(box => box.type === 'trak');
+    if (traks.length !== 1) {
+        throw new UnsupportedMediaError(`The ${label} track must hold exactly one track (found ${traks.length})`);
+    }
+
+    const mvex = findChild(buffer, moov, 'mvex');
+    const trex = mvex && findChild(buffer, mvex, 'trex');
+    if (!trex) {
+        throw new UnsupportedMediaError(`The ${label} track is not fragmented - only DASH (fragmented MP4) tracks can be remuxed`);
+    }
+
+    const mvhd = findChild(buffer, moov, 'mvhd');
+    const mdhd = findPath(buffer, traks[0], ['mdia', 'mdhd']);
+    if (!mvhd || !mdhd) {
+        throw new UnsupportedMediaError(`The ${label} track is missing its mvhd or mdhd box`);
+    }
+
+    // A fragment is a moof and the mdat(s) after it, kept as one contiguous byte range
+    const fragments = [];
+    top.forEach((box) => {
+        if (box.type === 'moof') {
+            fragments.push({ moof: box, end: box.end });
+        } else if (box.type === 'mdat' && fragments.length > 0) {
+            fragments[fragments.length - 1].end = box.end;
+        }
+    });
+
+    return {
+        buffer,
+        mvhd,
+        trak: traks[0],
+        mehd: findChild(buffer, mvex, 'mehd'),
+        trex,
+        movieTimescale: readTimescale(buffer, mvhd),
+        mediaTimescale: readTimescale(buffer, mdhd),
+        fragments: fragments.map(fragment => ({ ...fragment, decodeTime: readFragmentTime(buffer, fragment.moof) }))
+    };
+};
+
+// Copy a box so it can be patched without touching the input
+const copyBox = (buffer, box) => {
+    const copy = Buffer.from(buffer.subarray(box.start, box.end));
+    return { copy, root: { ...box, start: 0, end: box.end - box.start } };
+};
+
+// trak with a new track_ID, its tkhd and edit list durations moved to the output movie timescale
+const rewriteTrak = (track, trackId, movieTimescale) => {
+    const { copy, root } = copyBox(track.buffer, track.trak);
+    const rescale = value => value * movieTimescale / track.movieTimescale;
+
+    const tkhd = findChild(copy, root, 'tkhd');
+    const wide = versionOf(copy, tkhd) === 1;
+    const trackIdOffset = payloadStart(tkhd) + 4 + (wide ? 16 : 8);
+    copy.writeUInt32BE(trackId, trackIdOffset);
+
+    if (movieTimescale !== track.movieTimescale) {
+        const durationOffset = trackIdOffset + 8;
+        writeUInt(copy, durationOffset, rescale(readUInt(copy, durationOffset, wide)), wide);
+
+        const elst = findPath(copy, root, ['edts', 'elst']);
+        if (elst) {
+            const elstWide = versionOf(copy, elst) === 1;
+            const count = copy.readUInt32BE(payloadStart(elst) + 4);
+            for (let i = 0; i < count; i++) {
+                const entryOffset = payloadStart(elst) + 8 + i * (elstWide ? 20 : 12);
+                writeUInt(copy, entryOffset, rescale(readUInt(copy, entryOffset, elstWide)), elstWide);
+            }
+        }
+    }
+
+    return copy;
+};
+
+const rewriteTrex = (track, trackId) => {
+    const { copy, root } = copyBox(track.buffer, track.trex);
+    copy.writeUInt32BE(trackId, payloadStart(root) + 4);
+    return copy;
+};
+
+// moof with a new sequence number and track_ID. Offsets relative to the moof survive the move;
+// an absolute base_data_offset is shifted by how far the fragment moved.
+const rewriteMoof = (track, fragment, { trackId, sequence, position }) => {
+    const { copy, root } = copyBox(track.buffer, fragment.moof);
+
+    const mfhd = findChild(copy, root, 'mfhd');
+    if (mfhd) copy.writeUInt32BE(sequence, payloadStart(mfhd) + 4);
+
+    childBoxes(copy, root).filter(box => box.type === 'traf').forEach((traf) => {
+        const tfhd = findChild(copy, traf, 'tfhd');
+        if (!tfhd) return;
+
+        const start = payloadStart(tfhd);
+        copy.writeUInt32BE(trackId, start + 4);
+
+        const flags = copy.readUIntBE(start + 1, 3);
+        if (flags & 0x000001) {
+            const baseDataOffset = Number(copy.readBigUInt64BE(start + 8));
+            copy.writeBigUInt64BE(BigInt(baseDataOffset - fragment.moof.start + position), start + 8);
+        }
+    });
+
+    return copy;
+};
+
+const FTYP = createBox('ftyp', Buffer.from('isom', 'latin1'), uint32(0x200), Buffer.from('isomiso6mp41', 'latin1'));
+
+// Fragments of every track in presentation order, so players can start before the end arrives.
+// Without tfdt boxes there is no clock to go by; tracks then follow one another.
+const interleaveFragments = (tracks) => {
+    const entries = [];
+    tracks.forEach((track, trackIndex) => {
+        track.fragments.forEach((fragment, order) => entries.push({ track, trackIndex, fragment, order }));
+    });
+
+    const timed = entries.every(entry => entry.fragment.decodeTime !== null);
+    const seconds = entry => entry.fragment.decodeTime / entry.track.mediaTimescale;
+
+    return entries.sort((a, b) => (timed ? seconds(a) - seconds(b) : 0) ||
+        a.trackIndex - b.trackIndex ||
+        a.order - b.order);
+};
+
+// Remux a video-only and an (optional) audio-only fragmented MP4 into one fragmented MP4.
+// Returns the output as Buffers to write in order; the media data are views into the inputs.
+const muxFragmentedTracks = ({ video, audio = null }) => {
+    const tracks = [parseFragmentedTrack(video, 'video')];
+    if (audio) tracks.push(parseFragmentedTrack(audio, 'audio'));
+
+    // The first (video) track's movie header leads; next_track_ID is its last field
+    const [first] = tracks;
+    const mvhd = copyBox(first.buffer, first.mvhd).copy;
+    mvhd.writeUInt32BE(tracks.length + 1, mvhd.length - 4);
+
+    const mvex = createBox('mvex',
+        ...(first.mehd ? [first.buffer.subarray(first.mehd.start, first.mehd.end)] : []),
+        ...tracks.map((track, index) => rewriteTrex(track, index + 1)));
+    const moov = createBox('moov',
+        mvhd,
+        ...tracks.map((track, index) => rewriteTrak(track, index + 1, first.movieTimescale)),
+        mvex);
+
+    const chunks = [FTYP, moov];
+    let position = FTYP.length + moov.length;
+
+    interleaveFragments(tracks).forEach(({ track, trackIndex, fragment }, index) => {
+        const moof = rewriteMoof(track, fragment, { trackId: trackIndex + 1, sequence: index + 1, position });
+        const data = track.buffer.subarray(fragment.moof.end, fragment.end);
+        chunks.push(moof, data);
+        position += moof.length + data.length;
+    });
+
+    return chunks;
+};
+
+const M4A_FTYP = createBox('ftyp', Buffer.from('M4A ', 'latin1'), uint32(0), Buffer.from('M4A isomiso2mp41', 'latin1'));
+
+const handlerOf = (buffer, trak) => {
+    const hdlr = findPath(buffer, trak, ['mdia', 'hdlr']);
+    return hdlr ? buffer.toString('latin1', payloadStart(hdlr) + 8, payloadStart(hdlr) + 12) : null;
+};
+
+// Byte size of every chunk in a sample table, from stsz (sample sizes) and stsc (samples per chunk)
+const readChunkSizes = (buffer, stbl, chunkCount) => {
+    const stsz = findChild(buffer, stbl, 'stsz');
+    const stsc = findChild(buffer, stbl, 'stsc');
+    if (!stsz || !stsc) {
+        throw new UnsupportedMediaError('The audio track has no stsz/stsc sample table (compact stz2 tables are not supported)');
+    }
+
+    const fixedSize = buffer.readUInt32BE(payloadStart(stsz) + 4);
+    const sampleCount = buffer.readUInt32BE(payloadStart(stsz) + 8);
+    const sampleSize = index => (fixedSize || buffer.readUInt32BE(payloadStart(stsz) + 12 + index * 4));
+
+    const runCount = buffer.readUInt32BE(payloadStart(stsc) + 4);
+    const runs = Array.from({ length: runCount }, (_, i) => ({
+        firstChunk: buffer.readUInt32BE(payloadStart(stsc) + 8 + i * 12),
+        samplesPerChunk: buffer.readUInt32BE(payloadStart(stsc) + 12 + i * 12)
+    }));
+
+    const sizes = [];
+    let sample = 0;
+    let run = 0;
+    for (let chunk = 1; chunk <= chunkCount; chunk++) {
+        while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) run++;
+
+        const samples = runs.length ? runs[run].samplesPerChunk : 0;
+        let size = 0;
+        for (let i = 0; i < samples && sample < sampleCount; i++, sample++) {
+            size += sampleSize(sample);
+        }
+        sizes.push(size);
+    }
+    return sizes;
+};
+
+// The sound track of a progressive (non-fragmented) MP4 as an M4A: ftyp, a moov with only that
+// track, and an mdat holding its chunks back to back. Returns Buffers to write in order.
+const extractAudioTrack = (buffer) => {
+    const top = readBoxes(buffer);
+    const moov = top.find(box => box.type === 'moov');
+    if (!moov) {
+        throw new UnsupportedMediaError('The video has no moov box - is it an MP4?');
+    }
+    if (findChild(buffer, moov, 'mvex')) {
+        throw new UnsupportedMediaError('The video is fragmented - use its DASH audio track instead');
+    }
+
+    const trak = childBoxes(buffer, moov).find(box => box.type === 'trak' && handlerOf(buffer, box) === 'soun');
+    if (!trak) {
+        throw new UnsupportedMediaError('The video has no audio track');
+    }
+
+    const mvhd = findChild(buffer, moov, 'mvhd');
+    const stbl = findPath(buffer, trak, ['mdia', 'minf', 'stbl']);
+    const chunkTable = stbl && (findChild(buffer, stbl, 'stco') || findChild(buffer, stbl, 'co64'));
+    if (!mvhd || !chunkTable) {
+        throw new UnsupportedMediaError('The audio track is missing its mvhd or chunk offset table');
+    }
+
+    const wide = chunkTable.type === 'co64';
+    const chunkCount = buffer.readUInt32BE(payloadStart(chunkTable) + 4);
+    const offsetAt = (box, i) => payloadStart(box) + 8 + i * (wide ? 8 : 4);
+    const sizes = readChunkSizes(buffer, stbl, chunkCount);
+    const chunks = sizes.map((size, i) => {
+        const offset = readUInt(buffer, offsetAt(chunkTable, i), wide);
+        if (offset + size > buffer.length) {
+            throw new UnsupportedMediaError('Truncated MP4: an audio chunk runs past the end of the file');
+        }
+        return buffer.subarray(offset, offset + size);
+    });
+
+    // The sound becomes track 1 of a one-track movie
+    const { copy: trakCopy, root } = copyBox(buffer, trak);
+    const tkhd = findChild(trakCopy, root, 'tkhd');
+    trakCopy.writeUInt32BE(1, payloadStart(tkhd) + 4 + (versionOf(trakCopy, tkhd) === 1 ? 16 : 8));
+    const mvhdCopy = copyBox(buffer, mvhd).copy;
+    mvhdCopy.writeUInt32BE(2, mvhdCopy.length - 4);
+
+    // Chunk offsets are absolute, so they are written once the moov's size is known (it doesn't change)
+    const audioMoov = createBox('moov', mvhdCopy, trakCopy);
+    const dataLength = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    if (M4A_FTYP.length + audioMoov.length + 8 + dataLength > 0xffffffff) {
+        throw new UnsupportedMediaError('The audio track is too large to extract');
+    }
+    let position = M4A_FTYP.length + audioMoov.length + 8;
+
+    const offsetTable = findPath(audioMoov, { start: 0, headerSize: 8, end: audioMoov.length },
+        ['trak', 'mdia', 'minf', 'stbl', chunkTable.type]);
+    chunks.forEach((chunk, i) => {
+        writeUInt(audioMoov, offsetAt(offsetTable, i), position, wide);
+        position += chunk.length;
+    });
+
+    const mdatHeader = Buffer.alloc(8);
+    mdatHeader.writeUInt32BE(dataLength + 8, 0);
+    mdatHeader.write('mdat', 4, 'latin1');
+
+    return [M4A_FTYP, audioMoov, mdatHeader, ...chunks];
+};
+
+module.exports = {
+    readBoxes,
+    findPath,
+    createBox,
+    parseFragmentedTrack,
+    muxFragmentedTracks,
+    extractAudioTrack
+};
@@ -0,0 +1,43 @@
+// lib/page-checks.js - Detect Instagram error pages before running the extractors
+const {
+    PostNotFoundError,
+    LoginRequiredError,
+    AgeRestrictedError,
+    UpstreamRateLimitedError,
+    UpstreamError,
+    parseRetryAfter
+} = require('./errors');
+
+const checkInstagramPage = (status, html = '', headers = {}) => {
+    // Check for common Instagram error responses
+    if (status === 404) {
+        throw new PostNotFoundError('Instagram post not found (404) - post may be deleted or private');
+    }
+
+    if (status === 429) {
+        throw new UpstreamRateLimitedError(
+            'Instagram rate limiting detected (429) - too many requests',
+            parseRetryAfter(headers['retry-after'])
+        );
+    }
+
+    if (status >= 400) {
+        throw new UpstreamError(`Instagram returned error status: ${status}`, { upstreamStatus: status });
+    }
+
+    // Check if we got redirected to login page
+    if (html.includes('login_and_signup_page') ||
+        html.includes('"require_login"') ||
+        html.includes('login/?next=')) {
+        throw new LoginRequiredError('Instagram requires login - post may be private or region restricted');
+    }
+
+    // Check for age restriction
+    if (html.includes('age_restricted') || html.includes('sensitive_content')) {
+        throw new AgeRestrictedError('Instagram post is age restricted or contains sensitive content');
+    }
+};
+
+module.exports = {
+    checkInstagramPage
+};
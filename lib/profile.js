@@ -0,0 +1,141 @@
+// lib/profile.js - Profile cards and feed pages (post summaries and opaque cursors)
+const { processMediaObject } = require('./extractors');
+const { getUrlExpiry } = require('./url-expiry');
+const { annotateCaption } = require('./captions');
+const { PostNotFoundError, LoginRequiredError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+const isValidUsername = username => /^[A-Za-z0-9_.]{1,30}$/.test(String(username || ''));
+
+// Cursors are base64url JSON so clients never depend on Instagram's max_id format.
+// They name the profile too, so a cursor can't be replayed against another username.
+const encodeCursor = ({ userId, username, maxId }) =>
+    Buffer.from(JSON.stringify({ u: String(userId), n: String(username).toLowerCase(), m: String(maxId) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { u, n, m } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return u && n && m ? { userId: String(u), username: String(n), maxId: String(m) } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// The subset of processMediaObject's output that a listing needs
+const SUMMARY_FIELDS = ['type', 'author', 'owner', 'caption', 'captionEntities', 'timestamp', 'likes', 'comments', 'thumbnail', 'isReel', 'isCarousel', 'itemCount'];
+
+const summarizeMediaObject = (media) => {
+    const processed = annotateCaption(processMediaObject(media) || {});
+    const shortcode = media.shortcode || media.code;
+
+    const summary = { postId: shortcode };
+    SUMMARY_FIELDS.forEach(field => {
+        if (processed[field] !== undefined) summary[field] = processed[field];
+    });
+
+    summary.thumbnail = processed.thumbnail || media.thumbnail_src || processed.imageUrl ||
+        processed.items?.[0]?.thumbnail || null;
+    // Feed to /download as-is
+    summary.url = `https://www.instagram.com/p/${shortcode}/`;
+
+    return summary;
+};
+
+const countOf = edge => (edge && typeof edge.count === 'number' ? edge.count : null);
+
+// Full creator card from web_profile_info
+const parseProfileInfo = (json, { username } = {}) => {
+    const user = json?.data?.user;
+    if (!user) {
+        throw new PostNotFoundError(`Instagram user ${username} not found`);
+    }
+
+    const profile = {
+        userId: String(user.id),
+        username: user.username || username,
+        fullName: user.full_name || '',
+        biography: user.biography || '',
+        profilePicUrl: user.profile_pic_url || null,
+        profilePicUrlHd: user.profile_pic_url_hd || user.hd_profile_pic_url_info?.url || user.profile_pic_url || null,
+        followers: countOf(user.edge_followed_by) ?? user.follower_count ?? null,
+        following: countOf(user.edge_follow) ?? user.following_count ?? null,
+        posts: countOf(user.edge_owner_to_timeline_media) ?? user.media_count ?? null,
+        isVerified: !!user.is_verified,
+        isPrivate: !!user.is_private,
+        isBusiness: !!(user.is_business_account || user.is_professional_account),
+        category: user.category_name || user.business_category_name || null,
+        externalUrl: user.external_url || null,
+        bioLinks: (user.bio_links || []).map(link => ({ title: link.title || '', url: link.url })).filter(link => link.url)
+    };
+
+    // Profile pictures are signed CDN links too; the cache must not outlive them
+    const expiries = [profile.profilePicUrl, profile.profilePicUrlHd].map(getUrlExpiry).filter(Boolean);
+    profile.expiresAt = expiries.length ? new Date(Math.min(...expiries)).toISOString() : null;
+
+    return profile;
+};
+
+// max_id for the feed endpoint is "<mediaId>_<userId>"; profile JSON only has the media id
+const toMaxId = (node, userId) => {
+    const id = String(node.id || node.pk);
+    return id.includes('_') ? id : `${id}_${userId}`;
+};
+
+const buildPage = (nodes, { userId, username, limit, hasMore }) => {
+    const pageNodes = nodes.slice(0, limit);
+    const last = pageNodes[pageNodes.length - 1];
+    const nextCursor = (hasMore || nodes.length > limit) && last
+        ? encodeCursor({ userId, username, maxId: toMaxId(last, userId) })
+        : null;
+
+    return {
+        userId: String(userId),
+        posts: pageNodes.map(summarizeMediaObject),
+        nextCursor,
+        hasMore: nextCursor !== null
+    };
+};
+
+// First page: web_profile_info's user with edge_owner_to_timeline_media
+const parseProfilePage = (json, { username, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const user = json?.data?.user;
+    if (!user) {
+        throw new PostNotFoundError(`Instagram user ${username} not found`);
+    }
+
+    const timeline = user.edge_owner_to_timeline_media || {};
+    const nodes = (timeline.edges || []).map(edge => edge.node).filter(Boolean);
+
+    if (nodes.length === 0 && user.is_private) {
+        throw new LoginRequiredError(`@${user.username || username} is private - only followers can list its posts`);
+    }
+
+    return {
+        ...buildPage(nodes, { userId: user.id, username, limit, hasMore: !!timeline.page_info?.has_next_page }),
+        username: user.username || username,
+        totalPosts: timeline.count ?? null
+    };
+};
+
+// Later pages: the feed/user endpoint's API-style items
+const parseUserFeed = (json, { userId, username, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const items = (json && json.items) || [];
+    return {
+        ...buildPage(items, { userId, username, limit, hasMore: !!json?.more_available }),
+        username: items[0]?.user?.username || null
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    isValidUsername,
+    encodeCursor,
+    decodeCursor,
+    summarizeMediaObject,
+    parseProfileInfo,
+    parseProfilePage,
+    parseUserFeed
+};
@@ -0,0 +1,166 @@
+// lib/quality.js - Video quality ladder: deduplicated, ranked and labelled renditions, and ?quality= selection
+const { cleanMediaUrl } = require('./urls');
+
+// "1080p" from the short side, so portrait 1080x1920 and landscape 1920x1080 are both 1080p
+const labelFor = (width, height) => {
+    const shortSide = Math.min(width || 0, height || 0) || width || height || 0;
+    return shortSide > 0 ? `${shortSide}p` : 'original';
+};
+
+// efg is base64 JSON the CDN uses for delivery hints; its vencode_tag names the encoding
+// (e.g. "...C3.720.dash_baseline_1_v1" or "...vp9_q70") and some carry a bitrate
+const parseEfg = (url) => {
+    const match = typeof url === 'string' && url.match(/[?&]efg=([^&#]+)/);
+    if (!match) return null;
+
+    try {
+        const json = Buffer.from(decodeURIComponent(match[1]), 'base64').toString('utf8');
+        const efg = JSON.parse(json);
+        return efg && typeof efg === 'object' ? efg : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const codecFromTag = (tag) => {
+    if (!tag) return null;
+    if (/vp9/i.test(tag)) return 'vp9';
+    if (/av1/i.test(tag)) return 'av1';
+    if (/baseline|main|high|h264|avc/i.test(tag)) return 'h264';
+    return null;
+};
+
+const toRendition = ({ url, width, height, codec, bandwidth }) => {
+    const efg = parseEfg(url);
+    const rendition = {
+        quality: width && height ? `${width}x${height}` : 'original',
+        label: labelFor(width, height),
+        url,
+        width: width || 0,
+        height: height || 0
+    };
+
+    const resolvedCodec = codec || codecFromTag(efg && efg.vencode_tag);
+    const resolvedBandwidth = bandwidth || (efg && Number(efg.bitrate)) || null;
+    if (resolvedCodec) rendition.codec = resolvedCodec;
+    if (resolvedBandwidth) rendition.bandwidth = resolvedBandwidth;
+
+    return rendition;
+};
+
+// Largest picture first, then the higher bitrate of two same-size encodes
+const compareRenditions = (a, b) => (b.width * b.height) - (a.width * a.height) ||
+    (b.bandwidth || 0) - (a.bandwidth || 0);
+
+// video_url (GraphQL) and every video_versions entry (API-style JSON) as one ranked ladder.
+// The same URL listed twice is one rendition; video_url borrows the dimensions of its version.
+const buildVideoQualities = (node) => {
+    const byUrl = new Map();
+    const add = (source) => {
+        const url = cleanMediaUrl(source.url);
+        if (!url) return;
+
+        const known = byUrl.get(url);
+        byUrl.set(url, known ? {
+            ...known,
+            width: known.width || source.width,
+            height: known.height || source.height,
+            codec: known.codec || source.codec,
+            bandwidth: known.bandwidth || source.bandwidth
+        } : { ...source, url });
+    };
+
+    if (node.video_url) {
+        add({
+            url: node.video_url,
+            width: node.dimensions?.width || node.original_width,
+            height: node.dimensions?.height || node.original_height
+        });
+    }
+    (node.video_versions || []).forEach(version => add({
+        url: version.url,
+        width: version.width,
+        height: version.height,
+        codec: version.codecs || version.codec,
+        bandwidth: version.bandwidth || version.bitrate
+    }));
+
+    const qualities = [...byUrl.values()].map(toRendition).sort(compareRenditions);
+    qualities.forEach((rendition, index) => {
+        rendition.isDefault = index === 0;
+    });
+    return qualities;
+};
+
+// ?quality= values: highest, lowest, a label (720p), maxWidth=N / maxHeight=N,
+// or an exact quality key (1080x1920, original) as the stream endpoint always took
+const parseQualitySpec = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const spec = String(value).trim().toLowerCase();
+    if (spec === 'highest' || spec === 'lowest' || spec === 'default') return { kind: spec };
+
+    const label = spec.match(/^(\d{3,4})p$/);
+    if (label) return { kind: 'label', label: `${label[1]}p` };
+
+    const limit = spec.match(/^max(width|height)[=:](\d+)$/);
+    if (limit) return { kind: limit[1] === 'width' ? 'maxWidth' : 'maxHeight', value: Number(limit[2]) };
+
+    if (/^\d+x\d+$/.test(spec) || spec === 'original') return { kind: 'exact', quality: spec };
+
+    return { kind: 'invalid' };
+};
+
+const isValidQualitySpec = value => parseQualitySpec(value)?.kind !== 'invalid';
+
+// Pick one rendition (video qualities or image variants) for a parsed spec; null when none fits
+const selectVariant = (variants, spec) => {
+    const ranked = (variants || []).filter(variant => variant.url).slice().sort(compareRenditions);
+    if (ranked.length === 0) return null;
+    if (!spec || spec.kind === 'default') return ranked.find(variant => variant.isDefault) || ranked[0];
+
+    switch (spec.kind) {
+        case 'highest':
+            return ranked[0];
+        case 'lowest':
+            return ranked[ranked.length - 1];
+        case 'label':
+            return ranked.find(variant => (variant.label || labelFor(variant.width, variant.height)) === spec.label) || null;
+        case 'maxWidth':
+            return ranked.find(variant => variant.width && variant.width <= spec.value) || null;
+        case 'maxHeight':
+            return ranked.find(variant => variant.height && variant.height <= spec.value) || null;
+        case 'exact':
+            // "original" used to name the video_url entry, which now carries its dimensions instead
+            return ranked.find(variant => String(variant.quality).toLowerCase() === spec.quality) ||
+                (spec.quality === 'original' ? ranked.find(variant => variant.isDefault) || ranked[0] : null);
+        default:
+            return null;
+    }
+};
+
+// Media with the requested rendition as its top-level videoUrl (or imageUrl for images).
+// Returns null when the post has no rendition matching the spec.
+const applyQuality = (media, quality) => {
+    const spec = parseQualitySpec(quality);
+    if (!spec || !media) return media;
+
+    const isVideo = media.type === 'video' && Array.isArray(media.qualities) && media.qualities.length > 0;
+    const variant = selectVariant(isVideo ? media.qualities : media.images, spec);
+    if (!variant) return null;
+
+    return {
+        ...media,
+        [isVideo ? 'videoUrl' : 'imageUrl']: variant.url,
+        selectedQuality: variant.label || variant.quality
+    };
+};
+
+module.exports = {
+    labelFor,
+    buildVideoQualities,
+    parseQualitySpec,
+    isValidQualitySpec,
+    selectVariant,
+    applyQuality
+};
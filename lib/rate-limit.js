@@ -0,0 +1,113 @@
+// lib/rate-limit.js - Per-client rate limiting with a sliding window counter
+const { RateLimitExceededError } = require('./errors');
+const { getClientIp } = require('./request');
+
+// A store only needs two async operations, so Redis/KV backends can implement it
+// atomically (INCRBY + PEXPIRE):
+//   get(key)                      -> current count (0 when missing)
+//   increment(key, amount, ttlMs) -> count after adding amount
+class MemoryRateLimitStore {
+    constructor({ maxKeys = 10000 } = {}) {
+        this.entries = new Map();
+        this.maxKeys = maxKeys;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return 0;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return 0;
+        }
+        return entry.value;
+    }
+
+    async increment(key, amount, ttlMs) {
+        const value = (await this.get(key)) + amount;
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+        if (this.entries.size > this.maxKeys) {
+            this.sweep();
+        }
+
+        return value;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+// Prefer the API key so clients behind one NAT don't share a quota. Only a key the
+// authenticator accepted (its record) counts: any made-up key would be a fresh bucket.
+const getClientKey = (req, apiKey = null) => {
+    if (apiKey && apiKey.keyHash) {
+        // Never keep raw keys in a shared store
+        return `key:${apiKey.keyHash.slice(0, 32)}`;
+    }
+
+    return `ip:${getClientIp(req)}`;
+};
+
+const createRateLimiter = ({ limit, windowMs, store = new MemoryRateLimitStore() }) => {
+    const limiter = {
+        limit,
+        windowMs,
+        store,
+
+        setStore(nextStore) {
+            limiter.store = nextStore;
+        },
+
+        // Count `cost` requests against `key`; throws RateLimitExceededError when over the limit
+        async consume(key, cost = 1, now = Date.now()) {
+            const windowStart = Math.floor(now / limiter.windowMs) * limiter.windowMs;
+            const resetAt = windowStart + limiter.windowMs;
+            const currentKey = `ratelimit:${key}:${windowStart}`;
+            const previousKey = `ratelimit:${key}:${windowStart - limiter.windowMs}`;
+
+            // Weight the previous window by how much of it still overlaps the sliding window
+            const previousWeight = 1 - (now - windowStart) / limiter.windowMs;
+            const previous = await limiter.store.get(previousKey);
+            const current = await limiter.store.get(currentKey);
+            const used = previous * previousWeight + current;
+
+            const state = {
+                limit: limiter.limit,
+                remaining: Math.max(0, Math.floor(limiter.limit - used)),
+                reset: Math.ceil(resetAt / 1000)
+            };
+
+            if (used + cost > limiter.limit) {
+                const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+                throw new RateLimitExceededError(
+                    `Rate limit exceeded: ${limiter.limit} requests per ${Math.round(limiter.windowMs / 1000)}s`,
+                    retryAfter,
+                    state
+                );
+            }
+
+            const updated = await limiter.store.increment(currentKey, cost, limiter.windowMs * 2);
+            state.remaining = Math.max(0, Math.floor(limiter.limit - (previous * previousWeight + updated)));
+            return state;
+        }
+    };
+
+    return limiter;
+};
+
+const setRateLimitHeaders = (res, state) => {
+    res.setHeader('X-RateLimit-Limit', String(state.limit));
+    res.setHeader('X-RateLimit-Remaining', String(state.remaining));
+    res.setHeader('X-RateLimit-Reset', String(state.reset));
+};
+
+module.exports = {
+    MemoryRateLimitStore,
+    createRateLimiter,
+    getClientKey,
+    setRateLimitHeaders
+};
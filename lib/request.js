@@ -0,0 +1,24 @@
+// lib/request.js - Client identity helpers shared by auth and rate limiting
+// Authorization: Bearer <key> or X-API-Key: <key>
+const getRequestApiKey = (req) => {
+    const headers = req.headers || {};
+    const bearer = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const key = headers['x-api-key'] || (bearer && bearer[1]);
+    return key ? String(key).trim() : null;
+};
+
+// Vercel puts the real client first in x-forwarded-for
+const getClientIp = (req) => {
+    const headers = req.headers || {};
+    const forwardedFor = headers['x-forwarded-for'];
+
+    return (forwardedFor && String(forwardedFor).split(',')[0].trim()) ||
+        headers['x-real-ip'] ||
+        (req.socket && req.socket.remoteAddress) ||
+        'unknown';
+};
+
+module.exports = {
+    getRequestApiKey,
+    getClientIp
+};
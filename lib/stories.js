@@ -0,0 +1,83 @@
+// lib/stories.js - Stories and highlights from Instagram's reels_media JSON
+const { normalizeCarouselItem } = require('./carousel');
+const { buildOwner } = require('./extractors');
+const { annotateUrlExpiry } = require('./url-expiry');
+const { annotateCaption } = require('./captions');
+const { PostNotFoundError } = require('./errors');
+
+const findReel = (json, reelId) => {
+    if (!json) return null;
+    if (json.reels && json.reels[reelId]) return json.reels[reelId];
+    const reels = json.reels_media || [];
+    return reels.find(reel => String(reel.id) === String(reelId)) || reels[0] || null;
+};
+
+const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+const normalizeStoryItem = (item, index) => ({
+    ...normalizeCarouselItem(item, index),
+    storyId: String(item.pk || String(item.id || '').split('_')[0]),
+    takenAt: toIso(item.taken_at),
+    storyExpiresAt: toIso(item.expiring_at)
+});
+
+// Shape a reel the way processMediaObject shapes a post. A story URL yields that one
+// story; a highlight yields every item, with the first as the top-level media.
+const processStoryReel = (reel, { kind, storyId, highlightId } = {}) => {
+    const allItems = ((reel && reel.items) || []).map(normalizeStoryItem);
+    if (allItems.length === 0) {
+        throw new PostNotFoundError(kind === 'highlight'
+            ? 'Highlight not found or empty'
+            : 'No active stories - they may have expired');
+    }
+
+    let items = allItems;
+    if (kind === 'story') {
+        const story = allItems.find(item => item.storyId === storyId);
+        if (!story) {
+            throw new PostNotFoundError('Story not found - stories disappear 24 hours after posting');
+        }
+        items = [{ ...story, index: 0 }];
+    }
+
+    const cover = items[0];
+    const result = {
+        type: cover.type,
+        postId: kind === 'highlight' ? `highlight_${highlightId}` : storyId,
+        author: reel.user?.username || 'unknown',
+        owner: buildOwner(reel.user),
+        caption: '',
+        timestamp: cover.takenAt ? Date.parse(cover.takenAt) / 1000 : Date.now(),
+        isStory: true,
+        isHighlight: kind === 'highlight',
+        isCarousel: items.length > 1,
+        thumbnail: cover.thumbnail,
+        storyExpiresAt: cover.storyExpiresAt
+    };
+
+    if (kind === 'highlight') {
+        result.title = reel.title || '';
+    }
+
+    if (cover.type === 'video') {
+        result.videoUrl = cover.videoUrl;
+        result.duration = cover.duration;
+        result.qualities = cover.qualities;
+        result.tracks = cover.tracks;
+        result.hasProgressiveMp4 = cover.hasProgressiveMp4;
+    } else {
+        result.imageUrl = cover.imageUrl;
+        result.images = cover.images;
+    }
+
+    result.items = items;
+    result.itemCount = items.length;
+
+    annotateUrlExpiry(result);
+    return annotateCaption(result);
+};
+
+module.exports = {
+    findReel,
+    processStoryReel
+};
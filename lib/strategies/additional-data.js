@@ -0,0 +1,37 @@
+// lib/strategies/additional-data.js - window.__additionalDataLoaded and related page bootstrap data
+const { extractFromAdditionalData } = require('../extractors');
+
+const ADDITIONAL_DATA_PATTERNS = [
+    /window\.__additionalDataLoaded\(['"].*?['"],\s*({.+?})\);/,
+    /window\.__d\(['"]PolarisPostRoot\.react['"],\s*function[^}]+\},\s*({.+?})\);/,
+    /"require":\[\["PolarisPostRoot",.*?({.+?"shortcode_media".+?})/,
+    /"xdt_shortcode_media":\s*({.+?})/,
+    /"shortcode_media":\s*({.+?"video_url".+?})/
+];
+
+module.exports = {
+    name: 'additional-data',
+    priority: 40,
+
+    isApplicable: ({ html }) => html.includes('__additionalDataLoaded') ||
+        html.includes('PolarisPostRoot') ||
+        html.includes('shortcode_media'),
+
+    extract: ({ html, sourceUrl }) => {
+        for (const pattern of ADDITIONAL_DATA_PATTERNS) {
+            const match = html.match(pattern);
+            if (!match) continue;
+
+            try {
+                const data = JSON.parse(match[1]);
+                console.log('Found data in pattern match');
+                const mediaData = extractFromAdditionalData(data, sourceUrl);
+                if (mediaData) return mediaData;
+            } catch (e) {
+                console.error('Error parsing pattern data:', e.message);
+            }
+        }
+
+        return null;
+    }
+};
@@ -0,0 +1,137 @@
+// lib/strategies/index.js - Registry of HTML extraction strategies
+const cheerio = require('cheerio');
+const { annotateUrlExpiry } = require('../url-expiry');
+const { annotateCaption } = require('../captions');
+
+const registry = new Map();
+
+// Each strategy is { name, priority, isApplicable(context), extract(context) }.
+// Lower priority runs first; context is { html, $, sourceUrl }.
+const registerStrategy = (strategy) => {
+    if (!strategy || !strategy.name || typeof strategy.extract !== 'function') {
+        throw new Error('Extraction strategy needs a name and an extract function');
+    }
+
+    registry.set(strategy.name, {
+        priority: 100,
+        isApplicable: () => true,
+        ...strategy
+    });
+};
+
+const getStrategy = (name) => registry.get(name) || null;
+
+const listStrategies = () => [...registry.values()]
+    .sort((a, b) => a.priority - b.priority)
+    .map(({ name, priority }) => ({ name, priority }));
+
+const parseStrategyList = (value) => {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+};
+
+// Resolve the order to run strategies in: explicit list, otherwise priority
+const resolveStrategies = (names) => {
+    const requested = parseStrategyList(names);
+
+    if (requested.length === 0) {
+        return [...registry.values()].sort((a, b) => a.priority - b.priority);
+    }
+
+    const unknown = requested.filter(name => !registry.has(name));
+    if (unknown.length > 0) {
+        const error = new Error(`Unknown extraction strategies: ${unknown.join(', ')}`);
+        error.code = 'INVALID_STRATEGY';
+        error.availableStrategies = listStrategies().map(s => s.name);
+        throw error;
+    }
+
+    return [...new Set(requested)].map(name => registry.get(name));
+};
+
+const extractMediaFromHtml = (html, sourceUrl = '', options = {}) => {
+    const strategies = resolveStrategies(options.strategies);
+    const tried = [];
+    let mediaData = null;
+    let winner = null;
+
+    try {
+        const $ = cheerio.load(html);
+        const context = { html, $, sourceUrl };
+        console.log('HTML content length:', html.length);
+
+        for (const strategy of strategies) {
+            // Once we have media, only strategies that can upgrade an image result still run.
+            // A carousel is never "upgraded" - that would replace every slide with one video.
+            if (mediaData && !(strategy.canUpgradeImage && mediaData.type === 'image' && !mediaData.isCarousel)) {
+                continue;
+            }
+
+            if (!strategy.isApplicable(context)) {
+                tried.push({ strategy: strategy.name, status: 'skipped' });
+                continue;
+            }
+
+            try {
+                const result = strategy.extract(context);
+                if (result) {
+                    mediaData = result;
+                    winner = strategy.name;
+                    tried.push({ strategy: strategy.name, status: 'matched' });
+                } else {
+                    tried.push({ strategy: strategy.name, status: 'failed' });
+                }
+            } catch (e) {
+                console.error(`Extraction strategy ${strategy.name} failed:`, e.message);
+                tried.push({ strategy: strategy.name, status: 'error', error: e.message });
+            }
+        }
+
+        // Log what we found
+        if (mediaData) {
+            mediaData.extraction = { strategy: winner, tried };
+            annotateUrlExpiry(mediaData);
+            annotateCaption(mediaData);
+            console.log('Successfully extracted media data:', {
+                type: mediaData.type,
+                hasVideoUrl: !!mediaData.videoUrl,
+                hasImageUrl: !!mediaData.imageUrl,
+                hasCaption: !!mediaData.caption,
+                method: mediaData.extractionMethod || 'unknown',
+                strategy: winner
+            });
+        } else {
+            console.log('No media data found in HTML');
+            // Log some debugging info
+            console.log('Strategies tried:', tried.map(t => `${t.strategy}:${t.status}`).join(', '));
+            console.log('Page title:', $('title').text());
+            console.log('Meta description:', $('meta[name="description"]').attr('content'));
+            console.log('Has script tags:', $('script').length);
+        }
+
+        return mediaData;
+    } catch (error) {
+        console.error('HTML extraction failed:', error);
+        return null;
+    }
+};
+
+// Built-in strategies, in the order Instagram pages have historically exposed media
+[
+    require('./jsonld'),
+    require('./shared-data'),
+    require('./reel-patterns'),
+    require('./additional-data'),
+    require('./shortcode-json'),
+    require('./reel-video'),
+    require('./og')
+].forEach(registerStrategy);
+
+module.exports = {
+    registerStrategy,
+    getStrategy,
+    listStrategies,
+    resolveStrategies,
+    extractMediaFromHtml
+};
@@ -0,0 +1,35 @@
+// lib/strategies/jsonld.js - JSON-LD data in script tags
+module.exports = {
+    name: 'jsonld',
+    priority: 10,
+
+    isApplicable: ({ html }) => html.includes('application/ld+json'),
+
+    extract: ({ $ }) => {
+        const scripts = $('script[type="application/ld+json"]');
+        let mediaData = null;
+
+        scripts.each((i, script) => {
+            try {
+                const jsonData = JSON.parse($(script).html());
+                if (jsonData.video && jsonData.video.contentUrl) {
+                    mediaData = {
+                        type: 'video',
+                        videoUrl: jsonData.video.contentUrl,
+                        thumbnail: jsonData.video.thumbnailUrl,
+                        title: jsonData.headline || jsonData.name || 'Instagram Video',
+                        caption: jsonData.description || '',
+                        author: jsonData.author ? jsonData.author.name : 'Unknown',
+                        uploadDate: jsonData.uploadDate || new Date().toISOString()
+                    };
+                    console.log('Found video data in JSON-LD');
+                    return false; // break the loop
+                }
+            } catch (e) {
+                // Continue to next script
+            }
+        });
+
+        return mediaData;
+    }
+};
@@ -0,0 +1,48 @@
+// lib/strategies/og.js - og: meta tags (fallback, but force video for reel URLs)
+const { extractCaptionFromHtml, extractAuthorFromHtml } = require('../extractors');
+
+module.exports = {
+    name: 'og',
+    priority: 70,
+
+    isApplicable: ({ $ }) => $('meta[property^="og:"]').length > 0,
+
+    extract: ({ html, $, sourceUrl }) => {
+        const videoUrl = $('meta[property="og:video"]').attr('content') ||
+                       $('meta[property="og:video:url"]').attr('content');
+        const imageUrl = $('meta[property="og:image"]').attr('content');
+        const title = $('meta[property="og:title"]').attr('content');
+        const description = $('meta[property="og:description"]').attr('content');
+
+        if (!videoUrl && !imageUrl) return null;
+
+        console.log('Found media data in meta tags');
+
+        // For reel URLs, prefer video type even if only image found
+        const isReelUrl = html.includes('/reel/') || title?.toLowerCase().includes('reel');
+
+        // Some carousel pages repeat og:image once per slide
+        const slideImages = [...new Set($('meta[property="og:image"]').map((i, el) => $(el).attr('content')).get())];
+        const items = slideImages.length > 1
+            ? slideImages.map((url, index) => ({ index, type: 'image', url, imageUrl: url, thumbnail: url }))
+            : null;
+
+        const mediaData = {
+            type: (videoUrl || isReelUrl) ? 'video' : 'image',
+            videoUrl: videoUrl,
+            imageUrl: imageUrl,
+            thumbnail: imageUrl,
+            title: title || 'Instagram Post',
+            caption: extractCaptionFromHtml(html, sourceUrl) || description || '',
+            author: extractAuthorFromHtml(html, sourceUrl) || 'Unknown'
+        };
+
+        if (items) {
+            mediaData.isCarousel = true;
+            mediaData.items = items;
+            mediaData.itemCount = items.length;
+        }
+
+        return mediaData;
+    }
+};
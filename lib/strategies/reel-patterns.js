@@ -0,0 +1,80 @@
+// lib/strategies/reel-patterns.js - Reel-specific data patterns (direct video_url)
+const {
+    extractThumbnailFromHtml,
+    extractImageVariantsFromHtml,
+    extractCaptionFromHtml,
+    extractAuthorFromHtml
+} = require('../extractors');
+const { buildVideoQualities } = require('../quality');
+const { buildVideoTracks } = require('../dash');
+const { extractAudioInfoFromHtml } = require('../audio');
+
+const REEL_PATTERNS = [
+    /"clips_metadata":\s*({[^}]+(?:{[^}]*}[^}]*)*})/,
+    /"video_url":\s*"([^"]+)"/,
+    /"video_versions":\s*\[([^\]]+)\]/,
+    /"dash_manifest":\s*"([^"]+)"/
+];
+
+// The page's video_versions array, when it is plain JSON, for the quality ladder
+const parseVideoVersions = (html) => {
+    const match = html.match(/"video_versions":\s*(\[[^\]]+\])/);
+    if (!match) return [];
+
+    try {
+        const versions = JSON.parse(match[1]);
+        return Array.isArray(versions) ? versions : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// The manifest is an escaped JSON string inside the page; JSON.parse undoes the escaping
+const parseDashManifestString = (html) => {
+    const match = html.match(/"(?:video_)?dash_manifest":\s*"((?:[^"\\]|\\.)*)"/);
+    if (!match) return null;
+
+    try {
+        return JSON.parse(`"${match[1]}"`);
+    } catch (e) {
+        return null;
+    }
+};
+
+module.exports = {
+    name: 'reel-patterns',
+    priority: 30,
+
+    isApplicable: ({ html }) => REEL_PATTERNS.some(pattern => pattern.test(html)),
+
+    extract: ({ html, sourceUrl }) => {
+        for (const pattern of REEL_PATTERNS) {
+            const match = html.match(pattern);
+            if (!match) continue;
+
+            console.log('Found reel-specific data');
+            if (pattern.source.includes('video_url')) {
+                // Direct video URL found
+                const videoUrl = match[1];
+                if (videoUrl && videoUrl.includes('cdninstagram.com')) {
+                    const qualities = buildVideoQualities({ video_url: videoUrl, video_versions: parseVideoVersions(html) });
+                    const audio = extractAudioInfoFromHtml(html);
+                    return {
+                        type: 'video',
+                        videoUrl: qualities[0].url,
+                        qualities,
+                        ...buildVideoTracks({ dash_manifest: parseDashManifestString(html) }, qualities),
+                        thumbnail: extractThumbnailFromHtml(html),
+                        images: extractImageVariantsFromHtml(html),
+                        title: 'Instagram Reel',
+                        caption: extractCaptionFromHtml(html, sourceUrl),
+                        author: extractAuthorFromHtml(html, sourceUrl),
+                        ...(audio ? { audio } : {})
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+};
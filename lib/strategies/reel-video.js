@@ -0,0 +1,20 @@
+// lib/strategies/reel-video.js - Enhanced reel video detection from raw MP4 references
+const { extractReelVideoData } = require('../extractors');
+
+module.exports = {
+    name: 'reel-video',
+    priority: 60,
+    // Also runs when an earlier strategy only found an image, and replaces it with the video
+    canUpgradeImage: true,
+
+    isApplicable: ({ html }) => html.includes('.mp4'),
+
+    extract: ({ html, sourceUrl }) => {
+        console.log('Trying enhanced reel detection...');
+        const reelVideoData = extractReelVideoData(html, sourceUrl);
+        if (reelVideoData) {
+            console.log('Found reel video data');
+        }
+        return reelVideoData;
+    }
+};
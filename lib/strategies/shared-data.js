@@ -0,0 +1,20 @@
+// lib/strategies/shared-data.js - Legacy window._sharedData blob
+const { extractFromSharedData } = require('../extractors');
+
+const SHARED_DATA_PATTERN = /window\._sharedData\s*=\s*({.+?});/;
+
+module.exports = {
+    name: 'shared-data',
+    priority: 20,
+
+    isApplicable: ({ html }) => html.includes('window._sharedData'),
+
+    extract: ({ html, sourceUrl }) => {
+        const sharedDataMatch = html.match(SHARED_DATA_PATTERN);
+        if (!sharedDataMatch) return null;
+
+        const sharedData = JSON.parse(sharedDataMatch[1]);
+        console.log('Found window._sharedData');
+        return extractFromSharedData(sharedData, sourceUrl);
+    }
+};
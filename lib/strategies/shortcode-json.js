@@ -0,0 +1,28 @@
+// lib/strategies/shortcode-json.js - Generic search for any shortcode_media JSON object
+const { processMediaObject } = require('../extractors');
+
+module.exports = {
+    name: 'shortcode-json',
+    priority: 50,
+
+    isApplicable: ({ html }) => html.includes('"shortcode_media"'),
+
+    extract: ({ html, sourceUrl }) => {
+        const jsonRegex = /"shortcode_media":\s*({[^}]+(?:{[^}]*}[^}]*)*})/g;
+        let mediaData = null;
+        let match;
+
+        while ((match = jsonRegex.exec(html)) !== null) {
+            try {
+                const mediaObj = JSON.parse(match[1]);
+                console.log('Found shortcode_media in JSON');
+                mediaData = processMediaObject(mediaObj, sourceUrl);
+                if (mediaData && mediaData.type === 'video') break; // Prefer video results
+            } catch (e) {
+                // Continue searching
+            }
+        }
+
+        return mediaData;
+    }
+};
@@ -0,0 +1,297 @@
+// lib/stream.js - Media proxy helpers for the streaming endpoint
+const crypto = require('crypto');
+const axios = require('axios');
+const { UpstreamError, UnsupportedMediaError } = require('./errors');
+const { parseQualitySpec, selectVariant } = require('./quality');
+
+// Headers we copy from the CDN response onto our own response
+const PASSTHROUGH_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'last-modified',
+    'etag'
+];
+
+const EXTENSIONS_BY_TYPE = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/mpeg': 'mp3',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+// Pick the media URL to stream from a getMediaInfo result
+const selectStreamSource = (mediaInfo, quality = '') => {
+    if (!mediaInfo) return null;
+
+    const isVideo = mediaInfo.type === 'video';
+    const variants = (isVideo ? mediaInfo.qualities : mediaInfo.images) || [];
+
+    if (quality) {
+        const variant = selectVariant(variants, parseQualitySpec(quality));
+        if (!variant) return null;
+        return { url: variant.url, type: mediaInfo.type, quality: variant.quality };
+    }
+
+    const url = isVideo ? (mediaInfo.videoUrl || mediaInfo.imageUrl) : (mediaInfo.imageUrl || mediaInfo.thumbnail);
+    if (!url) return null;
+
+    return {
+        url,
+        type: isVideo && mediaInfo.videoUrl ? 'video' : 'image',
+        quality: 'default'
+    };
+};
+
+// Where a video's sound comes from: its DASH audio track or, failing that, the progressive MP4,
+// which has to be demuxed. Only without either does it fall back to the rendition named in the
+// audio metadata; for licensed music that is the catalogue song ('music-asset'), not the reel's
+// own soundtrack.
+const selectAudioSource = (mediaInfo) => {
+    if (!mediaInfo || mediaInfo.type !== 'video') return null;
+
+    const track = mediaInfo.tracks && mediaInfo.tracks.audio && mediaInfo.tracks.audio[0];
+    if (track && track.url) {
+        return { kind: 'dash', url: track.url, mimeType: track.mimeType, codecs: track.codecs, bandwidth: track.bandwidth };
+    }
+    if (mediaInfo.videoUrl) {
+        return { kind: 'demux', url: mediaInfo.videoUrl };
+    }
+    if (mediaInfo.audio && mediaInfo.audio.url) {
+        return { kind: mediaInfo.audio.isOriginalSound ? 'sound' : 'music-asset', url: mediaInfo.audio.url };
+    }
+    return null;
+};
+
+const guessExtension = (contentType = '', sourceUrl = '', type = 'video') => {
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    if (EXTENSIONS_BY_TYPE[mime]) return EXTENSIONS_BY_TYPE[mime];
+
+    const urlMatch = sourceUrl.match(/\.([a-z0-9]{3,4})(?:\?|$)/i);
+    if (urlMatch) return urlMatch[1].toLowerCase();
+
+    return type === 'video' ? 'mp4' : 'jpg';
+};
+
+// Build a filename like "author_postId.mp4" (or "author_postId_2.mp4" for a slide) that is safe for Content-Disposition
+const buildDownloadFilename = (mediaInfo, extension = 'mp4') => {
+    const clean = (value) => String(value || '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^[._]+|[._]+$/g, '');
+
+    const author = clean(mediaInfo && mediaInfo.author);
+    const postId = clean(mediaInfo && mediaInfo.postId);
+    const parts = [author, postId].filter(part => part && part.toLowerCase() !== 'unknown');
+    // Carousel slides get a 1-based suffix so they don't overwrite each other
+    if (mediaInfo && mediaInfo.isCarousel && Number.isInteger(mediaInfo.index)) {
+        parts.push(String(mediaInfo.index + 1));
+    }
+    const base = parts.length > 0 ? parts.join('_') : 'instagram_media';
+
+    return `${base}.${extension}`;
+};
+
+const buildContentDisposition = (filename, disposition = 'attachment') => {
+    const kind = disposition === 'inline' ? 'inline' : 'attachment';
+    return `${kind}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// options.headers are the client profile's media headers; options.accept narrows what we ask for
+const getMediaHeaders = (options) => {
+    const headers = { ...(options.headers || { 'User-Agent': 'Mozilla/5.0', 'Accept': '*/*', 'Referer': 'https://www.instagram.com/' }) };
+    if (options.accept) {
+        const existing = Object.keys(headers).find(name => name.toLowerCase() === 'accept');
+        headers[existing || 'Accept'] = options.accept;
+    }
+    return headers;
+};
+
+// Pipe the CDN response through to the client, forwarding Range for partial content
+const proxyMediaStream = async (sourceUrl, req, res, options = {}) => {
+    const headers = getMediaHeaders(options);
+
+    if (req.headers && req.headers.range) {
+        headers.Range = req.headers.range;
+    }
+
+    const upstream = await axios.get(sourceUrl, {
+        headers,
+        responseType: 'stream',
+        timeout: options.timeout || 15000,
+        maxRedirects: 5,
+        decompress: false,
+        validateStatus: status => status < 500,
+        // Agents from the proxy pool, when one is configured
+        ...options.proxyOptions
+    });
+
+    // Range not satisfiable is a valid answer for the client to handle
+    if (upstream.status >= 400 && upstream.status !== 416) {
+        upstream.data.destroy();
+        throw new UpstreamError(`Media CDN returned error status: ${upstream.status}`, {
+            upstreamStatus: upstream.status
+        });
+    }
+
+    PASSTHROUGH_HEADERS.forEach(name => {
+        if (upstream.headers[name] !== undefined) {
+            res.setHeader(name, upstream.headers[name]);
+        }
+    });
+
+    if (!upstream.headers['accept-ranges']) {
+        res.setHeader('Accept-Ranges', 'bytes');
+    }
+
+    const extension = options.extension || guessExtension(upstream.headers['content-type'], sourceUrl, options.type);
+    const filename = options.filename || buildDownloadFilename(options.mediaInfo, extension);
+    res.setHeader('Content-Disposition', buildContentDisposition(filename, options.disposition));
+    const exposedHeaders = res.getHeader('Access-Control-Expose-Headers');
+    res.setHeader('Access-Control-Expose-Headers', [exposedHeaders, 'Content-Length, Content-Range, Content-Disposition, Accept-Ranges']
+        .filter(Boolean)
+        .join(', '));
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.statusCode = upstream.status;
+
+    if (req.method === 'HEAD') {
+        upstream.data.destroy();
+        res.end();
+        return { status: upstream.status, filename };
+    }
+
+    return new Promise((resolve, reject) => {
+        upstream.data.on('error', (error) => {
+            console.error('Media stream error:', error.message);
+            res.destroy(error);
+            reject(error);
+        });
+
+        res.on('finish', () => resolve({ status: upstream.status, filename }));
+        res.on('close', () => {
+            // Closed before the whole body went out: the player aborted (e.g. on seek), so stop
+            // pulling from the CDN. req's 'close' only says the request body has been read.
+            if (!res.writableEnded) upstream.data.destroy();
+            resolve({ status: upstream.status, filename });
+        });
+
+        upstream.data.pipe(res);
+    });
+};
+
+// Download a whole media file into memory; the muxer needs random access to its boxes
+const fetchMediaBuffer = async (sourceUrl, options = {}) => {
+    const maxBytes = options.maxBytes || 100 * 1024 * 1024;
+    let upstream;
+
+    try {
+        upstream = await axios.get(sourceUrl, {
+            headers: getMediaHeaders(options),
+            responseType: 'arraybuffer',
+            timeout: options.timeout || 15000,
+            maxRedirects: 5,
+            maxContentLength: maxBytes,
+            validateStatus: status => status < 500,
+            ...options.proxyOptions
+        });
+    } catch (error) {
+        if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+            throw new UnsupportedMediaError(`Media file is larger than the ${maxBytes} byte limit for remuxing`, { maxBytes });
+        }
+        throw error;
+    }
+
+    if (upstream.status >= 400) {
+        throw new UpstreamError(`Media CDN returned error status: ${upstream.status}`, {
+            upstreamStatus: upstream.status
+        });
+    }
+
+    return Buffer.from(upstream.data);
+};
+
+// Write muxed output (a list of Buffers) as a download, pausing whenever the socket is full
+const sendMuxedMedia = async (chunks, req, res, options = {}) => {
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const filename = buildDownloadFilename(options.mediaInfo, options.extension || 'mp4');
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', options.contentType || 'video/mp4');
+    res.setHeader('Content-Length', length);
+    res.setHeader('Content-Disposition', buildContentDisposition(filename, options.disposition));
+    const exposedHeaders = res.getHeader('Access-Control-Expose-Headers');
+    res.setHeader('Access-Control-Expose-Headers', [exposedHeaders, 'Content-Length, Content-Disposition']
+        .filter(Boolean)
+        .join(', '));
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return { status: 200, filename, length };
+    }
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    for (const chunk of chunks) {
+        if (closed) break;
+        if (!res.write(chunk)) {
+            await new Promise(resolve => {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            });
+        }
+    }
+    res.end();
+
+    return { status: 200, filename, length };
+};
+
+const matchesETag = (header, etag) => Boolean(header) &&
+    header.split(',').map(value => value.trim().replace(/^W\//, '')).some(value => value === etag || value === '*');
+
+// Send a rendered thumbnail. The bytes only depend on the request, so it is cacheable for maxAge
+// seconds (privately when requests need an API key) and revalidates by ETag.
+const sendRenderedImage = (image, req, res, options = {}) => {
+    const etag = `"${crypto.createHash('sha1').update(image.data).digest('base64url')}"`;
+    const filename = buildDownloadFilename(options.mediaInfo, image.extension);
+
+    res.setHeader('Cache-Control', `${options.private ? 'private' : 'public'}, max-age=${options.maxAge || 0}`);
+    res.setHeader('ETag', etag);
+    const exposedHeaders = res.getHeader('Access-Control-Expose-Headers');
+    res.setHeader('Access-Control-Expose-Headers', [exposedHeaders, 'Content-Length, Content-Disposition, ETag']
+        .filter(Boolean)
+        .join(', '));
+
+    if (matchesETag(req.headers && req.headers['if-none-match'], etag)) {
+        res.statusCode = 304;
+        res.end();
+        return { status: 304, filename };
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Content-Length', image.data.length);
+    res.setHeader('Content-Disposition', buildContentDisposition(filename, options.disposition || 'inline'));
+    res.end(req.method === 'HEAD' ? undefined : image.data);
+
+    return { status: 200, filename };
+};
+
+module.exports = {
+    selectStreamSource,
+    selectAudioSource,
+    buildDownloadFilename,
+    buildContentDisposition,
+    proxyMediaStream,
+    fetchMediaBuffer,
+    sendMuxedMedia,
+    sendRenderedImage
+};
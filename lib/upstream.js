@@ -0,0 +1,93 @@
+// lib/upstream.js - Going easy on Instagram: in-flight deduplication, a concurrency cap and per-host pacing
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Callers asking for a key that is already being fetched share that fetch instead of starting another
+const createCoalescer = () => {
+    const inFlight = new Map();
+    const counters = { started: 0, coalesced: 0 };
+
+    return {
+        run(key, task) {
+            if (inFlight.has(key)) {
+                counters.coalesced++;
+                return inFlight.get(key);
+            }
+
+            counters.started++;
+            const promise = Promise.resolve()
+                .then(task)
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, promise);
+            return promise;
+        },
+
+        stats() {
+            return { inFlight: inFlight.size, ...counters };
+        }
+    };
+};
+
+// At most `concurrency` requests in flight overall, and successive requests to one host
+// start at least minIntervalMs apart. Requests wait for a slot in arrival order.
+const createUpstreamLimiter = ({ concurrency = 4, minIntervalMs = 0 } = {}) => {
+    const waiting = [];
+    const nextStartByHost = new Map();
+    const counters = { started: 0, queued: 0, paced: 0 };
+    let active = 0;
+
+    const acquire = () => {
+        if (active < concurrency) {
+            active++;
+            return Promise.resolve();
+        }
+        counters.queued++;
+        return new Promise(resolve => waiting.push(resolve));
+    };
+
+    // A waiting request takes the slot over directly, so `active` only drops when nobody waits
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    };
+
+    // Book the host's next start time up front so paced requests line up instead of bunching
+    const pace = async (host) => {
+        if (!minIntervalMs) return;
+
+        const now = Date.now();
+        const startAt = Math.max(now, nextStartByHost.get(host) || 0);
+        nextStartByHost.set(host, startAt + minIntervalMs);
+
+        if (nextStartByHost.size > 100) {
+            nextStartByHost.forEach((next, key) => next < now && nextStartByHost.delete(key));
+        }
+
+        if (startAt > now) {
+            counters.paced++;
+            await wait(startAt - now);
+        }
+    };
+
+    return {
+        async schedule(host, task) {
+            await acquire();
+            try {
+                await pace(host);
+                counters.started++;
+                return await task();
+            } finally {
+                release();
+            }
+        },
+
+        stats() {
+            return { concurrency, minIntervalMs, active, waiting: waiting.length, ...counters };
+        }
+    };
+};
+
+module.exports = {
+    createCoalescer,
+    createUpstreamLimiter
+};
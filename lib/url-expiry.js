@@ -0,0 +1,50 @@
+// lib/url-expiry.js - Expiry of signed Instagram CDN URLs
+// scontent URLs are signed with oe=<hex unix seconds>; past that the CDN answers 403
+
+const getUrlExpiry = (url) => {
+    if (typeof url !== 'string') return null;
+
+    const match = url.match(/[?&]oe=([0-9a-fA-F]{1,12})(?:&|#|$)/);
+    if (!match) return null;
+
+    const seconds = parseInt(match[1], 16);
+    return seconds > 0 ? seconds * 1000 : null;
+};
+
+const earliest = (...values) => {
+    const known = values.filter(value => value !== null);
+    return known.length ? Math.min(...known) : null;
+};
+
+const toIso = ms => (ms === null ? null : new Date(ms).toISOString());
+
+const URL_FIELDS = ['url', 'videoUrl', 'imageUrl', 'thumbnail'];
+
+// Adds expiresAt to the media and to every quality, DASH track, sound, image and carousel item
+// (slides included), each being the earliest expiry of any URL it carries.
+// Returns the media's earliest expiry in ms, or null.
+const annotateUrlExpiry = (media) => {
+    if (!media) return null;
+
+    const tracks = media.tracks ? [...(media.tracks.video || []), ...(media.tracks.audio || [])] : [];
+    const audio = media.audio && media.audio.url ? [media.audio] : [];
+    const nested = [...(media.qualities || []), ...tracks, ...audio, ...(media.images || []), ...(media.items || [])]
+        .map(annotateUrlExpiry);
+    const expiry = earliest(...URL_FIELDS.map(field => getUrlExpiry(media[field])), ...nested);
+
+    media.expiresAt = toIso(expiry);
+    return expiry;
+};
+
+// Read back the earliest expiry of an annotated media object
+const getMediaExpiry = (media) => {
+    if (!media || !media.expiresAt) return null;
+    const ms = Date.parse(media.expiresAt);
+    return Number.isNaN(ms) ? null : ms;
+};
+
+module.exports = {
+    getUrlExpiry,
+    annotateUrlExpiry,
+    getMediaExpiry
+};
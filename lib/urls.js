@@ -0,0 +1,69 @@
+// lib/urls.js - Instagram URL parsing and validation
+const validator = require('validator');
+
+// /stories/highlights/<id>/ and /stories/<username>/<storyId>/
+const parseStoryUrl = (url) => {
+    if (typeof url !== 'string') return null;
+
+    const highlight = url.match(/instagram\.com\/stories\/highlights\/(\d+)/);
+    if (highlight) {
+        return { kind: 'highlight', highlightId: highlight[1] };
+    }
+
+    const story = url.match(/instagram\.com\/stories\/([A-Za-z0-9_.]+)\/(\d+)/);
+    if (story) {
+        return { kind: 'story', username: story[1], storyId: story[2] };
+    }
+
+    return null;
+};
+
+const extractPostId = (url) => {
+    const storyUrl = parseStoryUrl(url);
+    if (storyUrl) {
+        return storyUrl.kind === 'highlight' ? `highlight_${storyUrl.highlightId}` : storyUrl.storyId;
+    }
+
+    const patterns = [
+        /\/p\/([A-Za-z0-9_-]+)/,
+        /\/reel\/([A-Za-z0-9_-]+)/,
+        /\/tv\/([A-Za-z0-9_-]+)/,
+        /instagram\.com\/([A-Za-z0-9_.]+)\/p\/([A-Za-z0-9_-]+)/,
+        /instagram\.com\/([A-Za-z0-9_.]+)\/reel\/([A-Za-z0-9_-]+)/,
+        /\/reels\/([A-Za-z0-9_-]+)/ // Additional reel pattern
+    ];
+    
+    for (const pattern of patterns) {
+        const match = url.match(pattern);
+        if (match) return match[match.length - 1];
+    }
+    return null;
+};
+
+const validateInstagramUrl = (url) => {
+    if (!validator.isURL(url)) return false;
+    return /instagram\.com\/(p|reel|reels|tv)\/[A-Za-z0-9_-]+/.test(url) || 
+           /instagram\.com\/[A-Za-z0-9_.]+\/(p|reel|reels)\/[A-Za-z0-9_-]+/.test(url) ||
+           parseStoryUrl(url) !== null;
+};
+
+const isReelUrl = (url) => {
+    return /instagram\.com\/.*\/(reel|reels)\//.test(url) || url.includes('/reel/');
+};
+
+// Embedded JSON escapes & and / - undo that and strip stray quotes
+const cleanMediaUrl = (url) => {
+    if (!url) return url;
+    return url
+        .replace(/\\u0026/g, '&')
+        .replace(/\\/g, '')
+        .replace(/^["']|["']$/g, '');
+};
+
+module.exports = {
+    extractPostId,
+    parseStoryUrl,
+    validateInstagramUrl,
+    isReelUrl,
+    cleanMediaUrl
+};
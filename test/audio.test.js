@@ -0,0 +1,84 @@
+// test/audio.test.js - Reel sound metadata
+const { buildAudioInfo, extractAudioInfoFromHtml } = require('../lib/audio');
+
+describe('buildAudioInfo', () => {
+    test('reads licensed music from clips_metadata', () => {
+        const audio = buildAudioInfo({
+            clips_metadata: {
+                audio_type: 'licensed_music',
+                music_info: {
+                    music_asset_info: {
+                        audio_asset_id: '111',
+                        audio_cluster_id: '222',
+                        title: 'Espresso',
+                        display_artist: 'Sabrina Carpenter',
+                        duration_in_ms: 175000,
+                        cover_artwork_uri: 'https://scontent.cdninstagram.com/cover.jpg',
+                        progressive_download_url: 'https://scontent.cdninstagram.com/espresso.m4a?oe=6553C4D5'
+                    }
+                },
+                original_sound_info: null
+            }
+        });
+
+        expect(audio).toEqual({
+            audioId: '222',
+            title: 'Espresso',
+            artist: 'Sabrina Carpenter',
+            isOriginalSound: false,
+            durationMs: 175000,
+            coverArtUrl: 'https://scontent.cdninstagram.com/cover.jpg',
+            audioPageUrl: 'https://www.instagram.com/reels/audio/222/',
+            url: 'https://scontent.cdninstagram.com/espresso.m4a?oe=6553C4D5'
+        });
+    });
+
+    test('reads original sounds and names their creator', () => {
+        const audio = buildAudioInfo({
+            clips_metadata: {
+                audio_type: 'original_sounds',
+                music_info: null,
+                original_sound_info: {
+                    audio_asset_id: 333,
+                    original_audio_title: 'Original audio',
+                    ig_artist: { username: 'kitchen.lab' },
+                    duration_in_ms: 58400
+                }
+            }
+        });
+
+        expect(audio).toMatchObject({
+            audioId: '333',
+            title: 'Original audio',
+            artist: 'kitchen.lab',
+            isOriginalSound: true,
+            audioPageUrl: 'https://www.instagram.com/reels/audio/333/',
+            url: null
+        });
+    });
+
+    test('falls back to GraphQL attribution info, and to null', () => {
+        expect(buildAudioInfo({
+            clips_music_attribution_info: { artist_name: 'Dua Lipa', song_name: 'Houdini', uses_original_audio: false, audio_id: '444' }
+        })).toMatchObject({ audioId: '444', title: 'Houdini', artist: 'Dua Lipa', isOriginalSound: false });
+
+        expect(buildAudioInfo({ video_url: 'https://cdn/a.mp4' })).toBeNull();
+    });
+
+    test('keeps titles and artists as the JSON spells them', () => {
+        expect(buildAudioInfo({
+            clips_music_attribution_info: { artist_name: ' Simon &amp; Garfunkel ', song_name: 'Path \\u00e9', audio_id: '445' }
+        })).toMatchObject({ title: 'Path \\u00e9', artist: 'Simon &amp; Garfunkel' });
+    });
+});
+
+describe('extractAudioInfoFromHtml', () => {
+    test('pulls nested clips_metadata out of the page source', () => {
+        const html = '<script>{"items":[{"clips_metadata":{"music_info":{"music_asset_info":' +
+            '{"audio_cluster_id":"555","title":"Tea {for} two","display_artist":"Caf\\u00e9 Trio"}},' +
+            '"original_sound_info":null},"code":"CzReel00002"}]}</script>';
+
+        expect(extractAudioInfoFromHtml(html)).toMatchObject({ audioId: '555', title: 'Tea {for} two', artist: 'Café Trio' });
+        expect(extractAudioInfoFromHtml('<html></html>')).toBeNull();
+    });
+});
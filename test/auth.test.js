@@ -0,0 +1,100 @@
+// test/auth.test.js - API key loading, permissions and daily quotas
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApiKeys, createAuthenticator, hashApiKey } = require('../lib/auth');
+const { AuthenticationError, ForbiddenError, QuotaExceededError } = require('../lib/errors');
+
+const request = headers => ({ headers });
+
+describe('loadApiKeys', () => {
+    test('reads a name:key list with full access', () => {
+        const keys = loadApiKeys({ API_KEYS: 'partner-a:alpha, partner-b:beta' });
+        expect(keys).toEqual([
+            { name: 'partner-a', keyHash: hashApiKey('alpha'), endpoints: ['*'], dailyQuota: null, enabled: true },
+            { name: 'partner-b', keyHash: hashApiKey('beta'), endpoints: ['*'], dailyQuota: null, enabled: true }
+        ]);
+    });
+
+    test('reads JSON records from the environment and a keyfile', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ig-keys-'));
+        const file = path.join(dir, 'keys.json');
+        fs.writeFileSync(file, JSON.stringify([{ name: 'file-key', key: 'gamma', enabled: false }]));
+
+        try {
+            const keys = loadApiKeys({
+                API_KEYS: JSON.stringify([{ name: 'dash', key: 'delta', endpoints: ['info'], dailyQuota: 50 }]),
+                API_KEYS_FILE: file
+            });
+            expect(keys.map(k => [k.name, k.endpoints, k.dailyQuota, k.enabled])).toEqual([
+                ['dash', ['info'], 50, true],
+                ['file-key', ['*'], null, false]
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('fails fast on malformed entries', () => {
+        expect(() => loadApiKeys({ API_KEYS: 'no-separator' })).toThrow(/name:key/);
+        expect(() => loadApiKeys({ API_KEYS: '[{"name":"x","key":"y","dailyQuota":-1}]' })).toThrow(/dailyQuota/);
+    });
+});
+
+describe('createAuthenticator', () => {
+    const keys = loadApiKeys({
+        API_KEYS: JSON.stringify([
+            { name: 'full', key: 'full-key' },
+            { name: 'info-only', key: 'info-key', endpoints: ['info'], dailyQuota: 2 },
+            { name: 'off', key: 'off-key', enabled: false }
+        ])
+    });
+
+    test('is disabled without keys', () => {
+        expect(createAuthenticator().enabled).toBe(false);
+    });
+
+    test('accepts Bearer and X-API-Key', () => {
+        const auth = createAuthenticator({ keys });
+        expect(auth.authenticate(request({ authorization: 'Bearer full-key' }), 'download').name).toBe('full');
+        expect(auth.authenticate(request({ 'x-api-key': 'info-key' }), 'info').name).toBe('info-only');
+    });
+
+    test('rejects missing, unknown, disabled and out-of-scope keys', () => {
+        const auth = createAuthenticator({ keys });
+        expect(() => auth.authenticate(request({}), 'info')).toThrow(expect.objectContaining({ code: 'API_KEY_REQUIRED', status: 401 }));
+        expect(() => auth.authenticate(request({ 'x-api-key': 'nope' }), 'info')).toThrow(AuthenticationError);
+        expect(() => auth.authenticate(request({ 'x-api-key': 'off-key' }), 'info')).toThrow(ForbiddenError);
+        expect(() => auth.authenticate(request({ 'x-api-key': 'info-key' }), 'download'))
+            .toThrow(expect.objectContaining({ code: 'ENDPOINT_NOT_ALLOWED', status: 403 }));
+    });
+
+    test('keeps proxies out of a "*" grant', () => {
+        const auth = createAuthenticator({
+            keys: loadApiKeys({ API_KEYS: JSON.stringify([{ name: 'full', key: 'full-key' }, { name: 'ops', key: 'ops-key', endpoints: ['proxies'] }]) })
+        });
+        expect(() => auth.authenticate(request({ 'x-api-key': 'full-key' }), 'proxies'))
+            .toThrow(expect.objectContaining({ code: 'ENDPOINT_NOT_ALLOWED' }));
+        expect(auth.authenticate(request({ 'x-api-key': 'ops-key' }), 'proxies').name).toBe('ops');
+    });
+
+    test('enforces the daily quota per key and resets the next UTC day', async () => {
+        const auth = createAuthenticator({ keys });
+        const record = keys[1];
+        const day = Date.UTC(2024, 0, 1, 12);
+
+        expect(await auth.consumeQuota(record, 1, day)).toEqual({ quota: 2, remaining: 1 });
+        expect(await auth.consumeQuota(record, 1, day)).toEqual({ quota: 2, remaining: 0 });
+        await expect(auth.consumeQuota(record, 1, day)).rejects.toMatchObject({
+            code: 'QUOTA_EXCEEDED',
+            retryAfter: 12 * 60 * 60
+        });
+        await expect(auth.consumeQuota(record, 1, day)).rejects.toBeInstanceOf(QuotaExceededError);
+        expect(await auth.consumeQuota(record, 1, day + 24 * 60 * 60 * 1000)).toEqual({ quota: 2, remaining: 1 });
+    });
+
+    test('skips quota accounting for unlimited keys', async () => {
+        const auth = createAuthenticator({ keys });
+        expect(await auth.consumeQuota(keys[0])).toBeNull();
+    });
+});
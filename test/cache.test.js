@@ -0,0 +1,164 @@
+// test/cache.test.js - Cache backends and the media cache built on them
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryLruCache, FileSystemCache, KeyValueCache, createMediaCache } = require('../lib/cache');
+const { PostNotFoundError, UpstreamError } = require('../lib/errors');
+
+const entry = (value, ttlMs = 60000) => ({
+    value,
+    storedAt: Date.now(),
+    freshUntil: Date.now() + ttlMs,
+    staleUntil: Date.now() + ttlMs
+});
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('MemoryLruCache', () => {
+    test('evicts the least recently used entry past maxEntries', async () => {
+        const cache = new MemoryLruCache({ maxEntries: 2 });
+        await cache.set('a', entry(1));
+        await cache.set('b', entry(2));
+        await cache.get('a');
+        await cache.set('c', entry(3));
+
+        expect(await cache.get('a')).not.toBeNull();
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('c')).not.toBeNull();
+    });
+
+    test('evicts by size past maxBytes', async () => {
+        const cache = new MemoryLruCache({ maxEntries: 100, maxBytes: 500 });
+        const big = 'x'.repeat(150);
+        await cache.set('a', entry(big));
+        await cache.set('b', entry(big));
+        await cache.set('c', entry(big));
+
+        expect(await cache.get('a')).toBeNull();
+        expect(cache.stats().bytes).toBeLessThanOrEqual(500);
+        expect(cache.stats().entries).toBe(2);
+    });
+
+    test('drops entries past staleUntil', async () => {
+        const cache = new MemoryLruCache();
+        await cache.set('a', entry(1, -1));
+
+        expect(await cache.get('a')).toBeNull();
+        expect(cache.stats().entries).toBe(0);
+    });
+});
+
+describe('FileSystemCache', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'igdl-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('round-trips entries through files', async () => {
+        const cache = new FileSystemCache({ dir });
+        await cache.set('media_abc', entry({ postId: 'abc' }));
+
+        // A second instance on the same directory sees the entry
+        expect((await new FileSystemCache({ dir }).get('media_abc')).value).toEqual({ postId: 'abc' });
+
+        await cache.delete('media_abc');
+        expect(await cache.get('media_abc')).toBeNull();
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+});
+
+describe('KeyValueCache', () => {
+    test('stores JSON strings with a TTL through the client', async () => {
+        const data = new Map();
+        const client = {
+            get: async key => data.get(key) || null,
+            set: jest.fn(async (key, value) => data.set(key, value)),
+            del: async key => data.delete(key)
+        };
+        const cache = new KeyValueCache({ client });
+
+        await cache.set('media_abc', entry('v', 5000));
+
+        expect(client.set).toHaveBeenCalledWith('igdl:media_abc', expect.any(String), expect.any(Number));
+        expect(client.set.mock.calls[0][2]).toBeLessThanOrEqual(5000);
+        expect((await cache.get('media_abc')).value).toBe('v');
+    });
+});
+
+describe('createMediaCache', () => {
+    test('reports MISS, then HIT', async () => {
+        const mediaCache = createMediaCache({ ttlMs: 60000 });
+
+        expect((await mediaCache.lookup('k')).status).toBe('MISS');
+        await mediaCache.store('k', { postId: 'k' });
+        expect(await mediaCache.lookup('k')).toEqual({ status: 'HIT', value: { postId: 'k' } });
+    });
+
+    test('serves stale entries and refreshes them once in the background', async () => {
+        const mediaCache = createMediaCache({ ttlMs: 60000, staleTtlMs: 60000 });
+        await mediaCache.store('k', 'old', { ttlMs: 0 });
+
+        expect(await mediaCache.lookup('k')).toEqual({ status: 'STALE', value: 'old' });
+
+        const refresh = jest.fn().mockResolvedValue('new');
+        mediaCache.revalidate('k', refresh);
+        mediaCache.revalidate('k', refresh);
+        await flushPromises();
+
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(await mediaCache.lookup('k')).toEqual({ status: 'HIT', value: 'new' });
+    });
+
+    test('remembers permanent failures only', async () => {
+        const mediaCache = createMediaCache({ ttlMs: 60000, negativeTtlMs: 60000 });
+
+        await mediaCache.storeError('gone', new PostNotFoundError());
+        await mediaCache.storeError('flaky', new UpstreamError());
+
+        const gone = await mediaCache.lookup('gone');
+        expect(gone.status).toBe('HIT');
+        expect(gone.error).toMatchObject({ code: 'POST_NOT_FOUND', status: 404, details: { cached: true } });
+        expect((await mediaCache.lookup('flaky')).status).toBe('MISS');
+    });
+
+    test('never keeps a value past its expiry minus the margin', async () => {
+        const expiresAt = Date.now() + 90000;
+        const backend = new MemoryLruCache();
+        const mediaCache = createMediaCache({
+            backend,
+            ttlMs: 600000,
+            staleTtlMs: 600000,
+            getExpiry: value => value.expiresAt,
+            expiryMarginMs: 30000
+        });
+
+        await mediaCache.store('soon', { expiresAt });
+        await mediaCache.store('gone', { expiresAt: Date.now() + 10000 });
+
+        const { staleUntil } = await backend.get('soon');
+        expect(staleUntil).toBeLessThanOrEqual(expiresAt - 30000);
+        expect(staleUntil).toBeGreaterThan(Date.now());
+        expect((await mediaCache.lookup('gone')).status).toBe('MISS');
+    });
+
+    test('bypasses everything when disabled', async () => {
+        const mediaCache = createMediaCache({ ttlMs: 60000, enabled: false });
+        await mediaCache.store('k', 'v');
+
+        expect((await mediaCache.lookup('k')).status).toBe('BYPASS');
+    });
+});
@@ -0,0 +1,93 @@
+// test/captions.test.js - Caption decoding, entities and rendering
+const {
+    decodeCaptionText,
+    parseCaptionEntities,
+    annotateCaption,
+    renderCaption,
+    isCaptionFormat
+} = require('../lib/captions');
+
+const slice = (text, { start, end }) => text.slice(start, end);
+
+describe('decodeCaptionText', () => {
+    test('decodes JSON escapes, surrogate pairs and HTML entities', () => {
+        expect(decodeCaptionText('Sunset \\ud83c\\udf05\\nTide &amp; time &#8212; &#x1F30A; &quot;out&quot;'))
+            .toBe('Sunset \u{1F305}\nTide & time — \u{1F30A} "out"');
+    });
+
+    test('leaves unknown entities alone', () => {
+        expect(decodeCaptionText('fish &chips; ok')).toBe('fish &chips; ok');
+        expect(decodeCaptionText(undefined)).toBe('');
+    });
+});
+
+describe('parseCaptionEntities', () => {
+    test('finds hashtags, mentions, links and emoji with slice-able offsets', () => {
+        const caption = 'Dawn run with @trail.crew \u{1F3C3}\u{1F3FD}\u200D\u2640\uFE0F #running #5k\nRoute: https://example.com/route#map.';
+        const entities = parseCaptionEntities(caption);
+
+        expect(entities.hashtags.map(tag => tag.tag)).toEqual(['running', '5k']);
+        expect(entities.mentions).toEqual([expect.objectContaining({ username: 'trail.crew' })]);
+        expect(entities.urls.map(url => url.url)).toEqual(['https://example.com/route#map']);
+        expect(entities.emoji.map(emoji => emoji.emoji)).toEqual(['\u{1F3C3}\u{1F3FD}\u200D\u2640\uFE0F']);
+
+        expect(slice(caption, entities.hashtags[0])).toBe('#running');
+        expect(slice(caption, entities.mentions[0])).toBe('@trail.crew');
+        expect(slice(caption, entities.urls[0])).toBe('https://example.com/route#map');
+    });
+
+    test('ignores emails, numbers-only tags and HTML entities', () => {
+        const entities = parseCaptionEntities('mail me@example.com about #1 &#35; issue #café');
+
+        expect(entities.mentions).toEqual([]);
+        expect(entities.hashtags.map(tag => tag.tag)).toEqual(['café']);
+    });
+
+    test('counts flags and keycaps as single emoji', () => {
+        const entities = parseCaptionEntities('Go \u{1F1EB}\u{1F1F7} 1\uFE0F\u20E3');
+
+        expect(entities.emoji.map(emoji => emoji.emoji)).toEqual(['\u{1F1EB}\u{1F1F7}', '1\uFE0F\u20E3']);
+    });
+});
+
+describe('annotateCaption', () => {
+    test('attaches the caption entities', () => {
+        const media = annotateCaption({ caption: 'Hi & bye #ciao' });
+
+        expect(media.caption).toBe('Hi & bye #ciao');
+        expect(media.captionEntities.hashtags).toEqual([{ tag: 'ciao', start: 9, end: 14 }]);
+    });
+
+    test('leaves already decoded captions alone', () => {
+        const media = annotateCaption({ caption: 'Escaping 101: write &amp; for & in HTML' });
+
+        expect(media.caption).toBe('Escaping 101: write &amp; for & in HTML');
+        expect(annotateCaption({}).caption).toBe('');
+    });
+});
+
+describe('renderCaption', () => {
+    const caption = 'Thanks @kitchen.lab <3 #pasta_night\nmore at www.example.com';
+
+    test('renders html links and escapes the rest', () => {
+        expect(renderCaption(caption, 'html')).toBe(
+            'Thanks <a href="https://www.instagram.com/kitchen.lab/">@kitchen.lab</a> &lt;3 ' +
+            '<a href="https://www.instagram.com/explore/tags/pasta_night/">#pasta_night</a><br>' +
+            'more at <a href="https://www.example.com">www.example.com</a>'
+        );
+    });
+
+    test('renders markdown links and escapes the rest', () => {
+        expect(renderCaption(caption, 'markdown')).toBe(
+            'Thanks [@kitchen\\.lab](https://www.instagram.com/kitchen.lab/) <3 ' +
+            '[\\#pasta\\_night](https://www.instagram.com/explore/tags/pasta_night/)  \n' +
+            'more at [www\\.example\\.com](https://www.example.com)'
+        );
+    });
+
+    test('returns plain text untouched and knows its formats', () => {
+        expect(renderCaption(caption, 'plain')).toBe(caption);
+        expect(isCaptionFormat('markdown')).toBe(true);
+        expect(isCaptionFormat('rtf')).toBe(false);
+    });
+});
@@ -0,0 +1,111 @@
+// test/carousel.test.js - Carousel slides and slide selection
+const fs = require('fs');
+const path = require('path');
+const { extractMediaFromHtml } = require('../lib/strategies');
+const { extractCarouselItems, selectCarouselItem, normalizeCarouselItem } = require('../lib/carousel');
+const { buildDownloadFilename } = require('../lib/stream');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', `${name}.html`), 'utf8');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('extractCarouselItems', () => {
+    test('reads GraphQL sidecar children', () => {
+        const items = extractCarouselItems({
+            __typename: 'GraphSidecar',
+            edge_sidecar_to_children: {
+                edges: [
+                    { node: { id: '1', is_video: false, display_url: 'https://cdn/a.jpg', dimensions: { width: 1080, height: 1080 } } },
+                    { node: { id: '2', is_video: true, video_url: 'https://cdn/b.mp4', display_url: 'https://cdn/b.jpg', video_duration: 7.5 } }
+                ]
+            }
+        });
+
+        expect(items).toHaveLength(2);
+        expect(items[0]).toMatchObject({ index: 0, id: '1', type: 'image', url: 'https://cdn/a.jpg', imageUrl: 'https://cdn/a.jpg' });
+        expect(items[1]).toMatchObject({
+            index: 1,
+            type: 'video',
+            url: 'https://cdn/b.mp4',
+            thumbnail: 'https://cdn/b.jpg',
+            duration: 7.5,
+            qualities: [{ quality: 'original', url: 'https://cdn/b.mp4' }]
+        });
+    });
+
+    test('returns nothing for single posts', () => {
+        expect(extractCarouselItems({ __typename: 'GraphImage', display_url: 'https://cdn/a.jpg' })).toEqual([]);
+    });
+
+    test('builds a ladder from video_versions and image candidates without duplicates', () => {
+        const item = normalizeCarouselItem({
+            media_type: 2,
+            video_versions: [
+                { width: 720, height: 1280, url: 'https://cdn/v720.mp4' },
+                { width: 720, height: 1280, url: 'https://cdn/v720.mp4' },
+                { width: 480, height: 854, url: 'https://cdn/v480.mp4' }
+            ],
+            image_versions2: { candidates: [{ width: 720, height: 1280, url: 'https://cdn/t.jpg' }] }
+        }, 3);
+
+        expect(item.qualities.map(q => q.quality)).toEqual(['720x1280', '480x854']);
+        expect(item).toMatchObject({ index: 3, videoUrl: 'https://cdn/v720.mp4', thumbnail: 'https://cdn/t.jpg' });
+    });
+});
+
+describe('mixed carousel page', () => {
+    let media;
+
+    beforeAll(() => {
+        media = extractMediaFromHtml(readFixture('carousel-mixed'), 'https://www.instagram.com/p/CzMixed0001/');
+    });
+
+    test('keeps every slide even though the page has raw MP4 links', () => {
+        expect(media.extraction.strategy).toBe('additional-data');
+        expect(media).toMatchObject({ isCarousel: true, itemCount: 2 });
+        expect(media.items.map(item => item.type)).toEqual(['image', 'video']);
+    });
+
+    test('selects a single slide with the post fields', () => {
+        const slide = selectCarouselItem(media, 1);
+
+        expect(slide).toMatchObject({
+            postId: 'CzMixed0001',
+            author: 'harbour.days',
+            index: 1,
+            itemCount: 2,
+            type: 'video',
+            duration: 12.4
+        });
+        expect(slide.items).toBeUndefined();
+        expect(buildDownloadFilename(slide, 'mp4')).toBe('harbour.days_CzMixed0001_2.mp4');
+        expect(selectCarouselItem(media, 2)).toBeNull();
+    });
+
+    test('treats a single post as slide 0 only', () => {
+        const single = { type: 'image', imageUrl: 'https://cdn/a.jpg' };
+        expect(selectCarouselItem(single, 0)).toBe(single);
+        expect(selectCarouselItem(single, 1)).toBeNull();
+    });
+});
+
+describe('og fallback', () => {
+    test('lists every og:image as a slide', () => {
+        const html = '<html><head>' +
+            '<meta property="og:image" content="https://cdn/1.jpg">' +
+            '<meta property="og:image" content="https://cdn/2.jpg">' +
+            '</head><body></body></html>';
+
+        const media = extractMediaFromHtml(html, 'https://www.instagram.com/p/CzOgOnly001/', { strategies: 'og' });
+
+        expect(media).toMatchObject({ isCarousel: true, itemCount: 2, imageUrl: 'https://cdn/1.jpg' });
+        expect(media.items[1]).toMatchObject({ index: 1, url: 'https://cdn/2.jpg' });
+    });
+});
@@ -0,0 +1,144 @@
+// test/client-profiles.test.js - Built-in and file-loaded client profiles, selection and header building
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    PROFILE_PURPOSES,
+    BUILT_IN_PROFILES,
+    loadClientProfiles,
+    resolveProfileSelection,
+    buildProfileHeaders,
+    getProfileApiUrl,
+    getProfileUserAgent
+} = require('../lib/client-profiles');
+
+const getProfile = name => BUILT_IN_PROFILES.find(profile => profile.name === name);
+
+const withProfileFile = (contents, run) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ig-profiles-'));
+    const file = path.join(dir, 'profiles.json');
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    try {
+        return run(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+describe('built-in profiles', () => {
+    test('keep every header of a profile consistent with its user agent', () => {
+        BUILT_IN_PROFILES.forEach((profile) => {
+            const purposes = Object.keys(profile.headers);
+            const userAgents = new Set(purposes.map(purpose => getProfileUserAgent(profile, purpose)));
+            expect(userAgents.size).toBe(1);
+
+            const userAgent = [...userAgents][0];
+            const sendsClientHints = purposes.some(purpose => 'sec-ch-ua' in profile.headers[purpose]);
+            expect(sendsClientHints).toBe(/Chrome\//.test(userAgent));
+        });
+    });
+
+    test('leave HTML pages out of the app profile', () => {
+        expect(Object.keys(getProfile('instagram-android').headers)).toEqual(['api', 'media']);
+        expect(getProfileUserAgent(getProfile('instagram-android'), 'api')).toMatch(/^Instagram /);
+        BUILT_IN_PROFILES
+            .filter(profile => profile.name !== 'instagram-android')
+            .forEach(profile => expect(Object.keys(profile.headers)).toEqual(PROFILE_PURPOSES));
+    });
+});
+
+describe('loadClientProfiles', () => {
+    test('returns the built-ins without CLIENT_PROFILES_FILE', () => {
+        expect(loadClientProfiles({}).map(profile => profile.name)).toEqual(BUILT_IN_PROFILES.map(profile => profile.name));
+    });
+
+    test('adds profiles from the file and lets them replace built-ins by name', () => {
+        const custom = { name: 'edge-windows', headers: { page: { 'User-Agent': 'Edg/131', 'Accept': 'text/html' } } };
+        const replaced = { name: 'safari-ios', headers: { media: { 'User-Agent': 'Safari/18.2' } } };
+
+        withProfileFile([custom, replaced], (file) => {
+            const profiles = loadClientProfiles({ CLIENT_PROFILES_FILE: file });
+            expect(profiles.find(profile => profile.name === 'edge-windows')).toEqual(custom);
+            expect(profiles.find(profile => profile.name === 'safari-ios')).toEqual(replaced);
+            expect(profiles).toHaveLength(BUILT_IN_PROFILES.length + 1);
+        });
+    });
+
+    test('fails fast on unreadable or malformed files', () => {
+        expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: '/nonexistent/profiles.json' })).toThrow(/could not read/);
+        withProfileFile('{"name":"x"}', file => expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/JSON array/));
+        withProfileFile([{ name: 'has spaces', headers: {} }], file => expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/profile #1 needs a "name"/));
+        withProfileFile([{ name: 'bare' }], file => expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/needs a "headers" object/));
+        withProfileFile([{ name: 'x', headers: { video: { 'User-Agent': 'a' } } }], file =>
+            expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/keyed by page, api, media/));
+        withProfileFile([{ name: 'x', headers: { page: { Accept: '*/*' } } }], file =>
+            expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/need a User-Agent/));
+        withProfileFile([{ name: 'x', headers: { page: { 'User-Agent': 'a', DNT: 1 } } }], file =>
+            expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/to strings/));
+        withProfileFile([{ name: 'x', apiHost: 'api.example.com', headers: { api: { 'User-Agent': 'a' } } }], file =>
+            expect(() => loadClientProfiles({ CLIENT_PROFILES_FILE: file })).toThrow(/instagram\.com host/));
+    });
+});
+
+describe('resolveProfileSelection', () => {
+    const profiles = loadClientProfiles({});
+
+    test('defaults to the browser profiles', () => {
+        expect(resolveProfileSelection(profiles, 'api').map(profile => profile.name))
+            .toEqual(['chrome-windows', 'firefox-windows', 'safari-macos', 'safari-ios']);
+    });
+
+    test('picks named profiles for a purpose', () => {
+        expect(resolveProfileSelection(profiles, 'api', 'instagram-android, safari-ios').map(profile => profile.name))
+            .toEqual(['instagram-android', 'safari-ios']);
+    });
+
+    test('refuses unknown profiles and ones without headers for the purpose', () => {
+        expect(() => resolveProfileSelection(profiles, 'page', 'netscape')).toThrow(/unknown profile "netscape"/);
+        expect(() => resolveProfileSelection(profiles, 'page', 'instagram-android')).toThrow(/has no page headers/);
+        expect(() => resolveProfileSelection(profiles, 'page', ' , ')).toThrow(/at least one/);
+    });
+});
+
+describe('getProfileApiUrl', () => {
+    const feedUrl = 'https://www.instagram.com/api/v1/feed/user/42/?count=12';
+
+    test('sends the app profile\'s API calls to its own host', () => {
+        expect(getProfileApiUrl(getProfile('instagram-android'), feedUrl)).toBe('https://i.instagram.com/api/v1/feed/user/42/?count=12');
+        expect(getProfileApiUrl(getProfile('instagram-android'), 'https://www.instagram.com/p/CzImage0001/'))
+            .toBe('https://www.instagram.com/p/CzImage0001/');
+    });
+
+    test('leaves browser profiles on the web endpoints', () => {
+        expect(getProfileApiUrl(getProfile('chrome-windows'), feedUrl)).toBe(feedUrl);
+    });
+});
+
+describe('buildProfileHeaders', () => {
+    const chrome = getProfile('chrome-windows');
+
+    test('keeps the profile header order', () => {
+        expect(Object.keys(buildProfileHeaders(chrome, 'page'))).toEqual(Object.keys(chrome.headers.page));
+        expect(Object.keys(buildProfileHeaders(chrome, 'page')).slice(0, 3)).toEqual(['sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform']);
+    });
+
+    test('replaces headers in place regardless of case and appends new ones', () => {
+        const headers = buildProfileHeaders(chrome, 'media', { accept: 'image/webp', Range: 'bytes=0-' });
+        const names = Object.keys(headers);
+
+        expect(headers.Accept).toBe('image/webp');
+        expect(names.indexOf('Accept')).toBe(Object.keys(chrome.headers.media).indexOf('Accept'));
+        expect(names[names.length - 1]).toBe('Range');
+        expect(names).not.toContain('accept');
+    });
+
+    test('only advertises encodings the client can decode', () => {
+        expect(chrome.headers.page['Accept-Encoding']).toContain('zstd');
+        expect(buildProfileHeaders(chrome, 'page')['Accept-Encoding']).toBe('gzip, deflate, br');
+        expect(buildProfileHeaders(chrome, 'media')['Accept-Encoding']).toBe('identity;q=1, *;q=0');
+    });
+
+    test('returns only the extras for a purpose the profile lacks', () => {
+        expect(buildProfileHeaders(getProfile('instagram-android'), 'page', { Cookie: 'a=b' })).toEqual({ Cookie: 'a=b' });
+    });
+});
@@ -0,0 +1,114 @@
+// test/comments.test.js - Comment parsing, reply threads and comment cursors
+const fs = require('fs');
+const path = require('path');
+const {
+    shortcodeToMediaId,
+    encodeCommentsCursor,
+    decodeCommentsCursor,
+    normalizeComment,
+    parseCommentsPage,
+    extractCommentsFromHtml
+} = require('../lib/comments');
+
+const readJson = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'comments', `${name}.json`), 'utf8'));
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('comment cursors', () => {
+    test('turn shortcodes into media ids', () => {
+        expect(shortcodeToMediaId('B')).toBe('1');
+        expect(shortcodeToMediaId('BA')).toBe('64');
+        expect(shortcodeToMediaId('CzReel00001')).toMatch(/^\d{19}$/);
+        expect(shortcodeToMediaId('not/valid')).toBeNull();
+    });
+
+    test('round-trip and reject garbage', () => {
+        const cursor = encodeCommentsCursor({ mediaId: '123', minId: '{"cached_comments_cursor": "9"}' });
+
+        expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCommentsCursor(cursor)).toEqual({ mediaId: '123', minId: '{"cached_comments_cursor": "9"}' });
+        expect(decodeCommentsCursor('not-a-cursor')).toBeNull();
+    });
+});
+
+describe('parseCommentsPage', () => {
+    test('normalizes comments with their reply previews', () => {
+        const page = parseCommentsPage(readJson('comments-page1'), { mediaId: '3244556677889900112' });
+
+        expect(page).toMatchObject({ mediaId: '3244556677889900112', total: 211, count: 2, hasMore: true, source: 'api' });
+        expect(page.comments[0]).toMatchObject({
+            id: '17900000000000001',
+            text: 'Made this tonight, so good!',
+            author: 'noodle.nerd',
+            owner: { id: '5550001', username: 'noodle.nerd' },
+            timestamp: 1699901000,
+            likes: 42,
+            replyCount: 3,
+            hasMoreReplies: true
+        });
+        expect(page.comments[0].replies).toEqual([expect.objectContaining({ id: '17900000000000101', author: 'pan.handler', likes: 2 })]);
+        expect(page.comments[1]).toMatchObject({ replyCount: 0, replies: [], hasMoreReplies: false });
+        expect(decodeCommentsCursor(page.nextCursor).minId).toContain('cached_comments_cursor');
+        // The earliest profile picture link
+        expect(page.expiresAt).toBe(new Date(0x6553B000 * 1000).toISOString());
+    });
+
+    test('ends pagination on the last page', () => {
+        const page = parseCommentsPage(readJson('comments-page2'), { mediaId: '1' });
+
+        expect(page).toMatchObject({ count: 1, nextCursor: null, hasMore: false });
+    });
+});
+
+describe('embedded comments', () => {
+    test('reads GraphQL threads out of the post page', () => {
+        const media = {
+            id: '3255667788990011223',
+            shortcode: 'CzCarousel1',
+            edge_media_to_parent_comment: {
+                count: 18,
+                edges: [{
+                    node: {
+                        id: '17800000000000001',
+                        text: 'Love the roof lines',
+                        created_at: 1699991000,
+                        owner: { id: '42', username: 'line.work' },
+                        edge_liked_by: { count: 7 },
+                        edge_threaded_comments: {
+                            count: 2,
+                            edges: [{ node: { id: '17800000000000002', text: 'Agreed', created_at: 1699992000, owner: { id: '43', username: 'ink.pot' }, edge_liked_by: { count: 1 } } }]
+                        }
+                    }
+                }]
+            }
+        };
+        const html = `<script>window.__additionalDataLoaded('/p/CzCarousel1/', ${JSON.stringify({ graphql: { shortcode_media: media } })});</script>`;
+
+        const page = extractCommentsFromHtml(html, { mediaId: 'ignored' });
+
+        expect(page).toMatchObject({ mediaId: '3255667788990011223', total: 18, count: 1, hasMore: false, nextCursor: null, source: 'page' });
+        expect(page.comments[0]).toMatchObject({ author: 'line.work', likes: 7, replyCount: 2, hasMoreReplies: true });
+        expect(page.comments[0].replies[0]).toEqual({
+            id: '17800000000000002',
+            text: 'Agreed',
+            author: 'ink.pot',
+            owner: expect.objectContaining({ username: 'ink.pot' }),
+            timestamp: 1699992000,
+            likes: 1
+        });
+    });
+
+    test('returns null when the page only carries a count', () => {
+        const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'reel.html'), 'utf8');
+
+        expect(extractCommentsFromHtml(html)).toBeNull();
+        expect(normalizeComment({ pk: 5, text: 'hi' })).toMatchObject({ id: '5', author: 'unknown', owner: null, likes: 0, replies: [] });
+    });
+});
@@ -0,0 +1,75 @@
+// test/dash.test.js - DASH manifest parsing into video and audio tracks
+const fs = require('fs');
+const path = require('path');
+const { parseIsoDuration, parseDashManifest, buildVideoTracks } = require('../lib/dash');
+const { processMediaObject } = require('../lib/extractors');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', `${name}.html`), 'utf8');
+
+// A manifest with BaseURLs relative to the MPD's own and the audio set typed by contentType
+const relativeManifest = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" mediaPresentationDuration="PT1M2.5S">
+  <BaseURL>https://cdn.example/dash/</BaseURL>
+  <Period>
+    <AdaptationSet mimeType="video/mp4" codecs="avc1.64001f" frameRate="25">
+      <Representation id="v1" width="540" height="960" bandwidth="800000"><BaseURL>v540.mp4?a=1&amp;b=2</BaseURL></Representation>
+      <Representation id="v2" width="1080" height="1920" bandwidth="3000000"><BaseURL>v1080.mp4</BaseURL></Representation>
+      <Representation id="broken" width="720" height="1280" bandwidth="1"></Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4">
+      <Representation id="a1" codecs="mp4a.40.2" audioSamplingRate="48000" bandwidth="128000"><BaseURL>https://audio.example/a.mp4</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseDashManifest', () => {
+    test('splits representations into ranked video and audio tracks', () => {
+        const manifest = parseDashManifest(relativeManifest);
+
+        expect(manifest.duration).toBe(62.5);
+        expect(manifest.tracks.video).toEqual([
+            { id: 'v2', url: 'https://cdn.example/dash/v1080.mp4', mimeType: 'video/mp4', codecs: 'avc1.64001f', bandwidth: 3000000, width: 1080, height: 1920, label: '1080p', frameRate: 25 },
+            { id: 'v1', url: 'https://cdn.example/dash/v540.mp4?a=1&b=2', mimeType: 'video/mp4', codecs: 'avc1.64001f', bandwidth: 800000, width: 540, height: 960, label: '540p', frameRate: 25 }
+        ]);
+        expect(manifest.tracks.audio).toEqual([
+            { id: 'a1', url: 'https://audio.example/a.mp4', mimeType: 'audio/mp4', codecs: 'mp4a.40.2', bandwidth: 128000, audioSamplingRate: 48000 }
+        ]);
+    });
+
+    test('ignores anything that is not a manifest', () => {
+        expect(parseDashManifest('')).toBeNull();
+        expect(parseDashManifest('<html></html>')).toBeNull();
+        expect(parseIsoDuration('PT58.4S')).toBe(58.4);
+        expect(parseIsoDuration('soon')).toBeNull();
+    });
+});
+
+describe('video tracks on media', () => {
+    test('reel pages expose the manifest next to the progressive MP4s', () => {
+        const html = readFixture('reel');
+        const media = JSON.parse(html.match(/__additionalDataLoaded\('[^']+', ({.+?})\);/)[1]).graphql.shortcode_media;
+        const result = processMediaObject(media, 'https://www.instagram.com/reel/CzReel00001/');
+
+        expect(result.hasProgressiveMp4).toBe(true);
+        expect(result.tracks.video.map(track => track.label)).toEqual(['1440p', '720p']);
+        expect(result.tracks.audio[0]).toMatchObject({ codecs: 'mp4a.40.5', audioSamplingRate: 44100 });
+        // The DASH-only 1440p rendition is not a progressive quality
+        expect(result.qualities.map(q => q.label)).toEqual(['1080p', '720p', '480p']);
+    });
+
+    test('flags videos that only come as separate tracks', () => {
+        const node = { media_type: 2, dash_info: { video_dash_manifest: relativeManifest } };
+
+        expect(buildVideoTracks(node, [])).toMatchObject({ hasProgressiveMp4: false, tracks: { audio: [{ id: 'a1' }] } });
+        expect(buildVideoTracks({}, [])).toEqual({ tracks: { video: [], audio: [] }, hasProgressiveMp4: false });
+    });
+});
@@ -0,0 +1,55 @@
+// test/errors.test.js - Error taxonomy helpers
+const {
+    ApiError,
+    UpstreamTimeoutError,
+    UpstreamRateLimitedError,
+    toApiError,
+    parseRetryAfter,
+    sendError
+} = require('../lib/errors');
+const { createResponse } = require('./helpers/http');
+
+describe('toApiError', () => {
+    test('passes typed errors through', () => {
+        const error = new UpstreamRateLimitedError();
+        expect(toApiError(error)).toBe(error);
+    });
+
+    test('maps axios timeouts to UPSTREAM_TIMEOUT', () => {
+        const error = Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' });
+        const apiError = toApiError(error);
+        expect(apiError).toBeInstanceOf(UpstreamTimeoutError);
+        expect(apiError).toMatchObject({ status: 504, retryable: true });
+    });
+
+    test('maps unknown errors to a non-retryable 500', () => {
+        const apiError = toApiError(new Error('boom'));
+        expect(apiError).toBeInstanceOf(ApiError);
+        expect(apiError).toMatchObject({ code: 'INTERNAL_ERROR', status: 500, retryable: false });
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('accepts seconds and HTTP dates', () => {
+        expect(parseRetryAfter('30')).toBe(30);
+        expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThanOrEqual(9);
+        expect(parseRetryAfter(undefined, 45)).toBe(45);
+    });
+});
+
+describe('sendError', () => {
+    test('writes the standard error body and Retry-After', () => {
+        const res = createResponse();
+        sendError(res, new UpstreamRateLimitedError('slow down', 90), { url: 'https://www.instagram.com/p/X/' });
+
+        expect(res.statusCode).toBe(503);
+        expect(res.headers['retry-after']).toBe('90');
+        expect(res.body).toMatchObject({
+            error: 'slow down',
+            code: 'UPSTREAM_RATE_LIMITED',
+            retryable: false,
+            retryAfter: 90,
+            url: 'https://www.instagram.com/p/X/'
+        });
+    });
+});
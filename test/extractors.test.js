@@ -0,0 +1,90 @@
+// test/extractors.test.js - Regression suite over the saved Instagram page corpus
+const fs = require('fs');
+const path = require('path');
+const { extractMediaFromHtml } = require('../lib/strategies');
+const {
+    extractCaptionFromHtml,
+    extractAuthorFromHtml,
+    extractThumbnailFromHtml,
+    processMediaObject
+} = require('../lib/extractors');
+const { checkInstagramPage } = require('../lib/page-checks');
+const { findMediaObject } = require('../lib/fixtures');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'pages');
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => {
+        const name = file.replace(/\.html$/, '');
+        return {
+            name,
+            html: fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'),
+            expected: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'))
+        };
+    });
+
+// Drop fields that fall back to the current time when the page has none
+const withoutVolatile = (media) => {
+    if (!media) return media;
+    const copy = { ...media };
+    delete copy.uploadDate;
+    delete copy.timestamp;
+    return copy;
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+test('corpus covers the page types we rely on', () => {
+    const names = fixtures.map(f => f.name);
+    ['single-image', 'single-video', 'reel', 'carousel', 'carousel-mixed', 'login-wall', 'age-restricted', 'not-found']
+        .forEach(name => expect(names).toContain(name));
+});
+
+describe.each(fixtures)('fixture $name', ({ html, expected }) => {
+    const { sourceUrl, status } = expected;
+
+    if (expected.error) {
+        test('is rejected by the page checks', () => {
+            expect(() => checkInstagramPage(status, html)).toThrow(expected.error);
+            expect(() => checkInstagramPage(status, html)).toThrow(expect.objectContaining({
+                code: expected.errorCode
+            }));
+        });
+        return;
+    }
+
+    test('passes the page checks', () => {
+        expect(() => checkInstagramPage(status, html)).not.toThrow();
+    });
+
+    test('extractMediaFromHtml', () => {
+        expect(withoutVolatile(extractMediaFromHtml(html, sourceUrl))).toEqual(expected.media);
+    });
+
+    test('extractCaptionFromHtml', () => {
+        expect(extractCaptionFromHtml(html, sourceUrl)).toBe(expected.caption);
+    });
+
+    test('extractAuthorFromHtml', () => {
+        expect(extractAuthorFromHtml(html, sourceUrl)).toBe(expected.author);
+    });
+
+    test('extractThumbnailFromHtml', () => {
+        expect(extractThumbnailFromHtml(html)).toBe(expected.thumbnail);
+    });
+
+    if (expected.mediaObject) {
+        test('processMediaObject', () => {
+            const media = findMediaObject(html);
+            expect(withoutVolatile(processMediaObject(media, sourceUrl))).toEqual(expected.mediaObject);
+        });
+    }
+});
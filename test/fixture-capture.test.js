@@ -0,0 +1,70 @@
+// test/fixture-capture.test.js - Sanitizing and writing captured pages
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeHtmlForFixture, fixtureExists, writeFixture } = require('../lib/fixtures');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('sanitizeHtmlForFixture', () => {
+    test('redacts session and viewer data', () => {
+        const html = '<script nonce="abc123">{"csrf_token":"tok","viewerId":"42","viewer":{"username":"me"},"shortcode":"X"}</script>';
+        const sanitized = sanitizeHtmlForFixture(html);
+
+        expect(sanitized).not.toContain('abc123');
+        expect(sanitized).not.toContain('"tok"');
+        expect(sanitized).not.toContain('"me"');
+        expect(sanitized).toContain('"csrf_token":"REDACTED"');
+        expect(sanitized).toContain('"viewer":null');
+        expect(sanitized).toContain('"shortcode":"X"');
+    });
+});
+
+describe('writeFixture', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ig-fixture-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes the page and its expected output side by side', () => {
+        const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'single-image.html'), 'utf8');
+        const fixture = writeFixture('My Image!', html, 'https://www.instagram.com/p/CzImage0001/', 200, dir);
+
+        expect(fixture.name).toBe('my-image');
+        expect(fs.readFileSync(fixture.htmlPath, 'utf8')).toBe(sanitizeHtmlForFixture(html));
+
+        const expected = JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8'));
+        expect(expected.media.postId).toBe('CzImage0001');
+        expect(expected.media.timestamp).toBeUndefined();
+    });
+
+    test('refuses to replace an existing fixture unless told to', () => {
+        writeFixture('gone', '<html></html>', 'https://www.instagram.com/p/Gone/', 404, dir);
+
+        expect(fixtureExists('Gone', dir)).toBe(true);
+        expect(() => writeFixture('gone', '<html>2</html>', 'https://www.instagram.com/p/Gone/', 404, dir))
+            .toThrow(expect.objectContaining({ code: 'FIXTURE_EXISTS' }));
+        expect(fs.readFileSync(path.join(dir, 'gone.html'), 'utf8')).toBe('<html></html>');
+
+        writeFixture('gone', '<html>2</html>', 'https://www.instagram.com/p/Gone/', 404, dir, { overwrite: true });
+        expect(fs.readFileSync(path.join(dir, 'gone.html'), 'utf8')).toBe('<html>2</html>');
+    });
+
+    test('records the page check error for blocked pages', () => {
+        const fixture = writeFixture('gone', '<html></html>', 'https://www.instagram.com/p/Gone/', 404, dir);
+        expect(fixture.expectation.error).toMatch(/not found/);
+        expect(fixture.expectation.media).toBeUndefined();
+    });
+});
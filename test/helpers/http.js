@@ -0,0 +1,93 @@
+// test/helpers/http.js - Minimal stand-ins for Vercel's request/response helpers
+const http = require('http');
+
+const createRequest = ({ method = 'GET', url = '/', query = {}, body = {}, headers = {} } = {}) => ({
+    method,
+    url,
+    query,
+    body,
+    headers
+});
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        finished: false,
+        headersSent: false,
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        getHeader(name) {
+            return res.headers[name.toLowerCase()];
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(payload) {
+            res.body = payload;
+            res.headersSent = true;
+            return res;
+        },
+        // Enough of a writable stream for handlers that send bytes themselves
+        write(chunk) {
+            res.chunks.push(Buffer.from(chunk));
+            res.headersSent = true;
+            return true;
+        },
+        end(chunk) {
+            if (chunk) res.write(chunk);
+            res.headersSent = true;
+            res.finished = true;
+            return res;
+        },
+        on() {
+            return res;
+        },
+        once() {
+            return res;
+        }
+    };
+    return res;
+};
+
+// Serve handler over real HTTP, adding the helpers Vercel puts on req and res; for routes that pipe streams
+const startHandlerServer = handler => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+        req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = (payload) => {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.end(JSON.stringify(payload));
+            return res;
+        };
+        // Vercel reads the whole body into req.body before the handler runs
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            req.body = raw ? JSON.parse(raw) : {};
+            handler(req, res);
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+            server.close(() => done());
+            server.closeAllConnections();
+        })
+    }));
+});
+
+module.exports = {
+    createRequest,
+    createResponse,
+    startHandlerServer
+};
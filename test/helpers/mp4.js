@@ -0,0 +1,111 @@
+// test/helpers/mp4.js - Tiny MP4s: single-track fragmented ones shaped like DASH on-demand
+// representations, and progressive ones with interleaved video and sound
+const { createBox } = require('../../lib/mp4');
+
+const fullBox = (type, version, flags, ...fields) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+    return createBox(type, header, ...fields);
+};
+
+const u32 = (...values) => {
+    const buffer = Buffer.alloc(4 * values.length);
+    values.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+    return buffer;
+};
+
+const u64 = (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value), 0);
+    return buffer;
+};
+
+const mvhd = (timescale, duration) => fullBox('mvhd', 0, 0,
+    u32(0, 0, timescale, duration, 0x00010000), Buffer.alloc(2 + 10 + 36 + 24), u32(2));
+
+const tkhd = (trackId, duration) => fullBox('tkhd', 0, 3,
+    u32(0, 0, trackId, 0, duration), Buffer.alloc(60));
+
+const elst = segmentDuration => fullBox('elst', 0, 0, u32(1, segmentDuration, 0, 0x00010000));
+
+const mdhd = (timescale, duration) => fullBox('mdhd', 0, 0, u32(0, 0, timescale, duration), Buffer.alloc(4));
+
+// { trackId, movieTimescale, mediaTimescale, fragments: [{ decodeTime, data, absoluteOffset }], fragmented }
+const buildTrack = ({
+    trackId = 1,
+    movieTimescale = 1000,
+    mediaTimescale = 90000,
+    duration = 2000,
+    fragments = [],
+    fragmented = true
+}) => {
+    const trak = createBox('trak',
+        tkhd(trackId, duration),
+        createBox('edts', elst(duration)),
+        createBox('mdia', mdhd(mediaTimescale, duration * mediaTimescale / movieTimescale)));
+    const mvex = createBox('mvex', fullBox('mehd', 0, 0, u32(duration)), fullBox('trex', 0, 0, u32(trackId, 1, 0, 0, 0)));
+    const moov = createBox('moov', mvhd(movieTimescale, duration), trak, ...(fragmented ? [mvex] : []));
+
+    const parts = [createBox('ftyp', Buffer.from('dash', 'latin1'), u32(0), Buffer.from('iso6mp41', 'latin1')), moov];
+    let position = parts[0].length + moov.length;
+
+    fragments.forEach(({ decodeTime, data, absoluteOffset = false }, i) => {
+        // With an absolute base_data_offset the samples are located from the start of the file
+        const tfhdFor = offset => (absoluteOffset
+            ? fullBox('tfhd', 0, 0x000001, u32(trackId), u64(offset))
+            : fullBox('tfhd', 0, 0x020000, u32(trackId)));
+        const buildMoof = offset => createBox('moof',
+            fullBox('mfhd', 0, 0, u32(i + 1)),
+            createBox('traf', tfhdFor(offset), fullBox('tfdt', 1, 0, u64(decodeTime))));
+
+        const moofSize = buildMoof(0).length;
+        const moof = buildMoof(position + moofSize + 8);
+        const mdat = createBox('mdat', Buffer.from(data, 'latin1'));
+        parts.push(moof, mdat);
+        position += moof.length + mdat.length;
+    });
+
+    return Buffer.concat(parts);
+};
+
+const hdlr = handler => fullBox('hdlr', 0, 0, u32(0), Buffer.from(handler, 'latin1'), Buffer.alloc(13));
+
+// tracks: [{ handler: 'vide' | 'soun', chunks: [['sample', ...], ...] }]; chunks are interleaved
+// track by track in the mdat, and the table is stco, or co64 with wide: true
+const buildProgressive = ({ tracks, wide = false }) => {
+    const samplesOf = track => track.chunks.flat();
+    const stbl = (track, offsets) => createBox('stbl',
+        fullBox('stsz', 0, 0, u32(0, samplesOf(track).length, ...samplesOf(track).map(sample => sample.length))),
+        fullBox('stsc', 0, 0, u32(track.chunks.length, ...track.chunks.flatMap((chunk, i) => [i + 1, chunk.length, 1]))),
+        wide
+            ? fullBox('co64', 0, 0, u32(offsets.length), ...offsets.map(u64))
+            : fullBox('stco', 0, 0, u32(offsets.length, ...offsets)));
+    const trak = (track, index, offsets) => createBox('trak',
+        tkhd(index + 1, 2000),
+        createBox('mdia', mdhd(44100, 88200), hdlr(track.handler), createBox('minf', stbl(track, offsets))));
+    const buildMoov = offsets => createBox('moov', mvhd(1000, 2000), ...tracks.map((track, i) => trak(track, i, offsets[i])));
+
+    const ftyp = createBox('ftyp', Buffer.from('isom', 'latin1'), u32(0x200), Buffer.from('isommp41', 'latin1'));
+    const rounds = Math.max(...tracks.map(track => track.chunks.length));
+    const placeholder = tracks.map(track => track.chunks.map(() => 0));
+    let position = ftyp.length + buildMoov(placeholder).length + 8;
+
+    const offsets = tracks.map(() => []);
+    const data = [];
+    for (let round = 0; round < rounds; round++) {
+        tracks.forEach((track, i) => {
+            const chunk = track.chunks[round];
+            if (!chunk) return;
+            offsets[i].push(position);
+            data.push(Buffer.from(chunk.join(''), 'latin1'));
+            position += chunk.join('').length;
+        });
+    }
+
+    return Buffer.concat([ftyp, buildMoov(offsets), createBox('mdat', ...data)]);
+};
+
+module.exports = {
+    buildTrack,
+    buildProgressive
+};
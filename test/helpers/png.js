@@ -0,0 +1,64 @@
+// test/helpers/png.js - Just enough of a PNG decoder to read back what lib/image/png.js writes
+// (8-bit RGB or RGBA, no interlacing)
+const zlib = require('zlib');
+
+const paeth = (left, up, upLeft) => {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+};
+
+// Returns { width, height, data (RGBA), chunks: [{ type, length, crc }] }
+const decodePng = (png) => {
+    const chunks = [];
+    const idat = [];
+    let header = null;
+
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('latin1', offset + 4, offset + 8);
+        const body = png.subarray(offset + 8, offset + 8 + length);
+        chunks.push({ type, length, crc: png.readUInt32BE(offset + 8 + length) });
+
+        if (type === 'IHDR') {
+            header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), bitDepth: body[8], colorType: body[9], interlace: body[12] };
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        }
+        offset += 12 + length;
+    }
+
+    const { width, height, colorType } = header;
+    const channels = colorType === 6 ? 4 : 3;
+    const stride = width * channels;
+    const filtered = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = filtered[y * (stride + 1)];
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const upLeft = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+            const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+            pixels[y * stride + x] = (filtered[y * (stride + 1) + 1 + x] + predictors[filter]) & 0xff;
+        }
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = pixels[i * channels];
+        data[i * 4 + 1] = pixels[i * channels + 1];
+        data[i * 4 + 2] = pixels[i * channels + 2];
+        data[i * 4 + 3] = channels === 4 ? pixels[i * channels + 3] : 255;
+    }
+
+    return { ...header, data, chunks };
+};
+
+module.exports = {
+    decodePng
+};
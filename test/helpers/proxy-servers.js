@@ -0,0 +1,109 @@
+// test/helpers/proxy-servers.js - Local stand-ins for a target site, an HTTP forward proxy and a SOCKS5 proxy
+const http = require('http');
+const net = require('net');
+
+const listen = server => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const close = server => new Promise((resolve) => {
+    server.close(() => resolve());
+    // Don't wait for idle keep-alive connections (http servers only)
+    if (server.closeAllConnections) server.closeAllConnections();
+});
+
+// handle(req, res) answers; every request is recorded in `requests`
+const startTarget = async (handle) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        handle(req, res);
+    });
+    const port = await listen(server);
+    return { url: `http://127.0.0.1:${port}`, requests, close: () => close(server) };
+};
+
+// Forwards absolute-URI requests, as a plain HTTP proxy does for http:// targets
+const startHttpProxy = async () => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        seen.push({ url: req.url, auth: req.headers['proxy-authorization'] || null });
+        const target = new URL(req.url);
+        const upstream = http.request({
+            host: target.hostname,
+            port: target.port,
+            path: target.pathname + target.search,
+            method: req.method,
+            headers: { ...req.headers, 'x-forwarded-by': 'test-proxy' }
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+        upstream.on('error', () => res.destroy());
+        req.pipe(upstream);
+    });
+    const port = await listen(server);
+    return { port, seen, close: () => close(server) };
+};
+
+// No-auth SOCKS5 with CONNECT to IPv4 addresses and hostnames
+const startSocksProxy = async () => {
+    const seen = [];
+    const sockets = new Set();
+    const server = net.createServer((client) => {
+        sockets.add(client);
+        client.on('close', () => sockets.delete(client));
+        client.on('error', () => {});
+
+        client.once('data', (greeting) => {
+            if (greeting[0] !== 5) return client.destroy();
+            client.write(Buffer.from([5, 0]));
+
+            client.once('data', (request) => {
+                let host;
+                let offset;
+                if (request[3] === 1) {
+                    host = Array.from(request.subarray(4, 8)).join('.');
+                    offset = 8;
+                } else {
+                    const length = request[4];
+                    host = request.toString('latin1', 5, 5 + length);
+                    offset = 5 + length;
+                }
+                const port = request.readUInt16BE(offset);
+                seen.push({ host, port });
+
+                const upstream = net.connect(port, host, () => {
+                    client.write(Buffer.from([5, 0, 0, 1, 0, 0, 0, 0, 0, 0]));
+                    upstream.pipe(client);
+                    client.pipe(upstream);
+                });
+                upstream.on('error', () => client.destroy());
+            });
+        });
+    });
+    const port = await listen(server);
+    return {
+        port,
+        seen,
+        close: () => {
+            sockets.forEach(socket => socket.destroy());
+            return close(server);
+        }
+    };
+};
+
+// A port nothing listens on, for proxies that are down
+const getClosedPort = async () => {
+    const server = net.createServer();
+    const port = await listen(server);
+    await close(server);
+    return port;
+};
+
+module.exports = {
+    startTarget,
+    startHttpProxy,
+    startSocksProxy,
+    getClosedPort
+};
@@ -0,0 +1,161 @@
+// test/image.test.js - Thumbnail rendering: rendition choice, scaling and encoders
+const jpeg = require('jpeg-js');
+const { normalizeImageFormat, selectRendition, renderImage } = require('../lib/image');
+const { resizeImage } = require('../lib/image/resize');
+const { encodePng } = require('../lib/image/png');
+const { encodeWebp } = require('../lib/image/webp');
+const { decodePng } = require('./helpers/png');
+
+// Left half red, right half blue
+const halves = (width, height) => {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const red = i % width < width / 2;
+        data.set(red ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    return { data, width, height };
+};
+
+// Deterministic noise so every PNG filter and WebP predictor mode gets used
+const noise = (width, height, { translucent = false } = {}) => {
+    const data = Buffer.alloc(width * height * 4);
+    let seed = 7;
+    for (let i = 0; i < data.length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        data[i] = i % 4 === 3 && !translucent ? 255 : seed >> 16;
+    }
+    return { data, width, height };
+};
+
+describe('selectRendition', () => {
+    const renditions = [
+        { url: 'https://cdn/1080.jpg', width: 1080 },
+        { url: 'https://cdn/320.jpg', width: 320 },
+        { url: 'https://cdn/640.jpg', width: 640 }
+    ];
+
+    test('takes the smallest rendition at least as wide as asked', () => {
+        expect(selectRendition(renditions, 300).url).toBe('https://cdn/320.jpg');
+        expect(selectRendition(renditions, 321).url).toBe('https://cdn/640.jpg');
+    });
+
+    test('falls back to the largest, and to unsized renditions', () => {
+        expect(selectRendition(renditions, 2000).url).toBe('https://cdn/1080.jpg');
+        expect(selectRendition(renditions, null).url).toBe('https://cdn/1080.jpg');
+        expect(selectRendition([{ url: 'https://cdn/thumb.jpg', width: 0 }], 320).url).toBe('https://cdn/thumb.jpg');
+        expect(selectRendition([], 320)).toBeNull();
+    });
+});
+
+describe('normalizeImageFormat', () => {
+    test('defaults to jpeg and accepts jpg', () => {
+        expect(normalizeImageFormat(undefined)).toBe('jpeg');
+        expect(normalizeImageFormat('JPG')).toBe('jpeg');
+        expect(normalizeImageFormat('webp')).toBe('webp');
+        expect(normalizeImageFormat('gif')).toBeNull();
+    });
+});
+
+describe('resizeImage', () => {
+    test('averages the pixels each target pixel covers', () => {
+        const resized = resizeImage(halves(4, 2), 2, 1);
+
+        expect(resized).toMatchObject({ width: 2, height: 1 });
+        expect(Array.from(resized.data)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+        expect(Array.from(resizeImage(halves(4, 1), 1, 1).data)).toEqual([128, 0, 128, 255]);
+    });
+
+    test('never enlarges', () => {
+        const image = halves(2, 2);
+        expect(resizeImage(image, 8, 8)).toBe(image);
+    });
+});
+
+describe('encoders', () => {
+    test('PNG carries the signature, size and colour type', () => {
+        const png = encodePng(halves(3, 2));
+
+        expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+        expect(png.toString('latin1', 12, 16)).toBe('IHDR');
+        expect(png.readUInt32BE(16)).toBe(3);
+        expect(png.readUInt32BE(20)).toBe(2);
+        expect(png[25]).toBe(2);
+    });
+
+    test('PNG decodes back to the same pixels', () => {
+        [halves(3, 2), noise(17, 9), noise(5, 4, { translucent: true })].forEach((image) => {
+            const decoded = decodePng(encodePng(image));
+
+            expect(decoded).toMatchObject({ width: image.width, height: image.height, bitDepth: 8, interlace: 0 });
+            expect(decoded.data.equals(image.data)).toBe(true);
+        });
+        expect(decodePng(encodePng(noise(5, 4, { translucent: true }))).colorType).toBe(6);
+    });
+
+    test('PNG chunks are framed and checksummed', () => {
+        const { chunks } = decodePng(encodePng(noise(8, 8)));
+
+        expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+        expect(chunks[0].length).toBe(13);
+        // The CRC of an empty IEND is the same in every PNG
+        expect(chunks[2]).toEqual({ type: 'IEND', length: 0, crc: 0xae426082 });
+    });
+
+    test('WebP is a lossless VP8L RIFF file with the image size', () => {
+        const webp = encodeWebp(halves(5, 3));
+
+        expect(webp.toString('latin1', 0, 4)).toBe('RIFF');
+        expect(webp.readUInt32LE(4)).toBe(webp.length - 8);
+        expect(webp.toString('latin1', 8, 16)).toBe('WEBPVP8L');
+        expect(webp[20]).toBe(0x2f);
+        const bits = webp.readUInt32LE(21);
+        expect((bits & 0x3fff) + 1).toBe(5);
+        expect(((bits >> 14) & 0x3fff) + 1).toBe(3);
+    });
+
+    test('WebP frames the VP8L bitstream with matching lengths and header fields', () => {
+        [halves(1, 1), noise(33, 17), noise(6, 5, { translucent: true }), halves(300, 2)].forEach((image) => {
+            const webp = encodeWebp(image);
+            const bitstreamLength = webp.readUInt32LE(16);
+            const bits = webp.readUInt32LE(21);
+
+            expect(webp.length % 2).toBe(0);
+            expect(webp.readUInt32LE(4)).toBe(webp.length - 8);
+            expect(webp.length).toBe(20 + bitstreamLength + (bitstreamLength % 2));
+            expect(bitstreamLength).toBeGreaterThan(5);
+            expect((bits & 0x3fff) + 1).toBe(image.width);
+            expect(((bits >>> 14) & 0x3fff) + 1).toBe(image.height);
+            expect((bits >>> 28) & 1).toBe(image.data.some((value, i) => i % 4 === 3 && value !== 255) ? 1 : 0);
+            expect(bits >>> 29).toBe(0);
+        });
+    });
+
+    test('WebP stays well under the raw RGBA size for flat areas', () => {
+        const webp = encodeWebp(halves(64, 48));
+        expect(webp.readUInt32LE(16)).toBeLessThan(64 * 48 * 4 / 8);
+    });
+});
+
+describe('renderImage', () => {
+    const source = jpeg.encode(halves(64, 48), 90).data;
+
+    test('passes an unchanged JPEG through', () => {
+        const image = renderImage(source, { width: 100, format: 'jpeg' });
+
+        expect(image.data).toBe(source);
+        expect(image).toMatchObject({ width: 64, height: 48, transcoded: false, contentType: 'image/jpeg' });
+    });
+
+    test('scales down keeping the aspect ratio', () => {
+        const image = renderImage(source, { width: 32, format: 'png' });
+        const decoded = jpeg.decode(renderImage(source, { width: 16, format: 'jpeg' }).data);
+
+        expect(image).toMatchObject({ width: 32, height: 24, extension: 'png', transcoded: true });
+        expect(image.data.readUInt32BE(16)).toBe(32);
+        expect(decoded).toMatchObject({ width: 16, height: 12 });
+    });
+
+    test('refuses sources that are not JPEGs', () => {
+        expect(() => renderImage(Buffer.from('GIF89a...'), { format: 'webp' })).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_MEDIA' }));
+    });
+});
@@ -0,0 +1,243 @@
+// test/jobs.test.js - Async batch jobs: store, worker, leases and webhooks
+jest.mock('axios');
+
+const axios = require('axios');
+const { PostNotFoundError } = require('../lib/errors');
+const {
+    MemoryJobStore,
+    createJobQueue,
+    runWithConcurrency,
+    getCallbackUrlError,
+    signWebhook,
+    verifyWebhookSignature,
+    toJobView
+} = require('../lib/jobs');
+
+beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    axios.post.mockReset();
+});
+
+describe('MemoryJobStore', () => {
+    test('hands out copies and forgets expired jobs', async () => {
+        const store = new MemoryJobStore();
+        const job = { id: 'job_a', total: 1 };
+        await store.set('job_a', job, 1000);
+
+        const copy = await store.get('job_a');
+        copy.total = 99;
+        expect((await store.get('job_a')).total).toBe(1);
+
+        await store.set('job_b', { id: 'job_b' }, -1);
+        expect(await store.get('job_b')).toBeNull();
+    });
+
+    test('keeps results with their job', async () => {
+        const store = new MemoryJobStore({ maxJobs: 1 });
+        await store.set('job_1', {}, 1000);
+        await store.set('job_1:0', { state: 'succeeded' }, 1000);
+
+        expect(await store.get('job_1:0')).toEqual({ state: 'succeeded' });
+        await store.set('job_2', {}, 1000);
+        expect(await store.get('job_1:0')).toBeNull();
+        await store.set('job_1:1', { state: 'failed' }, 1000);
+        expect(await store.get('job_1:1')).toBeNull();
+    });
+
+    test('drops the oldest jobs past maxJobs', async () => {
+        const store = new MemoryJobStore({ maxJobs: 2 });
+        await store.set('job_1', {}, 1000);
+        await store.set('job_2', {}, 1000);
+        await store.set('job_3', {}, 1000);
+
+        expect(await store.get('job_1')).toBeNull();
+        expect(await store.get('job_3')).toEqual({});
+    });
+});
+
+describe('runWithConcurrency', () => {
+    test('never has more than the limit in flight', async () => {
+        let inFlight = 0;
+        let peak = 0;
+        const seen = [];
+
+        await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            seen.push(item);
+            inFlight--;
+        });
+
+        expect(peak).toBe(3);
+        expect(seen.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+});
+
+describe('createJobQueue', () => {
+    const resolveUrl = async (url) => {
+        if (url.includes('gone')) throw new PostNotFoundError();
+        return { data: { postId: url.split('/p/')[1] }, cache: 'MISS' };
+    };
+
+    test('processes every URL and records per-URL results', async () => {
+        const queue = createJobQueue({ resolveUrl, concurrency: 2 });
+        const job = await queue.create({
+            urls: ['https://www.instagram.com/p/A', 'https://www.instagram.com/p/gone', 'https://www.instagram.com/p/B']
+        });
+
+        expect(job).toMatchObject({ status: 'queued', total: 3, completed: 0 });
+        expect(job.id).toMatch(/^job_[\w-]{16}$/);
+
+        await queue.start(job.id);
+        const done = toJobView(await queue.get(job.id));
+
+        expect(done).toMatchObject({ status: 'completed', completed: 3, successful: 2, failed: 1, progress: 1 });
+        expect(done.results[0]).toMatchObject({ index: 0, state: 'succeeded', success: true, data: { postId: 'A' } });
+        expect(done.results[1]).toMatchObject({ state: 'failed', success: false, code: 'POST_NOT_FOUND', status: 404 });
+        expect(done.owner).toBeUndefined();
+    });
+
+    test('saves progress as URLs finish', async () => {
+        let release;
+        const gate = new Promise((resolve) => {
+            release = resolve;
+        });
+        const queue = createJobQueue({
+            resolveUrl: async url => (url.endsWith('slow') ? gate.then(() => ({ data: {} })) : { data: {} }),
+            concurrency: 2
+        });
+        const job = await queue.create({ urls: ['https://www.instagram.com/p/fast', 'https://www.instagram.com/p/slow'] });
+
+        const finished = queue.start(job.id);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(await queue.get(job.id)).toMatchObject({ status: 'running', completed: 1 });
+
+        release();
+        await finished;
+        expect(await queue.get(job.id)).toMatchObject({ status: 'completed', completed: 2 });
+    });
+
+    test('saves each result under its own key instead of rewriting the job', async () => {
+        const store = new MemoryJobStore();
+        const set = jest.spyOn(store, 'set');
+        const queue = createJobQueue({ resolveUrl, store });
+        const urls = Array.from({ length: 20 }, (_, index) => `https://www.instagram.com/p/P${index}`);
+        const job = await queue.create({ urls });
+
+        await queue.start(job.id);
+
+        const keys = set.mock.calls.map(([key]) => key);
+        // Queued, running, completed
+        expect(keys.filter(key => key === job.id)).toHaveLength(3);
+        expect(new Set(keys.filter(key => key !== job.id)).size).toBe(20);
+        expect(await queue.get(job.id)).toMatchObject({ status: 'completed', completed: 20, successful: 20 });
+    });
+
+    test('renews the lease while a URL is still in flight', async () => {
+        const store = new MemoryJobStore();
+        const queue = createJobQueue({
+            resolveUrl: () => new Promise(resolve => setTimeout(() => resolve({ data: {} }), 120)),
+            store,
+            leaseMs: 30
+        });
+        // Another instance polling the same store
+        const elsewhere = createJobQueue({ resolveUrl, store, leaseMs: 30 });
+        const job = await queue.create({ urls: ['https://www.instagram.com/p/slow'] });
+
+        const finished = queue.start(job.id);
+        await new Promise(resolve => setTimeout(resolve, 80));
+        const running = await elsewhere.get(job.id);
+
+        expect(running.leaseUntil).toBeGreaterThan(Date.now());
+        expect(elsewhere.resume(running)).toBeNull();
+
+        await finished;
+        expect(await queue.get(job.id)).toMatchObject({ status: 'completed', completed: 1, successful: 1 });
+    });
+
+    test('resumes only jobs whose lease has lapsed', async () => {
+        const store = new MemoryJobStore();
+        const queue = createJobQueue({ resolveUrl, store });
+        const job = await queue.create({ urls: ['https://www.instagram.com/p/A'] });
+
+        // As if the instance that started it was frozen with one URL left
+        await store.set(job.id, { ...job, status: 'running', leaseUntil: Date.now() + 60000 }, 60000);
+        expect(queue.resume(await queue.get(job.id))).toBeNull();
+
+        await store.set(job.id, { ...job, status: 'running', leaseUntil: Date.now() - 1 }, 60000);
+        await queue.resume(await queue.get(job.id));
+        expect(await queue.get(job.id)).toMatchObject({ status: 'completed', successful: 1 });
+    });
+
+    test('ignores ids that are not job ids', async () => {
+        const queue = createJobQueue({ resolveUrl });
+        expect(await queue.get('../etc/passwd')).toBeNull();
+    });
+
+    test('posts a signed webhook once the job completes', async () => {
+        axios.post.mockResolvedValue({ status: 204 });
+        const queue = createJobQueue({ resolveUrl, webhookSecret: 'hook-secret' });
+        const job = await queue.create({ urls: ['https://www.instagram.com/p/A'], callbackUrl: 'https://hooks.example.com/ig' });
+
+        const done = await queue.start(job.id);
+
+        const [url, body, options] = axios.post.mock.calls[0];
+        expect(url).toBe('https://hooks.example.com/ig');
+        expect(JSON.parse(body)).toMatchObject({ event: 'job.completed', job: { id: job.id, status: 'completed', successful: 1 } });
+        expect(options.headers['X-Webhook-Id']).toBe(job.id);
+        expect(verifyWebhookSignature('hook-secret', {
+            timestamp: options.headers['X-Webhook-Timestamp'],
+            signature: options.headers['X-Webhook-Signature'],
+            body
+        })).toBe(true);
+        expect(done.webhook).toMatchObject({ state: 'delivered', attempts: 1, lastStatus: 204 });
+    });
+
+    test('retries webhooks on server errors but not on client errors', async () => {
+        axios.post
+            .mockResolvedValueOnce({ status: 503 })
+            .mockRejectedValueOnce(new Error('socket hang up'))
+            .mockResolvedValueOnce({ status: 200 });
+        const queue = createJobQueue({ resolveUrl, webhookSecret: 's', webhookRetryDelay: 1 });
+        const job = await queue.create({ urls: [], callbackUrl: 'https://hooks.example.com/ig' });
+
+        expect((await queue.start(job.id)).webhook).toMatchObject({ state: 'delivered', attempts: 3 });
+
+        axios.post.mockResolvedValueOnce({ status: 410 });
+        const refused = await queue.create({ urls: [], callbackUrl: 'https://hooks.example.com/gone' });
+        expect((await queue.start(refused.id)).webhook).toMatchObject({ state: 'failed', attempts: 1, lastStatus: 410 });
+    });
+});
+
+describe('webhook signatures', () => {
+    test('reject tampered bodies and old timestamps', () => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = `sha256=${signWebhook('secret', timestamp, '{"a":1}')}`;
+
+        expect(verifyWebhookSignature('secret', { timestamp, signature, body: '{"a":1}' })).toBe(true);
+        expect(verifyWebhookSignature('secret', { timestamp, signature, body: '{"a":2}' })).toBe(false);
+        expect(verifyWebhookSignature('other', { timestamp, signature, body: '{"a":1}' })).toBe(false);
+        expect(verifyWebhookSignature('secret', { timestamp, signature, body: '{"a":1}' }, 300, Date.now() + 3600 * 1000)).toBe(false);
+    });
+});
+
+describe('getCallbackUrlError', () => {
+    test('accepts public http(s) URLs', () => {
+        expect(getCallbackUrlError('https://hooks.example.com/instagram?team=7')).toBeNull();
+        expect(getCallbackUrlError('http://203.0.113.10:8080/hook')).toBeNull();
+    });
+
+    test('refuses other schemes and internal addresses', () => {
+        ['ftp://example.com/hook', 'not a url', 'http://localhost:3000/hook', 'http://127.0.0.1/hook',
+            'http://10.1.2.3/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://db.internal/hook']
+            .forEach(url => expect(getCallbackUrlError(url)).not.toBeNull());
+    });
+});
@@ -0,0 +1,140 @@
+// test/mp4.test.js - Remuxing separate DASH video and audio tracks into one MP4, and demuxing sound
+const { readBoxes, findPath, parseFragmentedTrack, muxFragmentedTracks, extractAudioTrack } = require('../lib/mp4');
+const { UnsupportedMediaError } = require('../lib/errors');
+const { buildTrack, buildProgressive } = require('./helpers/mp4');
+
+const video = buildTrack({
+    trackId: 1,
+    movieTimescale: 1000,
+    mediaTimescale: 90000,
+    duration: 2000,
+    fragments: [
+        { decodeTime: 0, data: 'video-0' },
+        { decodeTime: 90000, data: 'video-1' }
+    ]
+});
+
+const audio = buildTrack({
+    trackId: 1,
+    movieTimescale: 44100,
+    mediaTimescale: 44100,
+    duration: 88200,
+    fragments: [
+        { decodeTime: 0, data: 'audio-0', absoluteOffset: true },
+        { decodeTime: 44100, data: 'audio-1', absoluteOffset: true }
+    ]
+});
+
+const payloadOf = (buffer, box) => buffer.subarray(box.start + box.headerSize, box.end);
+
+describe('muxFragmentedTracks', () => {
+    const output = Buffer.concat(muxFragmentedTracks({ video, audio }));
+    const top = readBoxes(output);
+    const moov = top.find(box => box.type === 'moov');
+    const moofs = top.filter(box => box.type === 'moof');
+
+    test('writes one movie with a track per input', () => {
+        expect(top.map(box => box.type)).toEqual(['ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat']);
+
+        const traks = readBoxes(output, moov.start + 8, moov.end).filter(box => box.type === 'trak');
+        expect(traks.map(trak => payloadOf(output, findPath(output, trak, ['tkhd'])).readUInt32BE(12))).toEqual([1, 2]);
+
+        const mvex = findPath(output, moov, ['mvex']);
+        const trexIds = readBoxes(output, mvex.start + 8, mvex.end)
+            .filter(box => box.type === 'trex')
+            .map(box => payloadOf(output, box).readUInt32BE(4));
+        expect(trexIds).toEqual([1, 2]);
+
+        const mvhd = payloadOf(output, findPath(output, moov, ['mvhd']));
+        expect(mvhd.readUInt32BE(mvhd.length - 4)).toBe(3);
+    });
+
+    test('interleaves fragments by time and renumbers them', () => {
+        const mdats = top.filter(box => box.type === 'mdat').map(box => payloadOf(output, box).toString('latin1'));
+        expect(mdats).toEqual(['video-0', 'audio-0', 'video-1', 'audio-1']);
+
+        expect(moofs.map(moof => payloadOf(output, findPath(output, moof, ['mfhd'])).readUInt32BE(4))).toEqual([1, 2, 3, 4]);
+        expect(moofs.map(moof => payloadOf(output, findPath(output, moof, ['traf', 'tfhd'])).readUInt32BE(4))).toEqual([1, 2, 1, 2]);
+    });
+
+    test('moves absolute data offsets along with the fragment', () => {
+        const tfhd = payloadOf(output, findPath(output, moofs[3], ['traf', 'tfhd']));
+        const offset = Number(tfhd.readBigUInt64BE(8));
+
+        expect(output.toString('latin1', offset, offset + 7)).toBe('audio-1');
+    });
+
+    test('rescales track durations to the output movie timescale', () => {
+        const traks = readBoxes(output, moov.start + 8, moov.end).filter(box => box.type === 'trak');
+        const audioTkhd = payloadOf(output, findPath(output, traks[1], ['tkhd']));
+        const audioElst = payloadOf(output, findPath(output, traks[1], ['edts', 'elst']));
+
+        expect(audioTkhd.readUInt32BE(20)).toBe(2000);
+        expect(audioElst.readUInt32BE(8)).toBe(2000);
+    });
+
+    test('passes a lone video track through', () => {
+        const alone = readBoxes(Buffer.concat(muxFragmentedTracks({ video })));
+        expect(alone.filter(box => box.type === 'moof')).toHaveLength(2);
+    });
+});
+
+describe('parseFragmentedTrack', () => {
+    test('refuses progressive MP4s and things that are not MP4s', () => {
+        const progressive = buildTrack({ fragmented: false });
+
+        expect(() => parseFragmentedTrack(progressive, 'video')).toThrow(UnsupportedMediaError);
+        expect(() => parseFragmentedTrack(progressive, 'video')).toThrow(/not fragmented/);
+        expect(() => parseFragmentedTrack(Buffer.from('<html>not a video</html>'), 'audio')).toThrow(UnsupportedMediaError);
+    });
+
+    test('reads timescales and fragment decode times', () => {
+        const track = parseFragmentedTrack(audio, 'audio');
+
+        expect(track).toMatchObject({ movieTimescale: 44100, mediaTimescale: 44100 });
+        expect(track.fragments.map(fragment => fragment.decodeTime)).toEqual([0, 44100]);
+    });
+});
+
+describe('extractAudioTrack', () => {
+    const tracks = [
+        { handler: 'vide', chunks: [['VV0a', 'VV0b'], ['VV1a']] },
+        { handler: 'soun', chunks: [['a0', 'a1'], ['a2'], ['a3', 'a4', 'a5']] }
+    ];
+
+    // The bytes each chunk offset points at, for the sound's chunk lengths (4, 2 and 6 bytes)
+    const readChunks = (output, type) => {
+        const moov = readBoxes(output).find(box => box.type === 'moov');
+        const table = findPath(output, moov, ['trak', 'mdia', 'minf', 'stbl', type]);
+        const payload = payloadOf(output, table);
+        const wide = type === 'co64';
+        const lengths = [4, 2, 6];
+        return Array.from({ length: payload.readUInt32BE(4) }, (_, i) => {
+            const offset = wide ? Number(payload.readBigUInt64BE(8 + i * 8)) : payload.readUInt32BE(8 + i * 4);
+            return output.toString('latin1', offset, offset + lengths[i]);
+        });
+    };
+
+    test('keeps only the sound, with its chunks rewritten to the new layout', () => {
+        const output = Buffer.concat(extractAudioTrack(buildProgressive({ tracks })));
+        const top = readBoxes(output);
+        const moov = top.find(box => box.type === 'moov');
+
+        expect(top.map(box => box.type)).toEqual(['ftyp', 'moov', 'mdat']);
+        expect(output.toString('latin1', 8, 12)).toBe('M4A ');
+        expect(readBoxes(output, moov.start + 8, moov.end).map(box => box.type)).toEqual(['mvhd', 'trak']);
+        expect(payloadOf(output, top[2]).toString('latin1')).toBe('a0a1a2a3a4a5');
+        expect(readChunks(output, 'stco')).toEqual(['a0a1', 'a2', 'a3a4a5']);
+    });
+
+    test('handles 64-bit chunk offsets', () => {
+        const output = Buffer.concat(extractAudioTrack(buildProgressive({ tracks, wide: true })));
+
+        expect(readChunks(output, 'co64')).toEqual(['a0a1', 'a2', 'a3a4a5']);
+    });
+
+    test('refuses videos without sound and fragmented ones', () => {
+        expect(() => extractAudioTrack(buildProgressive({ tracks: [tracks[0]] }))).toThrow(/no audio track/);
+        expect(() => extractAudioTrack(video)).toThrow(UnsupportedMediaError);
+    });
+});
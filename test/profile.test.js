@@ -0,0 +1,137 @@
+// test/profile.test.js - Profile cards, feed parsing and cursors
+const fs = require('fs');
+const path = require('path');
+const {
+    isValidUsername,
+    encodeCursor,
+    decodeCursor,
+    parseProfileInfo,
+    parseProfilePage,
+    parseUserFeed
+} = require('../lib/profile');
+const { buildOwner } = require('../lib/extractors');
+
+const readJson = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'profile', `${name}.json`), 'utf8'));
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cursors', () => {
+    test('round-trip and reject anything else', () => {
+        const cursor = encodeCursor({ userId: '24681357', username: 'Harbour.Days', maxId: '1_24681357' });
+
+        expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCursor(cursor)).toEqual({ userId: '24681357', username: 'harbour.days', maxId: '1_24681357' });
+        expect(decodeCursor('not-a-cursor')).toBeNull();
+        expect(decodeCursor(Buffer.from('{"u":"1"}').toString('base64url'))).toBeNull();
+        expect(decodeCursor(Buffer.from('{"u":"1","m":"1_1"}').toString('base64url'))).toBeNull();
+    });
+
+    test('usernames follow Instagram rules', () => {
+        expect(isValidUsername('harbour.days')).toBe(true);
+        expect(isValidUsername('no spaces')).toBe(false);
+        expect(isValidUsername('a'.repeat(31))).toBe(false);
+    });
+});
+
+describe('parseProfilePage', () => {
+    test('summarizes the timeline the way processMediaObject shapes posts', () => {
+        const page = parseProfilePage(readJson('web-profile-info'), { username: 'harbour.days', limit: 12 });
+
+        expect(page).toMatchObject({ username: 'harbour.days', userId: '24681357', totalPosts: 230, hasMore: true });
+        expect(page.posts.map(post => post.postId)).toEqual(['CzFeedReel1', 'CzFeedImg02', 'CzFeedCar03', 'CzFeedImg04']);
+        expect(page.posts[0]).toMatchObject({
+            type: 'video',
+            isReel: true,
+            isCarousel: false,
+            caption: 'Crossing at dusk #ferry',
+            owner: { id: '24681357', username: 'harbour.days' },
+            timestamp: 1699913600,
+            url: 'https://www.instagram.com/p/CzFeedReel1/'
+        });
+        expect(page.posts[2]).toMatchObject({ type: 'image', isCarousel: true, itemCount: 2 });
+        expect(page.posts[1].thumbnail).toContain('440000002_s640.jpg');
+        expect(decodeCursor(page.nextCursor)).toEqual({ userId: '24681357', username: 'harbour.days', maxId: '3270000000000000004_24681357' });
+    });
+
+    test('cuts the page at limit and continues after the last post returned', () => {
+        const page = parseProfilePage(readJson('web-profile-info'), { username: 'harbour.days', limit: 2 });
+
+        expect(page.posts).toHaveLength(2);
+        expect(decodeCursor(page.nextCursor).maxId).toBe('3270000000000000002_24681357');
+    });
+
+    test('reports unknown and private accounts', () => {
+        expect(() => parseProfilePage({ data: { user: null } }, { username: 'ghost' }))
+            .toThrow(expect.objectContaining({ code: 'POST_NOT_FOUND' }));
+        expect(() => parseProfilePage({ data: { user: { id: '1', is_private: true, edge_owner_to_timeline_media: { edges: [] } } } }, { username: 'shy' }))
+            .toThrow(expect.objectContaining({ code: 'LOGIN_REQUIRED' }));
+    });
+});
+
+describe('parseUserFeed', () => {
+    test('summarizes API-style items', () => {
+        const page = parseUserFeed(readJson('user-feed'), { userId: '24681357', username: 'harbour.days', limit: 12 });
+
+        expect(page.posts.map(post => [post.postId, post.type, post.isCarousel])).toEqual([
+            ['CzFeedImg05', 'image', false],
+            ['CzFeedVid06', 'video', false],
+            ['CzFeedCar07', 'image', true]
+        ]);
+        expect(page.posts[1]).toMatchObject({ isReel: true, likes: 990, caption: 'Engine room' });
+        expect(page.posts[0].thumbnail).toContain('4400000005_n.jpg');
+        expect(page.posts[2].thumbnail).toContain('4400007001_n.jpg');
+        expect(decodeCursor(page.nextCursor).maxId).toBe('3270000000000000007_24681357');
+    });
+
+    test('has no next cursor on the last page', () => {
+        const feed = { ...readJson('user-feed'), more_available: false };
+        expect(parseUserFeed(feed, { userId: '24681357', limit: 12 })).toMatchObject({ nextCursor: null, hasMore: false });
+    });
+});
+
+describe('parseProfileInfo', () => {
+    test('returns the full creator card', () => {
+        const profile = parseProfileInfo(readJson('web-profile-info'), { username: 'harbour.days' });
+
+        expect(profile).toEqual({
+            userId: '24681357',
+            username: 'harbour.days',
+            fullName: 'Harbour Days',
+            biography: 'Boats, tides and the people who work them.',
+            profilePicUrl: expect.stringContaining('s150x150'),
+            profilePicUrlHd: expect.stringContaining('oh=00_AfPicHd'),
+            followers: 48210,
+            following: 311,
+            posts: 230,
+            isVerified: false,
+            isPrivate: false,
+            isBusiness: true,
+            category: 'Photographer',
+            externalUrl: 'https://harbourdays.example/tides',
+            bioLinks: [{ title: 'Tide tables', url: 'https://harbourdays.example/tides' }],
+            // The earlier of the two picture links
+            expiresAt: new Date(0x6557A000 * 1000).toISOString()
+        });
+    });
+
+    test('reports unknown users as not found', () => {
+        expect(() => parseProfileInfo({ data: { user: null } }, { username: 'ghost' }))
+            .toThrow(expect.objectContaining({ code: 'POST_NOT_FOUND' }));
+    });
+});
+
+describe('buildOwner', () => {
+    test('keeps a compact card from either JSON shape', () => {
+        expect(buildOwner({ id: '1', username: 'a', full_name: 'A', is_verified: true, profile_pic_url: 'https://cdn/p.jpg' }))
+            .toEqual({ id: '1', username: 'a', fullName: 'A', profilePicUrl: 'https://cdn/p.jpg', isVerified: true });
+        expect(buildOwner({ pk: 2, username: 'b', is_private: true })).toMatchObject({ id: '2', isPrivate: true });
+        expect(buildOwner({ id: '3' })).toBeNull();
+    });
+});
@@ -0,0 +1,85 @@
+// test/quality.test.js - Video quality ladder and ?quality= selection
+const {
+    labelFor,
+    buildVideoQualities,
+    parseQualitySpec,
+    isValidQualitySpec,
+    selectVariant,
+    applyQuality
+} = require('../lib/quality');
+
+const efg = json => encodeURIComponent(Buffer.from(JSON.stringify(json)).toString('base64'));
+
+const reelNode = {
+    video_url: 'https://cdn/v1080.mp4',
+    dimensions: { width: 1080, height: 1920 },
+    video_versions: [
+        { width: 480, height: 854, url: 'https://cdn/v480.mp4' },
+        { width: 1080, height: 1920, url: 'https://cdn/v1080.mp4' },
+        { width: 720, height: 1280, url: `https://cdn/v720.mp4?efg=${efg({ vencode_tag: 'xpv_progressive.INSTAGRAM.CLIPS.C3.720.dash_baseline_1_v1', bitrate: 1250000 })}` },
+        { width: 720, height: 1280, url: 'https://cdn/v720-vp9.mp4', codecs: 'vp09.00.31.08', bandwidth: 900000 }
+    ]
+};
+
+describe('buildVideoQualities', () => {
+    test('deduplicates, ranks and labels every rendition', () => {
+        const qualities = buildVideoQualities(reelNode);
+
+        expect(qualities.map(q => q.url)).toEqual([
+            'https://cdn/v1080.mp4',
+            expect.stringContaining('https://cdn/v720.mp4'),
+            'https://cdn/v720-vp9.mp4',
+            'https://cdn/v480.mp4'
+        ]);
+        expect(qualities.map(q => q.label)).toEqual(['1080p', '720p', '720p', '480p']);
+        expect(qualities[0]).toMatchObject({ quality: '1080x1920', isDefault: true });
+        expect(qualities[1]).toMatchObject({ codec: 'h264', bandwidth: 1250000, isDefault: false });
+        expect(qualities[2]).toMatchObject({ codec: 'vp09.00.31.08', bandwidth: 900000 });
+        expect(qualities[3]).not.toHaveProperty('codec');
+    });
+
+    test('labels by the short side and falls back to original without dimensions', () => {
+        expect(labelFor(1920, 1080)).toBe('1080p');
+        expect(labelFor(0, 0)).toBe('original');
+        expect(buildVideoQualities({ video_url: 'https://cdn/a.mp4' })).toEqual([
+            { quality: 'original', label: 'original', url: 'https://cdn/a.mp4', width: 0, height: 0, isDefault: true }
+        ]);
+    });
+});
+
+describe('quality selection', () => {
+    const qualities = buildVideoQualities(reelNode);
+    const pick = value => selectVariant(qualities, parseQualitySpec(value))?.url || null;
+
+    test('understands every spec form', () => {
+        expect(pick('highest')).toBe('https://cdn/v1080.mp4');
+        expect(pick('lowest')).toBe('https://cdn/v480.mp4');
+        expect(pick('720p')).toContain('https://cdn/v720.mp4');
+        expect(pick('maxWidth=700')).toBe('https://cdn/v480.mp4');
+        expect(pick('maxHeight=1300')).toContain('https://cdn/v720.mp4');
+        expect(pick('480x854')).toBe('https://cdn/v480.mp4');
+        expect(pick('original')).toBe('https://cdn/v1080.mp4');
+        expect(pick('2160p')).toBeNull();
+        expect(pick('maxWidth=100')).toBeNull();
+    });
+
+    test('validates specs', () => {
+        expect(isValidQualitySpec(undefined)).toBe(true);
+        expect(isValidQualitySpec('MaxWidth=720')).toBe(true);
+        expect(isValidQualitySpec('best')).toBe(false);
+    });
+
+    test('applyQuality swaps the top-level URL', () => {
+        const media = { type: 'video', videoUrl: qualities[0].url, qualities };
+
+        expect(applyQuality(media, 'lowest')).toMatchObject({ videoUrl: 'https://cdn/v480.mp4', selectedQuality: '480p' });
+        expect(applyQuality(media, '2160p')).toBeNull();
+        expect(applyQuality(media, undefined)).toBe(media);
+
+        const image = { type: 'image', imageUrl: 'https://cdn/big.jpg', images: [
+            { quality: 'original', url: 'https://cdn/big.jpg', width: 1080, height: 1350 },
+            { quality: '640x800', url: 'https://cdn/small.jpg', width: 640, height: 800 }
+        ] };
+        expect(applyQuality(image, 'lowest').imageUrl).toBe('https://cdn/small.jpg');
+    });
+});
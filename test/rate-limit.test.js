@@ -0,0 +1,82 @@
+// test/rate-limit.test.js - Sliding window limiter and client keys
+const { createRateLimiter, getClientKey, MemoryRateLimitStore } = require('../lib/rate-limit');
+const { hashApiKey } = require('../lib/auth');
+const { RateLimitExceededError } = require('../lib/errors');
+
+const WINDOW = 60000;
+
+describe('createRateLimiter', () => {
+    test('counts down remaining and rejects past the limit', async () => {
+        const limiter = createRateLimiter({ limit: 3, windowMs: WINDOW });
+        const now = 10 * WINDOW;
+
+        expect((await limiter.consume('ip:1', 1, now)).remaining).toBe(2);
+        expect((await limiter.consume('ip:1', 2, now)).remaining).toBe(0);
+
+        await expect(limiter.consume('ip:1', 1, now)).rejects.toBeInstanceOf(RateLimitExceededError);
+        await expect(limiter.consume('ip:1', 1, now)).rejects.toMatchObject({
+            status: 429,
+            retryAfter: 60,
+            details: { limit: 3, remaining: 0 }
+        });
+    });
+
+    test('charges the whole cost or nothing', async () => {
+        const limiter = createRateLimiter({ limit: 5, windowMs: WINDOW });
+        const now = 10 * WINDOW;
+
+        await limiter.consume('ip:1', 3, now);
+        await expect(limiter.consume('ip:1', 3, now)).rejects.toBeInstanceOf(RateLimitExceededError);
+        expect((await limiter.consume('ip:1', 2, now)).remaining).toBe(0);
+    });
+
+    test('slides the previous window out gradually', async () => {
+        const limiter = createRateLimiter({ limit: 4, windowMs: WINDOW });
+        const start = 10 * WINDOW;
+
+        await limiter.consume('ip:1', 4, start);
+        // Half way into the next window half of the old hits still count
+        const state = await limiter.consume('ip:1', 1, start + WINDOW + WINDOW / 2);
+        expect(state.remaining).toBe(1);
+    });
+
+    test('keeps clients apart', async () => {
+        const limiter = createRateLimiter({ limit: 1, windowMs: WINDOW });
+        await limiter.consume('ip:1');
+        await expect(limiter.consume('ip:2')).resolves.toMatchObject({ remaining: 0 });
+    });
+
+    test('works against any store with get/increment', async () => {
+        const calls = [];
+        const store = new MemoryRateLimitStore();
+        const spyStore = {
+            get: key => store.get(key),
+            increment: (key, amount, ttl) => {
+                calls.push({ key, amount, ttl });
+                return store.increment(key, amount, ttl);
+            }
+        };
+        const limiter = createRateLimiter({ limit: 10, windowMs: WINDOW, store: spyStore });
+
+        await limiter.consume('ip:1', 2, 10 * WINDOW);
+        expect(calls).toEqual([{ key: `ratelimit:ip:1:${10 * WINDOW}`, amount: 2, ttl: 2 * WINDOW }]);
+    });
+});
+
+describe('getClientKey', () => {
+    test('uses an accepted API key, hashed', () => {
+        const apiKey = { name: 'partner', keyHash: hashApiKey('secret') };
+        const key = getClientKey({ headers: { 'x-api-key': 'secret', 'x-forwarded-for': '1.2.3.4' } }, apiKey);
+        expect(key).toMatch(/^key:[a-f0-9]{32}$/);
+        expect(key).not.toContain('secret');
+        expect(getClientKey({ headers: { authorization: 'Bearer secret' } }, apiKey)).toBe(key);
+    });
+
+    test('ignores keys the authenticator has not accepted', () => {
+        expect(getClientKey({ headers: { 'x-api-key': 'made-up', 'x-forwarded-for': '1.2.3.4' } })).toBe('ip:1.2.3.4');
+    });
+
+    test('uses the first x-forwarded-for address', () => {
+        expect(getClientKey({ headers: { 'x-forwarded-for': '1.2.3.4, 10.0.0.1' } })).toBe('ip:1.2.3.4');
+    });
+});
@@ -0,0 +1,107 @@
+// test/stories.test.js - Story and highlight URLs and the reels_media parsers
+const fs = require('fs');
+const path = require('path');
+const { parseStoryUrl, extractPostId, validateInstagramUrl } = require('../lib/urls');
+const { buildApiHeaders, checkApiResponse, parseProfileUserId } = require('../lib/instagram-api');
+const { findReel, processStoryReel } = require('../lib/stories');
+const { selectCarouselItem } = require('../lib/carousel');
+
+const readJson = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'stories', `${name}.json`), 'utf8'));
+
+describe('story URLs', () => {
+    test('parses user stories and highlights', () => {
+        expect(parseStoryUrl('https://www.instagram.com/stories/harbour.days/3270000000000000002/'))
+            .toEqual({ kind: 'story', username: 'harbour.days', storyId: '3270000000000000002' });
+        expect(parseStoryUrl('https://www.instagram.com/stories/highlights/17900000000000001/'))
+            .toEqual({ kind: 'highlight', highlightId: '17900000000000001' });
+        expect(parseStoryUrl('https://www.instagram.com/p/CzImage0001/')).toBeNull();
+    });
+
+    test('are accepted and get their own cache ids', () => {
+        expect(validateInstagramUrl('https://www.instagram.com/stories/harbour.days/3270000000000000002/')).toBe(true);
+        expect(validateInstagramUrl('https://www.instagram.com/stories/highlights/17900000000000001/')).toBe(true);
+        expect(validateInstagramUrl('https://www.instagram.com/stories/harbour.days/')).toBe(false);
+        expect(extractPostId('https://www.instagram.com/stories/harbour.days/3270000000000000002/')).toBe('3270000000000000002');
+        expect(extractPostId('https://www.instagram.com/stories/highlights/17900000000000001/')).toBe('highlight_17900000000000001');
+    });
+});
+
+describe('reels_media parsing', () => {
+    test('finds the user id and the reel', () => {
+        expect(parseProfileUserId(readJson('web-profile-info'))).toBe('24681357');
+        expect(findReel(readJson('reels-media-story'), '24681357').items).toHaveLength(2);
+        expect(findReel({ reels_media: [{ id: 'x', items: [] }] }, 'other').id).toBe('x');
+    });
+
+    test('returns the requested story with its variants and expiry', () => {
+        const media = processStoryReel(findReel(readJson('reels-media-story'), '24681357'), {
+            kind: 'story',
+            username: 'harbour.days',
+            storyId: '3270000000000000002'
+        });
+
+        expect(media).toMatchObject({
+            type: 'video',
+            postId: '3270000000000000002',
+            author: 'harbour.days',
+            isStory: true,
+            isHighlight: false,
+            duration: 9.8,
+            storyExpiresAt: '2023-11-17T03:00:00.000Z',
+            itemCount: 1
+        });
+        expect(media.qualities.map(q => q.quality)).toEqual(['720x1280', '480x854']);
+        expect(media.items[0]).toMatchObject({ index: 0, storyId: '3270000000000000002', takenAt: '2023-11-16T03:00:00.000Z' });
+        expect(media.expiresAt).toBe(new Date(0x6557F1A0 * 1000).toISOString());
+    });
+
+    test('reports expired stories as not found', () => {
+        const reel = findReel(readJson('reels-media-story'), '24681357');
+        expect(() => processStoryReel(reel, { kind: 'story', storyId: '1' })).toThrow(expect.objectContaining({ code: 'POST_NOT_FOUND' }));
+        expect(() => processStoryReel(null, { kind: 'story', storyId: '1' })).toThrow(/expired/);
+    });
+
+    test('returns every highlight item, selectable by index', () => {
+        const media = processStoryReel(findReel(readJson('reels-media-highlight'), 'highlight:17900000000000001'), {
+            kind: 'highlight',
+            highlightId: '17900000000000001'
+        });
+
+        expect(media).toMatchObject({
+            type: 'image',
+            postId: 'highlight_17900000000000001',
+            title: 'Ferries',
+            isHighlight: true,
+            isCarousel: true,
+            itemCount: 3,
+            storyExpiresAt: null
+        });
+        expect(selectCarouselItem(media, 1)).toMatchObject({ type: 'video', title: 'Ferries', isStory: true, duration: 14.2 });
+    });
+});
+
+describe('checkApiResponse', () => {
+    test('maps logged-out answers to LOGIN_REQUIRED', () => {
+        expect(() => checkApiResponse(401, {})).toThrow(expect.objectContaining({ code: 'LOGIN_REQUIRED' }));
+        expect(() => checkApiResponse(200, { message: 'login_required', status: 'fail' }))
+            .toThrow(expect.objectContaining({ code: 'LOGIN_REQUIRED' }));
+        expect(() => checkApiResponse(200, '<html>login_and_signup_page</html>'))
+            .toThrow(expect.objectContaining({ code: 'LOGIN_REQUIRED' }));
+    });
+
+    test('passes JSON through and keeps the usual upstream errors', () => {
+        expect(() => checkApiResponse(200, { status: 'ok' })).not.toThrow();
+        expect(() => checkApiResponse(404, '')).toThrow(expect.objectContaining({ code: 'POST_NOT_FOUND' }));
+        expect(() => checkApiResponse(429, '', { 'retry-after': '30' })).toThrow(expect.objectContaining({ code: 'UPSTREAM_RATE_LIMITED' }));
+    });
+
+    test('sends the session cookie only when configured', () => {
+        expect(buildApiHeaders().Cookie).toBeUndefined();
+        expect(buildApiHeaders({ sessionId: 'abc' })).toMatchObject({ Cookie: 'sessionid=abc', 'X-IG-App-ID': expect.any(String) });
+    });
+
+    test('uses the client profile and fills in a missing app id', () => {
+        const profile = { name: 'custom', headers: { api: { 'User-Agent': 'custom-agent', 'Accept': '*/*' } } };
+        expect(buildApiHeaders({ profile })).toEqual({ 'User-Agent': 'custom-agent', 'Accept': '*/*', 'X-IG-App-ID': '936619743392459' });
+    });
+});
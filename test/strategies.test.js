@@ -0,0 +1,87 @@
+// test/strategies.test.js - Extraction strategy registry ordering and reporting
+const fs = require('fs');
+const path = require('path');
+const {
+    extractMediaFromHtml,
+    resolveStrategies,
+    listStrategies
+} = require('../lib/strategies');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', `${name}.html`), 'utf8');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolveStrategies', () => {
+    test('defaults to priority order', () => {
+        const priorities = resolveStrategies().map(s => s.priority);
+        expect(priorities).toEqual([...priorities].sort((a, b) => a - b));
+        expect(resolveStrategies()[0].name).toBe('jsonld');
+    });
+
+    test('honours an explicit list in the given order', () => {
+        expect(resolveStrategies('og, jsonld').map(s => s.name)).toEqual(['og', 'jsonld']);
+    });
+
+    test('rejects unknown strategy names', () => {
+        expect(() => resolveStrategies('jsonld,nope')).toThrow(expect.objectContaining({
+            code: 'INVALID_STRATEGY'
+        }));
+    });
+});
+
+describe('extractMediaFromHtml', () => {
+    test('reports the winning strategy and what was tried', () => {
+        const media = extractMediaFromHtml(readFixture('single-video'), 'https://www.instagram.com/p/CzVideo0001/');
+        expect(media.extraction.strategy).toBe('jsonld');
+    });
+
+    test('runs only the requested strategies', () => {
+        const media = extractMediaFromHtml(readFixture('single-video'), 'https://www.instagram.com/p/CzVideo0001/', {
+            strategies: 'og'
+        });
+        expect(media.extraction).toEqual({
+            strategy: 'og',
+            tried: [{ strategy: 'og', status: 'matched' }]
+        });
+    });
+
+    test('keeps a JSON caption as written instead of decoding it again', () => {
+        const html = '<html><head><script type="application/ld+json">' +
+            JSON.stringify({ video: { contentUrl: 'https://scontent.cdninstagram.com/v/clip.mp4' }, description: 'Escaping 101: write &amp; for &' }) +
+            '</script></head><body></body></html>';
+
+        const media = extractMediaFromHtml(html, 'https://www.instagram.com/p/CzEntity001/', { strategies: 'jsonld' });
+        expect(media.caption).toBe('Escaping 101: write &amp; for &');
+    });
+
+    test('records failures from a throwing strategy and moves on', () => {
+        // A registry of its own, so 'broken' doesn't leak into the other tests
+        jest.isolateModules(() => {
+            const strategies = require('../lib/strategies');
+            strategies.registerStrategy({
+                name: 'broken',
+                priority: 1,
+                extract: () => {
+                    throw new Error('markup changed');
+                }
+            });
+
+            const media = strategies.extractMediaFromHtml(readFixture('single-video'), 'https://www.instagram.com/p/CzVideo0001/', {
+                strategies: 'broken,jsonld'
+            });
+            expect(media.extraction.tried).toEqual([
+                { strategy: 'broken', status: 'error', error: 'markup changed' },
+                { strategy: 'jsonld', status: 'matched' }
+            ]);
+            expect(strategies.listStrategies()[0].name).toBe('broken');
+        });
+        expect(listStrategies().map(strategy => strategy.name)).not.toContain('broken');
+    });
+});
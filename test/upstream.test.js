@@ -0,0 +1,76 @@
+// test/upstream.test.js - In-flight deduplication, concurrency cap and per-host pacing
+const { createCoalescer, createUpstreamLimiter } = require('../lib/upstream');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createCoalescer', () => {
+    test('shares one in-flight task per key', async () => {
+        const coalescer = createCoalescer();
+        let calls = 0;
+        const task = async () => {
+            calls++;
+            await sleep(5);
+            return calls;
+        };
+
+        const results = await Promise.all([coalescer.run('a', task), coalescer.run('a', task), coalescer.run('b', task)]);
+
+        expect(results[0]).toBe(results[1]);
+        expect(calls).toBe(2);
+        expect(coalescer.stats()).toEqual({ inFlight: 0, started: 2, coalesced: 1 });
+    });
+
+    test('shares failures too, then lets the key be fetched again', async () => {
+        const coalescer = createCoalescer();
+        const failing = () => Promise.reject(new Error('429'));
+
+        await expect(Promise.all([coalescer.run('a', failing), coalescer.run('a', failing)])).rejects.toThrow('429');
+        await expect(coalescer.run('a', async () => 'fresh')).resolves.toBe('fresh');
+    });
+});
+
+describe('createUpstreamLimiter', () => {
+    test('never runs more than `concurrency` tasks at once', async () => {
+        const limiter = createUpstreamLimiter({ concurrency: 2 });
+        let running = 0;
+        let peak = 0;
+
+        await Promise.all([1, 2, 3, 4, 5].map(() => limiter.schedule('www.instagram.com', async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await sleep(5);
+            running--;
+        })));
+
+        expect(peak).toBe(2);
+        expect(limiter.stats()).toMatchObject({ active: 0, waiting: 0, started: 5, queued: 3 });
+    });
+
+    test('spaces out requests to one host but not across hosts', async () => {
+        const limiter = createUpstreamLimiter({ concurrency: 10, minIntervalMs: 40 });
+        const startedAt = {};
+        const record = name => () => {
+            startedAt[name] = Date.now();
+        };
+
+        const begin = Date.now();
+        await Promise.all([
+            limiter.schedule('www.instagram.com', record('page1')),
+            limiter.schedule('www.instagram.com', record('page2')),
+            limiter.schedule('i.instagram.com', record('api1'))
+        ]);
+
+        expect(startedAt.page2 - startedAt.page1).toBeGreaterThanOrEqual(35);
+        expect(startedAt.api1 - begin).toBeLessThan(35);
+        expect(limiter.stats().paced).toBe(1);
+    });
+
+    test('frees the slot when a task throws', async () => {
+        const limiter = createUpstreamLimiter({ concurrency: 1 });
+
+        await expect(limiter.schedule('h', async () => {
+            throw new Error('timeout');
+        })).rejects.toThrow('timeout');
+        await expect(limiter.schedule('h', async () => 'ok')).resolves.toBe('ok');
+    });
+});
@@ -0,0 +1,44 @@
+// test/url-expiry.test.js - Decoding oe= expiry from signed CDN URLs
+const { getUrlExpiry, annotateUrlExpiry, getMediaExpiry } = require('../lib/url-expiry');
+
+const signed = (path, oe) => `https://scontent-ams2-1.cdninstagram.com/${path}?_nc_ht=scontent&oh=00_Af&oe=${oe}`;
+
+describe('getUrlExpiry', () => {
+    test('decodes the hex unix timestamp', () => {
+        expect(getUrlExpiry(signed('v.mp4', '6552B3C4'))).toBe(0x6552B3C4 * 1000);
+        expect(getUrlExpiry('https://example.com/a.mp4?oe=6552b3c4&x=1')).toBe(0x6552B3C4 * 1000);
+    });
+
+    test('returns null for unsigned or odd URLs', () => {
+        expect(getUrlExpiry('https://example.com/a.mp4')).toBeNull();
+        expect(getUrlExpiry('https://example.com/a.mp4?shoe=12')).toBeNull();
+        expect(getUrlExpiry(undefined)).toBeNull();
+    });
+});
+
+describe('annotateUrlExpiry', () => {
+    test('stamps every URL-bearing entry and the media with the earliest expiry', () => {
+        const media = {
+            videoUrl: signed('v.mp4', '65000010'),
+            thumbnail: signed('t.jpg', '65000020'),
+            qualities: [{ url: signed('v.mp4', '65000010') }, { url: signed('v480.mp4', '65000005') }],
+            items: [{ url: signed('i.jpg', '65000030'), thumbnail: signed('i.jpg', '65000030') }, { url: 'https://example.com/x.jpg' }]
+        };
+
+        const expiry = annotateUrlExpiry(media);
+
+        expect(expiry).toBe(0x65000005 * 1000);
+        expect(media.expiresAt).toBe(new Date(0x65000005 * 1000).toISOString());
+        expect(media.qualities[0].expiresAt).toBe(new Date(0x65000010 * 1000).toISOString());
+        expect(media.items[0].expiresAt).toBe(new Date(0x65000030 * 1000).toISOString());
+        expect(media.items[1].expiresAt).toBeNull();
+        expect(getMediaExpiry(media)).toBe(expiry);
+    });
+
+    test('leaves expiresAt null when nothing is signed', () => {
+        const media = { imageUrl: 'https://example.com/a.jpg' };
+        expect(annotateUrlExpiry(media)).toBeNull();
+        expect(media.expiresAt).toBeNull();
+        expect(getMediaExpiry(media)).toBeNull();
+    });
+});